@@ -17,17 +17,20 @@ const GameTexts = {
         share: "Поділитися",
         donate: "Підтримати",
         leaderboard: "Таблиця лідерів",
+        loadReplay: "Завантажити повтор",
+        editor: "Редактор мап",
+        settings: "Керування",
         introduction: "<div class='instructions-table'>" +
-            "<div class='instruction-row'><div class='instruction-label'>Рух платформи</div><div class='instruction-value'>←↑↓→</div></div>" +
+            "<div class='instruction-row'><div class='instruction-label'>Рух платформи</div><div class='instruction-value'>←↑↓→ / WASD</div></div>" +
             "<div class='instruction-row'><div class='instruction-label'>Активація РЕБ</div><div class='instruction-value'>SPACE  (працює 3с, перезарядка 10с)</div></div>" +
             "</div>" +
             "<div class='instructions-spacing'></div>" +
             "<div class='instructions-table'>" +
-            "<div class='instruction-row'><div class='instruction-label'>Виконана місія</div><div class='instruction-value'>+10 очок</div></div>" +
-            "<div class='instruction-row'><div class='instruction-label'>Знищений дрон</div><div class='instruction-value'>+5 очок</div></div>" +
+            "<div class='instruction-row'><div class='instruction-label'>Виконана місія</div><div class='instruction-value'>+10…25 очок</div></div>" +
+            "<div class='instruction-row'><div class='instruction-label'>Знищений дрон</div><div class='instruction-value'>+5…15 очок</div></div>" +
             "</div>" +
             "<div class='instructions-spacing'></div>" +
-            "<div class='instructions-warning'>Уникайте мін та ворожих дронів - одне влучення означає знищення!</div>"
+            "<div class='instructions-warning'>Уникайте мін, ворожих дронів та скинутих ними бомб - одне влучення означає знищення!</div>"
     },
     
     // Game Over Screen
@@ -60,13 +63,26 @@ const GameTexts = {
         title: "Готуйся",
         missionTypeLabel: "Тип місії: ",
         countdownInitial: "5",
+        reward: (points) => `Нагорода: +${points} очок`,
         missionTypes: {
             evacuation: "Евакуація пораненого",
-            delivery: "Доставка боєприпасів"
+            delivery: "Доставка боєприпасів",
+            medevac: "Термінова евакуація",
+            supply: "Постачання позицій",
+            recon: "Розвідка",
+            escort: "Супровід",
+            hold: "Утримання позиції",
+            sapper: "Розмінування"
         },
         missionDescriptions: {
             evacuation: "Врятуйте пораненого солдата і безпечно поверніться на базу.",
             delivery: "Доставте важливий вантаж до позначеного місця і поверніться на базу.",
+            medevac: "Поранений у критичному стані: заберіть його і поверніться на базу, поки не сплив час.",
+            supply: "Розвезіть вантаж по всіх позиціях по черзі і поверніться на базу.",
+            recon: "Огляньте всі точки розвідки в будь-якому порядку і поверніться на базу.",
+            escort: "Проведіть союзну машину до пункту призначення. Вона їде лише поруч із платформою.",
+            hold: "Займіть позицію і втримайте її під прикриттям РЕБ: час іде, лише поки РЕБ на позиції увімкнено або щойно вимкнено.",
+            sapper: "Знайдіть і знешкодьте міни на мапі.",
             fallback: "Виконайте цілі місії."
         }
     },
@@ -75,7 +91,20 @@ const GameTexts = {
     hud: {
         score: "Рахунок: ",
         missionObjective: "Місія: ",
-        ewLabel: "РЕБ:"
+        ewLabel: "РЕБ:",
+        healthLabel: "Броня:",
+        ewButton: "РЕБ",
+        defuseButton: "Сапер",
+        pause: "❚❚"
+    },
+    
+    // Pause Screen
+    pause: {
+        title: "Пауза",
+        resume: "Продовжити",
+        restart: "Почати заново",
+        settings: "Керування",
+        quit: "Вийти в меню"
     },
     
     // Mission Objectives
@@ -88,6 +117,29 @@ const GameTexts = {
             phase0: "Доставити вантаж до пункту призначення",
             phase1: "Повернутися на базу"
         },
+        medevac: {
+            phase0: (seconds) => `Забрати пораненого (${seconds} с)`,
+            phase1: (seconds) => `Доставити пораненого на базу (${seconds} с)`
+        },
+        supply: {
+            stop: (stop, total) => `Доставити вантаж на позицію ${stop}/${total}`,
+            return: "Повернутися на базу"
+        },
+        recon: {
+            scout: (scouted, total) => `Оглянути точки розвідки (${scouted}/${total})`,
+            return: "Повернутися на базу з розвідданими"
+        },
+        escort: {
+            phase0: (health) => `Супроводити машину до пункту призначення (міцність: ${health})`
+        },
+        hold: {
+            phase0: "Зайняти позицію",
+            phase1: (seconds) => `Утримувати позицію під РЕБ ще ${seconds} с`,
+            uncovered: (seconds) => `Увімкнути РЕБ на позиції (залишилось ${seconds} с)`
+        },
+        sapper: {
+            phase0: (mines) => `Знешкодити міни (залишилось: ${mines})`
+        },
         none: "Немає"
     },
     
@@ -95,8 +147,91 @@ const GameTexts = {
     messages: {
         codeAccepted: "Код прийнято! Продовження гри...",
         invalidCode: "Недійсний промокод!",
+        usedCode: "Цей промокод вже використано!",
+        expiredCode: "Термін дії промокоду минув!",
+        codeCheckFailed: "Не вдалося перевірити промокод. Спробуйте ще раз.",
         revivalSuccess: "Відродження успішне! Гра продовжена зі збереженням рахунку.",
-        droneDestroyed: (count, points) => `+${points} очок! ${count} дрон${count > 1 ? 'и' : ''} знищено!`
+        droneDestroyed: (count, points) => `+${points} очок! ${count} дрон${count > 1 ? 'и' : ''} знищено!`,
+        platformHit: (health) => `Платформу пошкоджено! Броня: ${health}%`,
+        repaired: (health) => `Ремкомплект! +${health} броні`,
+        mineDefused: (points) => `+${points} очок! Міну знешкоджено!`,
+        missionComplete: (points) => `Місію виконано! +${points} очок`,
+        noMinesToClear: "На мапі не лишилося мін для розмінування. Місію провалено.",
+        soldierRescued: "Солдата врятовано! Повертайтеся на базу.",
+        cargoDelivered: "Вантаж доставлено! Повертайтеся на базу.",
+        stopSupplied: (stop, total) => `Позицію ${stop}/${total} забезпечено!`,
+        waypointScouted: (scouted, total) => `Точку розвідки оглянуто (${scouted}/${total})`,
+        positionTaken: "Позицію зайнято! Утримуйте її.",
+        vehicleHit: (health) => `Машину пошкоджено! Міцність: ${health}`,
+        levelLoadFailed: (error) => `Не вдалося завантажити рівень (${error}). Гра йде на випадкових мапах.`,
+        levelExported: "Мапу збережено у файл рівня",
+        missionFailed: {
+            timeUp: "Місію провалено: час вичерпано.",
+            vehicleDestroyed: "Місію провалено: машину знищено."
+        }
+    },
+    
+    // Repair kits and power-ups
+    pickups: {
+        names: {
+            repair: "Ремкомплект",
+            battery: "Батарея РЕБ",
+            ewBoost: "Підсилювач РЕБ",
+            speedBoost: "Прискорення",
+            shield: "Щит",
+            mineDetector: "Міношукач"
+        },
+        collected: {
+            battery: "Батарея РЕБ! РЕБ знову заряджений",
+            ewBoost: "Підсилювач РЕБ! Радіус РЕБ збільшено",
+            speedBoost: "Прискорення! Бруд і вода не сповільнюють платформу",
+            shield: "Щит! Платформа тимчасово невразлива",
+            mineDetector: "Міношукач! Приховані міни видно здалеку"
+        }
+    },
+
+    // Difficulty presets (menu and leaderboard)
+    difficulty: {
+        label: "Складність:",
+        names: {
+            easy: "Легка",
+            normal: "Звичайна",
+            hard: "Важка",
+            custom: "Своя"
+        },
+        edit: "Налаштувати свою..."
+    },
+    
+    // Custom difficulty screen
+    customDifficulty: {
+        title: "Своя складність",
+        hint: "Профіль у форматі JSON. Поля, яких у ньому немає, беруться зі звичайної складності. Ігри на своїй складності не потрапляють до таблиці лідерів.",
+        invalid: "Профіль не збережено: ",
+        save: "Зберегти й вибрати",
+        back: "Назад"
+    },
+    
+    // Biome of the generated maps (menu)
+    biome: {
+        label: "Місцевість:",
+        random: "Випадкова",
+        names: {
+            city: "Місто",
+            urban: "Забудова",
+            fields: "Поля",
+            forest: "Ліс",
+            river: "Річка",
+            trenches: "Окопи"
+        }
+    },
+    
+    // Replays
+    replay: {
+        label: "ПОВТОР",
+        save: "Зберегти повтор",
+        stop: "Зупинити",
+        invalidReplay: "Не вдалося завантажити повтор: файл пошкоджений або несумісний.",
+        finished: (score) => `Повтор завершено. Рахунок: ${score}`
     },
     
     // Leaderboard
@@ -114,7 +249,80 @@ const GameTexts = {
         rank: "Ранг",
         name: "Ім'я",
         score: "Рахунок",
-        viewLeaderboard: "Переглянути таблицю лідерів"
+        viewLeaderboard: "Переглянути таблицю лідерів",
+        periods: {
+            daily: "Сьогодні",
+            weekly: "Тиждень",
+            all: "Весь час"
+        },
+        myRank: (rank, total, bestScore) => `Твоє місце: #${rank} з ${total}` +
+            (bestScore !== null ? ` · Твій рекорд: ${bestScore}` : ''),
+        previousPage: "← Назад",
+        nextPage: "Далі →",
+        page: (page, pageCount) => `${page} / ${pageCount}`
+    },
+    
+    // Settings Screen (key and gamepad bindings)
+    settings: {
+        title: "Керування",
+        action: "Дія",
+        keyboard: "Клавіатура",
+        gamepad: "Геймпад",
+        movementMode: "Рух платформи:",
+        movementModes: {
+            classic: "4 напрямки",
+            eightWay: "8 напрямків",
+            analog: "Плавний"
+        },
+        hint: "Натисніть на клавішу, щоб змінити її. Esc — скасувати.",
+        actions: {
+            moveUp: "Рух вгору",
+            moveDown: "Рух вниз",
+            moveLeft: "Рух вліво",
+            moveRight: "Рух вправо",
+            activateEW: "Активація РЕБ",
+            defuse: "Розмінування"
+        },
+        pressKey: "Натисніть клавішу...",
+        pressButton: "Натисніть кнопку...",
+        unbound: "—",
+        keyNames: {
+            Space: "Пробіл"
+        },
+        reset: "Скинути",
+        back: "Назад"
+    },
+
+    // Map editor
+    editor: {
+        tools: {
+            asphalt: "Асфальт",
+            dirt: "Ґрунт",
+            water: "Вода",
+            wall: "Стіна",
+            forest: "Ліс",
+            trench: "Окоп",
+            bridge: "Міст",
+            crater: "Вирва",
+            mine: "Міна (поставити / прибрати)",
+            start: "Старт",
+            goal: "Ціль",
+            building: "Будівля (протягніть прямокутник)"
+        },
+        actions: {
+            fill: "Заливка",
+            undo: "Скасувати (Ctrl+Z)",
+            redo: "Повторити (Ctrl+Y)",
+            reachability: "Показати недосяжні клітинки",
+            playTest: "Випробувати мапу",
+            save: "Зберегти рівень",
+            load: "Відкрити рівень",
+            new: "Нова мапа",
+            exit: "Вийти в меню"
+        },
+        testPassed: "Випробування пройдено!",
+        testFailed: "Випробування провалено",
+        invalidLevel: (error) => `Мапа має помилку: ${error}`
     }
 };
 
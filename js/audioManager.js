@@ -7,6 +7,7 @@ class AudioManager {
         this.sounds = {};
         this.music = {};
         this.loopingSounds = {};
+        this.pausedSounds = []; // Sounds stopped by pauseAll(), to be continued by resumeAll()
         this.currentMusic = null;
         this.muted = false;
         this.volume = 0.7;
@@ -18,6 +19,12 @@ class AudioManager {
         // Flag to track if menu music has been played
         this.menuMusicPlayed = false;
         
+        // Mine detector beeping (see updateMineBeep)
+        this.mineBeepTimer = 0; // Time until the next beep (ms)
+        this.mineBeepSlowest = 1000; // Time between beeps at the edge of the detector's range (ms)
+        this.mineBeepFastest = 150; // Time between beeps right next to a mine (ms)
+        this.beepContext = null; // Web Audio context the beep is synthesized in, created on the first beep
+        
         // Try to detect if audio is supported
         try {
             const audio = new Audio();
@@ -143,15 +150,19 @@ class AudioManager {
      * Create a fresh drone hum sound instance
      * @param {string} uniqueId - Unique identifier for this drone hum instance
      * @param {boolean} loop - Whether to loop the sound
+     * @param {string} [templateId='sfx_drone_hum'] - Hum of the drone type; the common drone hum is used if it didn't load
      * @returns {HTMLAudioElement|null} - The sound object or null if failed
      */
-    createDroneHumSound(uniqueId, loop = true) {
-        if (!this.audioEnabled || this.muted || !this.droneHumTemplate) return null;
+    createDroneHumSound(uniqueId, loop = true, templateId = 'sfx_drone_hum') {
+        // Placeholders for sounds that failed to load have no src
+        const typeTemplate = this.sounds[templateId];
+        const template = typeTemplate && typeTemplate.src ? typeTemplate : this.droneHumTemplate;
+        if (!this.audioEnabled || this.muted || !template) return null;
         
         try {
             // Create a completely fresh Audio element
             const sound = new Audio();
-            sound.src = this.droneHumTemplate.src;
+            sound.src = template.src;
             sound.loop = loop;
             sound.volume = Math.min(this.volume * 1.5, 1.0); // Higher volume but max 1.0
             
@@ -220,6 +231,63 @@ class AudioManager {
         }
     }
 
+    /**
+     * Beep for a hidden mine nearby, the faster the closer it is
+     * Called on every simulation update with the mine detector's reading
+     * @param {number|null} proximity - 0 at the edge of the detector's range up to 1 on top of the mine,
+     *     or null if no hidden mine is near (stops the beeping)
+     * @param {number} deltaTime - Time since last update in milliseconds
+     */
+    updateMineBeep(proximity, deltaTime) {
+        if (proximity === null) {
+            this.mineBeepTimer = 0;
+            return;
+        }
+        
+        this.mineBeepTimer -= deltaTime;
+        if (this.mineBeepTimer <= 0) {
+            this._playBeep(proximity);
+            this.mineBeepTimer = this.mineBeepSlowest - (this.mineBeepSlowest - this.mineBeepFastest) * proximity;
+        }
+    }
+
+    /**
+     * Synthesize one short detector beep, pitched higher the closer the mine is
+     * @param {number} proximity - 0 at the edge of the detector's range up to 1 on top of the mine
+     * @private
+     */
+    _playBeep(proximity) {
+        if (!this.audioEnabled || this.muted) return;
+        
+        try {
+            if (!this.beepContext) {
+                const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+                if (!AudioContextClass) return;
+                this.beepContext = new AudioContextClass();
+            }
+            
+            const context = this.beepContext;
+            const start = context.currentTime;
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            
+            oscillator.type = 'square';
+            oscillator.frequency.value = 1200 + 800 * proximity;
+            
+            // Quick attack and decay, so beeps stay apart even at the fastest rate
+            gain.gain.setValueAtTime(0, start);
+            gain.gain.linearRampToValueAtTime(this.volume * 0.3, start + 0.005);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.08);
+            
+            oscillator.connect(gain);
+            gain.connect(context.destination);
+            oscillator.start(start);
+            oscillator.stop(start + 0.08);
+        } catch (e) {
+            console.warn('Error playing mine beep:', e);
+        }
+    }
+
     /**
      * Play background music
      * @param {string} musicId - Identifier for the music to play
@@ -359,6 +427,11 @@ class AudioManager {
             { id: 'music_menu', path: 'assets/audio/menu_music.mp3' },
             { id: 'sfx_platform_move', path: 'assets/audio/platform_move.mp3' },
             { id: 'sfx_drone_hum', path: 'assets/audio/drone_hum.mp3' },
+            { id: 'sfx_hum_ground', path: 'assets/audio/hum_ground.mp3' },
+            { id: 'sfx_hum_kamikaze', path: 'assets/audio/hum_kamikaze.mp3' },
+            { id: 'sfx_hum_recon', path: 'assets/audio/hum_recon.mp3' },
+            { id: 'sfx_hum_ew_resistant', path: 'assets/audio/hum_ew_resistant.mp3' },
+            { id: 'sfx_hum_bomber', path: 'assets/audio/hum_bomber.mp3' },
             { id: 'sfx_reb_activate', path: 'assets/audio/reb_activate.mp3' },
             { id: 'sfx_drone_destroyed', path: 'assets/audio/drone_destroyed.mp3' },
             { id: 'sfx_explosion', path: 'assets/audio/explosion.mp3' },
@@ -431,6 +504,46 @@ class AudioManager {
         }
     }
 
+    /**
+     * Pause every looping sound and the music, keeping their position (e.g. while the game is paused)
+     */
+    pauseAll() {
+        this.pausedSounds = [];
+        if (!this.audioEnabled) return;
+        
+        try {
+            const sounds = Object.values(this.loopingSounds || {});
+            if (this.currentMusic && this.music[this.currentMusic]) {
+                sounds.push(this.music[this.currentMusic]);
+            }
+            
+            sounds.forEach(sound => {
+                if (sound && !sound.paused) {
+                    sound.pause();
+                    this.pausedSounds.push(sound);
+                }
+            });
+        } catch (e) {
+            console.warn('Error pausing audio:', e);
+        }
+    }
+
+    /**
+     * Continue the sounds paused by pauseAll()
+     */
+    resumeAll() {
+        const sounds = this.pausedSounds;
+        this.pausedSounds = [];
+        if (!this.audioEnabled) return;
+        
+        sounds.forEach(sound => {
+            const playPromise = sound.play();
+            if (playPromise) {
+                playPromise.catch(error => console.warn('Error resuming audio:', error));
+            }
+        });
+    }
+
     /**
      * Stop all sound effects, particularly useful for game over
      */
@@ -0,0 +1,119 @@
+/**
+ * Camera
+ * Shows the part of a map bigger than the screen around the platform. The platform moves freely inside a dead
+ * zone in the middle of the view, and the camera eases after it once it leaves the zone. Drones come in from
+ * just outside the view, so the camera is part of the simulation: it moves with the fixed ticks, not the frames
+ */
+
+// Share of the view's width and height, around its middle, the platform can move in without the camera following
+const CAMERA_DEAD_ZONE = 0.3;
+
+// Milliseconds the camera takes to catch up with the platform (it covers a tick's share of the gap every tick)
+const CAMERA_SMOOTHING = 250;
+
+/**
+ * Camera class
+ * Keeps the view's position on the map and moves the canvas to it
+ */
+class Camera {
+    /**
+     * @param {number} width - View width in pixels (the canvas)
+     * @param {number} height - View height in pixels
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.x = 0; // Top-left corner of the view on the map
+        this.y = 0;
+    }
+
+    /**
+     * Center the view on a target straight away, e.g. on the platform at the start of a mission
+     * @param {Object} target - Object with x, y, width and height (e.g. the player)
+     * @param {Object} map - Map data (width, height)
+     */
+    snapTo(target, map) {
+        this.x = Camera._clampAxis(target.x + target.width / 2 - this.width / 2, map.width, this.width);
+        this.y = Camera._clampAxis(target.y + target.height / 2 - this.height / 2, map.height, this.height);
+    }
+
+    /**
+     * Follow a target that has left the dead zone, staying on the map
+     * @param {number} deltaTime - Time since last update in milliseconds
+     * @param {Object} target - Object with x, y, width and height (e.g. the player)
+     * @param {Object} map - Map data (width, height)
+     */
+    update(deltaTime, target, map) {
+        const followX = Camera._followAxis(this.x, target.x + target.width / 2, this.width);
+        const followY = Camera._followAxis(this.y, target.y + target.height / 2, this.height);
+        const factor = Math.min(1, deltaTime / CAMERA_SMOOTHING);
+        
+        this.x = Camera._clampAxis(lerp(this.x, followX, factor), map.width, this.width);
+        this.y = Camera._clampAxis(lerp(this.y, followY, factor), map.height, this.height);
+    }
+
+    /**
+     * Get the part of the map in view
+     * @returns {Object} View { x, y, width, height } in map pixels
+     */
+    getView() {
+        return { x: this.x, y: this.y, width: this.width, height: this.height };
+    }
+
+    /**
+     * Check whether any part of a rectangle on the map is in view
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @returns {boolean} Whether the rectangle is in view
+     */
+    isVisible(x, y, width, height) {
+        return x + width > this.x && x < this.x + this.width && y + height > this.y && y < this.y + this.height;
+    }
+
+    /**
+     * Move the canvas so that map coordinates are drawn where the view shows them
+     * (on whole pixels, so the tiles don't get blurry seams)
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    applyTransform(ctx) {
+        ctx.translate(-Math.round(this.x), -Math.round(this.y));
+    }
+
+    /**
+     * Get where the view has to be along an axis for a point to be back at the edge of the dead zone
+     * @param {number} position - View position
+     * @param {number} point - Position of the point followed
+     * @param {number} size - View size
+     * @returns {number} View position
+     * @private
+     */
+    static _followAxis(position, point, size) {
+        const halfZone = size * CAMERA_DEAD_ZONE / 2;
+        const offset = point - (position + size / 2);
+        
+        if (offset > halfZone) {
+            return position + offset - halfZone;
+        }
+        if (offset < -halfZone) {
+            return position + offset + halfZone;
+        }
+        return position;
+    }
+
+    /**
+     * Keep the view on the map along an axis; a map smaller than the view is centered in it
+     * @param {number} position - View position
+     * @param {number} mapSize - Map size
+     * @param {number} size - View size
+     * @returns {number} View position
+     * @private
+     */
+    static _clampAxis(position, mapSize, size) {
+        if (mapSize <= size) {
+            return (mapSize - size) / 2;
+        }
+        return Math.max(0, Math.min(mapSize - size, position));
+    }
+}
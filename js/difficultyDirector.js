@@ -0,0 +1,391 @@
+/**
+ * Difficulty director
+ * Decides when enemy drones come and how fast they are, following a difficulty profile
+ */
+
+// Built-in difficulty profiles (plain JSON, so a custom profile is written the same way)
+// Difficulty grows with an intensity level: intensityPerMission for every mission completed
+// plus intensityPerMinute for every minute survived, minus the ease earned by near-deaths
+//   firstWaveDelay - Random time before the first wave of a mission (ms)
+//   missionBreather - Extra quiet time at the start of every mission after the first (ms)
+//   waveInterval, minWaveInterval - Time between waves at intensity 0, and the floor it shrinks to (ms)
+//   waveIntervalFactor - The interval is multiplied by this for every intensity level
+//   waveSpacing - Time between the drones of one wave (ms)
+//   waveGrowth, maxWaveSize - Drones added to a wave per intensity level, and the largest wave
+//   maxConcurrentDrones - Drones allowed in the air at once; the next one waits for a free slot
+//   speedIncrease, maxSpeedMultiplier - Drone speed added per intensity level, and its cap
+//   nearDeathDistance - How close (in tiles) a drone or blast must get to count as a near-death
+//   nearDeathEase, maxEase - Intensity taken off by a near-death, and the most that can be taken off
+//   nearDeathRelief - Delay added to the next drone after a near-death (ms)
+//   easeRecovery - Ease that wears off per minute
+// The rest of a profile is a preset for the run as a whole, applied by Game to every component:
+//   playerSpeed - Platform speed in pixels per second (Player)
+//   ewRadius, ewDuration, ewCooldown - EW reach in tiles, how long it lasts and how long it recharges (ms) (Player)
+//   droneSpeed - Multiplier on every drone's speed, on top of the intensity (DroneManager)
+//   mines - Range of mines placed on each map (MissionManager passes it to MapGenerator)
+//   hiddenMines - Whether mines stay hidden until the platform's detector marks them (MissionManager)
+//   powerUps - Range of power-ups placed on each map, of random types (see PICKUP_TYPES)
+//   armor - Health model of the platform, or null for the classic mode where the first hit destroys it (Player):
+//     maxHealth - Health at the start of a run and after a revival (carried over between missions)
+//     damage - Health lost to a hit by { drone, mine, bomb }
+//     invulnerability - Time after a hit during which the platform blinks and takes no damage (ms)
+//     repairKits, repair - Range of repair kits placed on each map, and the health each one restores
+const DIFFICULTY_PROFILES = {
+    easy: {
+        name: 'easy',
+        firstWaveDelay: { min: 9000, max: 12000 },
+        missionBreather: 5000,
+        waveInterval: 18000,
+        minWaveInterval: 8000,
+        waveIntervalFactor: 0.9,
+        waveSpacing: 2000,
+        waveGrowth: 0.25,
+        maxWaveSize: 2,
+        maxConcurrentDrones: 3,
+        speedIncrease: 0.05,
+        maxSpeedMultiplier: 1.4,
+        intensityPerMission: 0.75,
+        intensityPerMinute: 0.5,
+        nearDeathDistance: 2,
+        nearDeathEase: 1.5,
+        maxEase: 4,
+        nearDeathRelief: 6000,
+        easeRecovery: 0.25,
+        playerSpeed: 138,
+        ewRadius: 3.5,
+        ewDuration: 3500,
+        ewCooldown: 8000,
+        droneSpeed: 0.85,
+        mines: { min: 2, max: 4 },
+        hiddenMines: false,
+        powerUps: { min: 2, max: 3 },
+        armor: {
+            maxHealth: 100,
+            damage: { drone: 40, mine: 60, bomb: 50 },
+            invulnerability: 1500,
+            repairKits: { min: 1, max: 2 },
+            repair: 40
+        }
+    },
+    normal: {
+        name: 'normal',
+        firstWaveDelay: { min: 7000, max: 10000 },
+        missionBreather: 3000,
+        waveInterval: 15000,
+        minWaveInterval: 5000,
+        waveIntervalFactor: 0.85,
+        waveSpacing: 1500,
+        waveGrowth: 0.34,
+        maxWaveSize: 4,
+        maxConcurrentDrones: 5,
+        speedIncrease: 0.08,
+        maxSpeedMultiplier: 1.8,
+        intensityPerMission: 1,
+        intensityPerMinute: 1,
+        nearDeathDistance: 1.5,
+        nearDeathEase: 1,
+        maxEase: 3,
+        nearDeathRelief: 4000,
+        easeRecovery: 0.5,
+        playerSpeed: 126,
+        ewRadius: 3,
+        ewDuration: 3000,
+        ewCooldown: 10000,
+        droneSpeed: 1,
+        mines: { min: 3, max: 6 },
+        hiddenMines: false,
+        powerUps: { min: 1, max: 2 },
+        armor: null
+    },
+    hard: {
+        name: 'hard',
+        firstWaveDelay: { min: 5000, max: 7000 },
+        missionBreather: 1500,
+        waveInterval: 12000,
+        minWaveInterval: 3500,
+        waveIntervalFactor: 0.8,
+        waveSpacing: 1000,
+        waveGrowth: 0.5,
+        maxWaveSize: 6,
+        maxConcurrentDrones: 8,
+        speedIncrease: 0.1,
+        maxSpeedMultiplier: 2.2,
+        intensityPerMission: 1.25,
+        intensityPerMinute: 1.5,
+        nearDeathDistance: 1,
+        nearDeathEase: 0.5,
+        maxEase: 1.5,
+        nearDeathRelief: 2000,
+        easeRecovery: 1,
+        playerSpeed: 120,
+        ewRadius: 2.5,
+        ewDuration: 2500,
+        ewCooldown: 12000,
+        droneSpeed: 1.15,
+        mines: { min: 5, max: 8 },
+        hiddenMines: true,
+        powerUps: { min: 0, max: 1 },
+        armor: null
+    }
+};
+
+/**
+ * DifficultyDirector class
+ * Schedules drone waves by missions completed and time survived, caps how many drones
+ * are out at once, and eases off for a while after a near-death
+ */
+class DifficultyDirector {
+    /**
+     * @param {Object} [profile] - Difficulty profile (see DIFFICULTY_PROFILES)
+     */
+    constructor(profile = DIFFICULTY_PROFILES.normal) {
+        this.profile = profile;
+        this.reset();
+    }
+
+    /**
+     * Start over from intensity 0, e.g. for a new run or after a death
+     */
+    reset() {
+        this.elapsedTime = 0; // Milliseconds survived since the reset
+        this.missionsStarted = 0;
+        this.ease = 0; // Intensity taken off by recent near-deaths
+        this.dronesLeftInWave = 0; // Drones of the current wave still to come
+    }
+
+    /**
+     * Advance the clock
+     * @param {number} deltaTime - Time since last update in milliseconds
+     */
+    update(deltaTime) {
+        this.elapsedTime += deltaTime;
+        this.ease = Math.max(0, this.ease - this.profile.easeRecovery * deltaTime / 60000);
+    }
+
+    /**
+     * Note the start of a mission; the next drone starts a new wave
+     */
+    startMission() {
+        this.missionsStarted++;
+        this.dronesLeftInWave = 0;
+    }
+
+    /**
+     * Get the number of missions completed since the reset
+     * @returns {number} Missions completed
+     */
+    getMissionsCompleted() {
+        return Math.max(0, this.missionsStarted - 1);
+    }
+
+    /**
+     * Get the current intensity level
+     * @returns {number} Intensity (0 at the start of a run)
+     */
+    getIntensity() {
+        const minutes = this.elapsedTime / 60000;
+        const intensity = this.getMissionsCompleted() * this.profile.intensityPerMission +
+            minutes * this.profile.intensityPerMinute;
+        return Math.max(0, intensity - this.ease);
+    }
+
+    /**
+     * Get the time before the first wave of the current mission
+     * @param {Function} random - Random source (the seeded drone spawn stream)
+     * @returns {number} Delay in milliseconds
+     */
+    getFirstWaveDelay(random) {
+        const { min, max } = this.profile.firstWaveDelay;
+        const breather = this.getMissionsCompleted() > 0 ? this.profile.missionBreather : 0;
+        return Math.floor(min + random() * (max - min)) + breather;
+    }
+
+    /**
+     * Note that a drone was spawned and get the time until the next one
+     * @returns {number} Delay in milliseconds
+     */
+    getNextSpawnDelay() {
+        if (this.dronesLeftInWave === 0) {
+            // This drone opened a new wave
+            this.dronesLeftInWave = this.getWaveSize();
+        }
+        this.dronesLeftInWave--;
+        
+        return this.dronesLeftInWave > 0 ? this.profile.waveSpacing : this.getWaveInterval();
+    }
+
+    /**
+     * Get the number of drones in a wave starting now
+     * @returns {number} Wave size
+     */
+    getWaveSize() {
+        return Math.min(this.profile.maxWaveSize, 1 + Math.floor(this.getIntensity() * this.profile.waveGrowth));
+    }
+
+    /**
+     * Get the time from the last drone of a wave to the next wave
+     * @returns {number} Interval in milliseconds
+     */
+    getWaveInterval() {
+        return Math.max(
+            this.profile.minWaveInterval,
+            this.profile.waveInterval * Math.pow(this.profile.waveIntervalFactor, this.getIntensity())
+        );
+    }
+
+    /**
+     * Get the speed multiplier for a drone spawning now
+     * @returns {number} Speed multiplier (the profile's droneSpeed times the growth with intensity)
+     */
+    getSpeedMultiplier() {
+        const growth = Math.min(this.profile.maxSpeedMultiplier, 1 + this.getIntensity() * this.profile.speedIncrease);
+        return growth * this.profile.droneSpeed;
+    }
+
+    /**
+     * Get the number of drones allowed in the air at once
+     * @returns {number} Drone cap
+     */
+    getMaxConcurrentDrones() {
+        return this.profile.maxConcurrentDrones;
+    }
+
+    /**
+     * Get how close a threat must get to the player to count as a near-death
+     * @param {number} tileSize - Tile size in pixels
+     * @returns {number} Distance in pixels
+     */
+    getNearDeathDistance(tileSize) {
+        return this.profile.nearDeathDistance * tileSize;
+    }
+
+    /**
+     * Ease off after the player barely survived
+     * @returns {number} Delay to add to the next drone in milliseconds
+     */
+    recordNearDeath() {
+        this.ease = Math.min(this.profile.maxEase, this.ease + this.profile.nearDeathEase);
+        return this.profile.nearDeathRelief;
+    }
+
+    /**
+     * Turn a difficulty setting into a profile
+     * @param {string|Object} setting - Name of a built-in profile, or a custom profile
+     * @returns {Object} Difficulty profile
+     */
+    static resolveProfile(setting) {
+        if (typeof setting === 'string') {
+            if (!Object.prototype.hasOwnProperty.call(DIFFICULTY_PROFILES, setting)) {
+                throw new Error(`Unknown difficulty: ${setting}`);
+            }
+            return DIFFICULTY_PROFILES[setting];
+        }
+        return DifficultyDirector.createCustomProfile(setting);
+    }
+
+    /**
+     * Load the custom profile saved as JSON in localStorage under customDifficulty
+     * @returns {Object|null} Custom profile fields, or null if none is saved or it is invalid
+     */
+    static loadCustomProfile() {
+        const custom = loadFromLocalStorage('customDifficulty');
+        if (custom === null) {
+            return null;
+        }
+        
+        try {
+            DifficultyDirector.createCustomProfile(custom);
+            return custom;
+        } catch (error) {
+            console.warn(`Ignoring custom difficulty: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Build a custom profile, taking any field it doesn't set from the normal profile
+     * Throws an Error describing the first invalid field
+     * @param {Object} custom - Custom profile fields
+     * @returns {Object} Difficulty profile named 'custom'
+     */
+    static createCustomProfile(custom) {
+        if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+            throw new Error('Difficulty profile must be an object');
+        }
+        
+        const profile = { ...DIFFICULTY_PROFILES.normal, ...custom, name: 'custom' };
+        
+        for (const [field, value] of Object.entries(DIFFICULTY_PROFILES.normal)) {
+            if (typeof value === 'number' && !(Number.isFinite(profile[field]) && profile[field] >= 0)) {
+                throw new Error(`Difficulty field ${field} must be a non-negative number`);
+            }
+        }
+        const delay = profile.firstWaveDelay;
+        if (!delay || !Number.isFinite(delay.min) || !Number.isFinite(delay.max) || delay.min < 0 || delay.min > delay.max) {
+            throw new Error('Difficulty field firstWaveDelay must be { min, max } with 0 <= min <= max');
+        }
+        DifficultyDirector._validateCountRange(profile.mines, 'mines');
+        DifficultyDirector._validateCountRange(profile.powerUps, 'powerUps');
+        if (typeof profile.hiddenMines !== 'boolean') {
+            throw new Error('Difficulty field hiddenMines must be true or false');
+        }
+        for (const field of ['playerSpeed', 'ewRadius', 'droneSpeed']) {
+            if (profile[field] === 0) {
+                throw new Error(`Difficulty field ${field} must be above 0`);
+            }
+        }
+        if (profile.armor !== null) {
+            DifficultyDirector._validateArmor(profile.armor);
+        }
+        if (profile.waveIntervalFactor === 0 || profile.waveIntervalFactor > 1) {
+            throw new Error('Difficulty field waveIntervalFactor must be above 0 and at most 1');
+        }
+        for (const field of ['maxWaveSize', 'maxConcurrentDrones']) {
+            if (!Number.isInteger(profile[field]) || profile[field] < 1) {
+                throw new Error(`Difficulty field ${field} must be a whole number of at least 1`);
+            }
+        }
+        
+        return profile;
+    }
+
+    /**
+     * Check the armor of a custom profile (all of its fields have to be given)
+     * Throws an Error describing the first invalid field
+     * @param {Object} armor - Armor fields (see DIFFICULTY_PROFILES)
+     * @private
+     */
+    static _validateArmor(armor) {
+        if (!armor || typeof armor !== 'object' || Array.isArray(armor)) {
+            throw new Error('Difficulty field armor must be null or an object');
+        }
+        if (!Number.isFinite(armor.maxHealth) || armor.maxHealth <= 0) {
+            throw new Error('Difficulty field armor.maxHealth must be above 0');
+        }
+        for (const source of ['drone', 'mine', 'bomb']) {
+            const damage = armor.damage && armor.damage[source];
+            if (!Number.isFinite(damage) || damage < 0) {
+                throw new Error(`Difficulty field armor.damage.${source} must be a non-negative number`);
+            }
+        }
+        for (const field of ['invulnerability', 'repair']) {
+            if (!Number.isFinite(armor[field]) || armor[field] < 0) {
+                throw new Error(`Difficulty field armor.${field} must be a non-negative number`);
+            }
+        }
+        DifficultyDirector._validateCountRange(armor.repairKits, 'armor.repairKits');
+    }
+
+    /**
+     * Check a range of things placed on each map, e.g. mines
+     * Throws an Error if it isn't a valid range
+     * @param {Object} range - Range { min, max }
+     * @param {string} field - Field name for the error message
+     * @private
+     */
+    static _validateCountRange(range, field) {
+        if (!range || !Number.isInteger(range.min) || !Number.isInteger(range.max) || range.min < 0 || range.min > range.max) {
+            throw new Error(`Difficulty field ${field} must be { min, max } whole numbers with 0 <= min <= max`);
+        }
+    }
+}
@@ -1,9 +1,66 @@
+// Enemy drone types
+// behavior picks the class that moves the drone (see Drone.getClass); speed is relative to the
+// base drone speed and size to the tile size; ewHits is how many EW pulses it takes to bring
+// the drone down; contactKills is whether touching it destroys the platform; score is awarded
+// when it's destroyed; spawnWeight is its share of spawns from spawn number minSpawn on
+const DRONE_TYPES = {
+    // FPV drone flying straight at the platform
+    fpv: {
+        behavior: 'fpv', speed: 1, size: 0.8, ewHits: 1, contactKills: true, score: 5,
+        spawnWeight: 50, minSpawn: 1, sprite: 'drone_fpv', humSound: 'sfx_drone_hum', color: '#E74C3C'
+    },
+    // Ground drone driving around buildings
+    ground: {
+        behavior: 'ground', speed: 0.8, size: 0.8, ewHits: 1, contactKills: true, score: 5,
+        spawnWeight: 20, minSpawn: 1, sprite: 'drone_ground', humSound: 'sfx_hum_ground', color: '#6B7F3A'
+    },
+    // Kamikaze drone that dashes at the platform once it's close
+    kamikaze: {
+        behavior: 'kamikaze', speed: 0.9, size: 0.7, ewHits: 1, contactKills: true, score: 5,
+        spawnWeight: 12, minSpawn: 3, sprite: 'drone_kamikaze', humSound: 'sfx_hum_kamikaze', color: '#E67E22',
+        dashDistance: 3, // Tiles from the platform at which it starts the dash
+        dashSpeed: 2.2 // Speed multiplier during the dash
+    },
+    // Recon drone that circles the platform and calls in the next drone early
+    recon: {
+        behavior: 'recon', speed: 0.9, size: 0.6, ewHits: 1, contactKills: false, score: 10,
+        spawnWeight: 8, minSpawn: 4, sprite: 'drone_recon', humSound: 'sfx_hum_recon', color: '#95A5A6',
+        orbitRadius: 4, // Tiles from the platform
+        callInterval: 6000 // Milliseconds of watching the platform between call-ins
+    },
+    // FPV drone with shielded electronics that takes two EW pulses
+    ewResistant: {
+        behavior: 'fpv', speed: 0.9, size: 0.8, ewHits: 2, contactKills: true, score: 10,
+        spawnWeight: 10, minSpawn: 5, sprite: 'drone_ew_resistant', humSound: 'sfx_hum_ew_resistant', color: '#8E44AD'
+    },
+    // Heavy "Baba Yaga" bomber that hovers over the platform and drops munitions on its tile
+    bomber: {
+        behavior: 'bomber', speed: 0.5, size: 1.1, ewHits: 2, contactKills: false, score: 15,
+        spawnWeight: 6, minSpawn: 6, sprite: 'drone_bomber', humSound: 'sfx_hum_bomber', color: '#34495E',
+        bombRange: 1.5, // Tiles from the platform within which it drops
+        bombInterval: 2500, // Milliseconds between drops
+        bombFuse: 1500, // Milliseconds from drop to explosion
+        bombRadius: 1 // Blast radius in tiles
+    }
+};
+
 /**
  * Drone class
- * Manages enemy FPV drones that move toward the player
+ * Base enemy drone: an FPV drone that flies straight toward the player, over buildings
+ * Other behaviors extend it (see DRONE_TYPES)
  */
 class Drone {
-    constructor(x, y, width, height, player, audioManager) {
+    /**
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Player} player - Player to pursue
+     * @param {AudioManager} audioManager - Audio manager
+     * @param {Function} [random=Math.random] - Random source
+     * @param {string} [type='fpv'] - Key in DRONE_TYPES
+     */
+    constructor(x, y, width, height, player, audioManager, random = Math.random, type = 'fpv') {
         this.x = x;
         this.y = y;
         this.width = width;
@@ -11,14 +68,23 @@ class Drone {
         this.player = player;
         this.audioManager = audioManager;
         
-        this.speed = 2.81; // Base speed increased by 30% (from 2.16 to 2.81)
+        // Type definition
+        this.type = type;
+        this.definition = DRONE_TYPES[type];
+        this.scoreValue = this.definition.score;
+        this.contactKills = this.definition.contactKills;
+        this.ewHitsLeft = this.definition.ewHits; // EW pulses still needed to bring it down
+        this.lastEWPulse = null; // Last EW pulse that hit it (a pulse only counts once)
+        
+        this.speed = 168.6 * this.definition.speed; // Base speed in pixels per second (2.81 pixels per frame at 60 FPS)
         this.isDestroyed = false;
         this.destroyAnimation = 0;
         
         // Oscillation for movement to make it look more natural
         this.oscillationAmplitude = 1;
         this.oscillationSpeed = 0.1;
-        this.oscillationOffset = Math.random() * Math.PI * 2;
+        this.oscillationOffset = random() * Math.PI * 2;
+        this.flightTime = 0; // Milliseconds since the drone became active (drives the oscillation)
         
         // Audio settings
         this.audioActivationDistance = width * 10; // Distance within which drone hum is played
@@ -38,8 +104,8 @@ class Drone {
             // Create a unique ID for this drone instance
             this.humSoundId = `sfx_drone_hum_${this.x}_${this.y}_${Date.now()}`;
             
-            // Use the special createDroneHumSound method (true = loop)
-            this.humSound = this.audioManager.createDroneHumSound(this.humSoundId, true);
+            // Use the special createDroneHumSound method (true = loop) with this type's hum
+            this.humSound = this.audioManager.createDroneHumSound(this.humSoundId, true, this.definition.humSound);
             
             if (this.humSound) {
                 this.isPlayingHumSound = true;
@@ -61,6 +127,41 @@ class Drone {
             return this.destroyAnimation >= 1000; // Remove after 1 second
         }
         
+        this.flightTime += deltaTime;
+        
+        const distance = this._moveTowardPlayer(deltaTime, map);
+        
+        // Only check sound based on distance if it's not already playing
+        // If the sound is already playing (from warning stage), keep it playing
+        if (!this.isPlayingHumSound) {
+            // Update sound based on distance - but with hysteresis to prevent cycling
+            const isNearPlayer = distance < this.audioActivationDistance;
+            
+            // Start sound when within activation distance
+            if (isNearPlayer) {
+                this._startHumSound();
+            }
+        } 
+        else if (distance > this.audioActivationDistance * 1.5) {
+            // Only stop sound when well outside activation distance (50% buffer)
+            // This is a larger buffer than before to prevent sound cycling
+            this.audioManager.stopSfx(this.humSoundId);
+            this.isPlayingHumSound = false;
+            this.humSound = null;
+            console.log(`Stopped drone hum (distance): ${this.humSoundId}`);
+        }
+        
+        return false; // Don't remove
+    }
+
+    /**
+     * Fly straight at the player, over buildings
+     * @param {number} deltaTime - Time since last update in milliseconds
+     * @param {Object} map - Current map data
+     * @returns {number} Distance to the player before moving
+     * @protected
+     */
+    _moveTowardPlayer(deltaTime, map) {
         // Calculate direction to player
         const playerCenter = {
             x: this.player.x + this.player.width / 2,
@@ -83,43 +184,48 @@ class Drone {
             const dirY = dy / distance;
             
             // Apply oscillation for more natural movement
-            const oscillation = Math.sin((Date.now() * this.oscillationSpeed + this.oscillationOffset)) * this.oscillationAmplitude;
+            const oscillation = Math.sin((this.flightTime * this.oscillationSpeed + this.oscillationOffset)) * this.oscillationAmplitude;
             const perpX = -dirY; // Perpendicular vector
             const perpY = dirX;
             
-            // Move towards player with some oscillation
-            this.x += (dirX + perpX * oscillation) * this.speed;
-            this.y += (dirY + perpY * oscillation) * this.speed;
+            // Move towards player with some oscillation (speed is in pixels per second)
+            const step = this.speed * deltaTime / 1000;
+            this.x += (dirX + perpX * oscillation) * step;
+            this.y += (dirY + perpY * oscillation) * step;
         }
         
-        // Only check sound based on distance if it's not already playing
-        // If the sound is already playing (from warning stage), keep it playing
-        if (!this.isPlayingHumSound) {
-            // Update sound based on distance - but with hysteresis to prevent cycling
-            const isNearPlayer = distance < this.audioActivationDistance;
-            
-            // Start sound when within activation distance
-            if (isNearPlayer) {
-                this._startHumSound();
-            }
-        } 
-        else if (distance > this.audioActivationDistance * 1.5) {
-            // Only stop sound when well outside activation distance (50% buffer)
-            // This is a larger buffer than before to prevent sound cycling
-            this.audioManager.stopSfx(this.humSoundId);
-            this.isPlayingHumSound = false;
-            this.humSound = null;
-            console.log(`Stopped drone hum (distance): ${this.humSoundId}`);
+        return distance;
+    }
+
+    /**
+     * Move the drone's center toward a point, stopping on it
+     * @param {number} x - Target X coordinate
+     * @param {number} y - Target Y coordinate
+     * @param {number} step - Maximum distance to move
+     * @returns {number} Distance moved
+     * @protected
+     */
+    _moveToward(x, y, step) {
+        const dx = x - (this.x + this.width / 2);
+        const dy = y - (this.y + this.height / 2);
+        const distance = Math.hypot(dx, dy);
+        if (distance <= step) {
+            this.x += dx;
+            this.y += dy;
+            return distance;
         }
         
-        return false; // Don't remove
+        this.x += dx / distance * step;
+        this.y += dy / distance * step;
+        return step;
     }
 
     /**
      * Draw the drone
      * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {ImageManager} [imageManager] - Image manager to get the drone's sprite
      */
-    draw(ctx) {
+    draw(ctx, imageManager) {
         if (this.isDestroyed) {
             // Draw explosion animation
             const explosionProgress = this.destroyAnimation / 1000; // 0 to 1
@@ -129,35 +235,58 @@ class Drone {
             ctx.arc(this.x + this.width / 2, this.y + this.height / 2, radius, 0, Math.PI * 2);
             ctx.fillStyle = `rgba(255, 100, 0, ${1 - explosionProgress})`;
             ctx.fill();
+            return;
+        }
+        
+        // Use the type's sprite if it loaded, otherwise draw a simple shape
+        const sprite = imageManager ? imageManager.getImage(this.definition.sprite) : null;
+        if (sprite) {
+            ctx.drawImage(sprite, this.x, this.y, this.width, this.height);
         } else {
-            // Draw drone body
-            ctx.fillStyle = '#E74C3C'; // Red color for enemy drones
-            ctx.fillRect(this.x, this.y, this.width, this.height);
-            
-            // Draw propellers
-            ctx.fillStyle = '#7F8C8D'; // Gray color for propellers
-            const propellerSize = this.width / 4;
-            
-            // Top-left propeller
-            ctx.fillRect(this.x - propellerSize / 2, this.y - propellerSize / 2, propellerSize, propellerSize);
-            
-            // Top-right propeller
-            ctx.fillRect(this.x + this.width - propellerSize / 2, this.y - propellerSize / 2, propellerSize, propellerSize);
-            
-            // Bottom-left propeller
-            ctx.fillRect(this.x - propellerSize / 2, this.y + this.height - propellerSize / 2, propellerSize, propellerSize);
-            
-            // Bottom-right propeller
-            ctx.fillRect(this.x + this.width - propellerSize / 2, this.y + this.height - propellerSize / 2, propellerSize, propellerSize);
+            this._drawShape(ctx);
+        }
+        
+        // Mark drones an EW pulse has already hit
+        if (this.ewHitsLeft < this.definition.ewHits) {
+            ctx.strokeStyle = 'rgba(52, 152, 219, 0.8)';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(this.x - 2, this.y - 2, this.width + 4, this.height + 4);
         }
     }
 
+    /**
+     * Draw the drone without a sprite
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @protected
+     */
+    _drawShape(ctx) {
+        // Draw drone body
+        ctx.fillStyle = this.definition.color;
+        ctx.fillRect(this.x, this.y, this.width, this.height);
+        
+        // Draw propellers
+        ctx.fillStyle = '#7F8C8D'; // Gray color for propellers
+        const propellerSize = this.width / 4;
+        
+        // Top-left propeller
+        ctx.fillRect(this.x - propellerSize / 2, this.y - propellerSize / 2, propellerSize, propellerSize);
+        
+        // Top-right propeller
+        ctx.fillRect(this.x + this.width - propellerSize / 2, this.y - propellerSize / 2, propellerSize, propellerSize);
+        
+        // Bottom-left propeller
+        ctx.fillRect(this.x - propellerSize / 2, this.y + this.height - propellerSize / 2, propellerSize, propellerSize);
+        
+        // Bottom-right propeller
+        ctx.fillRect(this.x + this.width - propellerSize / 2, this.y + this.height - propellerSize / 2, propellerSize, propellerSize);
+    }
+
     /**
      * Check if drone collides with player
      * @returns {boolean} Whether collision occurred
      */
     checkPlayerCollision() {
-        if (this.isDestroyed) return false;
+        if (this.isDestroyed || !this.contactKills) return false;
         
         // Use the player's collision bounds for more accurate collision
         const playerBounds = this.player.getCollisionBounds();
@@ -168,27 +297,91 @@ class Drone {
         );
     }
 
+    /**
+     * Take a hit from an EW pulse
+     * A pulse counts once, however long the drone stays within the EW radius
+     * @param {number} pulse - Number of the EW activation
+     * @returns {boolean} Whether the hit brought the drone down
+     */
+    hitByEW(pulse) {
+        if (this.isDestroyed || pulse === this.lastEWPulse) return false;
+        
+        this.lastEWPulse = pulse;
+        this.ewHitsLeft--;
+        if (this.ewHitsLeft > 0) {
+            return false;
+        }
+        
+        this.destroy();
+        return true;
+    }
+
+    /**
+     * Check if the drone has called in reinforcements since the last check
+     * @returns {boolean} Whether the next drone should come early
+     */
+    takeCallIn() {
+        return false;
+    }
+
+    /**
+     * Get the munition the drone dropped since the last check
+     * @returns {Object|null} Bomb { x, y, fuse, radius }, or null if nothing was dropped
+     */
+    takeBombDrop() {
+        return null;
+    }
+
     /**
      * Factory method to create a drone at a random edge position
      * @param {Object} map - Current map data
      * @param {Player} player - Player object
      * @param {AudioManager} audioManager - Audio manager
+     * @param {Function} [random=Math.random] - Random source (pass a seeded one for reproducible spawns)
+     * @param {string} [type='fpv'] - Key in DRONE_TYPES
+     * @param {Object} [view] - Part of the map on screen { x, y, width, height }; the drone comes in from
+     *     just outside it (see getRandomEdgePosition)
      * @returns {Drone} New drone instance
      */
-    static createRandomDrone(map, player, audioManager) {
-        const droneSize = map.tileSize * 0.8;
-        const position = getRandomEdgePosition(map.width, map.height, map.tileSize);
+    static createRandomDrone(map, player, audioManager, random = Math.random, type = 'fpv', view = null) {
+        const droneSize = map.tileSize * DRONE_TYPES[type].size;
+        const position = getRandomEdgePosition(map.width, map.height, map.tileSize, random, view);
+        const DroneClass = Drone.getClass(DRONE_TYPES[type].behavior);
         
-        return new Drone(
+        return new DroneClass(
             position.x, 
             position.y, 
             droneSize, 
             droneSize, 
             player, 
-            audioManager
+            audioManager,
+            random,
+            type
         );
     }
 
+    /**
+     * Get the class implementing a drone behavior
+     * @param {string} behavior - Behavior name from DRONE_TYPES
+     * @returns {Function} Drone class
+     */
+    static getClass(behavior) {
+        switch (behavior) {
+            case 'fpv':
+                return Drone;
+            case 'ground':
+                return GroundDrone;
+            case 'kamikaze':
+                return KamikazeDrone;
+            case 'recon':
+                return ReconDrone;
+            case 'bomber':
+                return BomberDrone;
+            default:
+                throw new Error(`Unknown drone behavior: ${behavior}`);
+        }
+    }
+
     destroy() {
         // Force stop the drone hum sound
         if (this.isPlayingHumSound) {
@@ -212,33 +405,343 @@ class Drone {
     }
 }
 
+/**
+ * GroundDrone class
+ * Ground-hugging drone that can't cross buildings: drives around them along an A* path
+ * over the map tiles, replanning as the player moves
+ */
+class GroundDrone extends Drone {
+    constructor(x, y, width, height, player, audioManager, random = Math.random, type = 'ground') {
+        super(x, y, width, height, player, audioManager, random, type);
+        
+        // Path caching
+        this.path = null; // Tiles left to drive through, or null if the player can't be reached
+        this.pathGoal = null; // Tile the path leads to (the player's tile when it was planned)
+        this.replanInterval = 500; // Milliseconds between checks whether the player changed tile
+        this.replanTimer = 0; // Time left until the next check (plans on the first update)
+    }
+
+    /**
+     * Drive toward the player along the cached path, replanning it when the player has moved to another tile
+     * Holds position while the player can't be reached
+     * @param {number} deltaTime - Time since last update in milliseconds
+     * @param {Object} map - Current map data
+     * @returns {number} Distance to the player before moving
+     * @protected
+     */
+    _moveTowardPlayer(deltaTime, map) {
+        const playerCenter = {
+            x: this.player.x + this.player.width / 2,
+            y: this.player.y + this.player.height / 2
+        };
+        const droneCenter = {
+            x: this.x + this.width / 2,
+            y: this.y + this.height / 2
+        };
+        const distance = Math.hypot(playerCenter.x - droneCenter.x, playerCenter.y - droneCenter.y);
+        
+        this.replanTimer -= deltaTime;
+        if (this.replanTimer <= 0) {
+            this.replanTimer = this.replanInterval;
+            
+            const goal = Pathfinder.getTile(map, playerCenter.x, playerCenter.y);
+            if (!this.path || goal.x !== this.pathGoal.x || goal.y !== this.pathGoal.y) {
+                this.path = Pathfinder.findPath(map, Pathfinder.getTile(map, droneCenter.x, droneCenter.y), goal);
+                this.pathGoal = goal;
+            }
+        }
+        
+        if (!this.path) {
+            return distance;
+        }
+        
+        // Drive through the centers of the path tiles
+        let step = this.speed * deltaTime / 1000;
+        while (step > 0 && this.path.length > 0) {
+            const tile = this.path[0];
+            const reached = this._moveToward(
+                (tile.x + 0.5) * map.tileSize,
+                (tile.y + 0.5) * map.tileSize,
+                step
+            );
+            step -= reached;
+            if (step > 0) {
+                this.path.shift();
+            }
+        }
+        
+        // In the player's tile nothing is in the way any more
+        if (step > 0) {
+            this._moveToward(playerCenter.x, playerCenter.y, step);
+        }
+        
+        return distance;
+    }
+
+    /**
+     * Draw the drone without a sprite
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @protected
+     */
+    _drawShape(ctx) {
+        // Draw tracks
+        ctx.fillStyle = '#2C3E50'; // Dark color for tracks
+        const trackWidth = this.width / 5;
+        ctx.fillRect(this.x, this.y, trackWidth, this.height);
+        ctx.fillRect(this.x + this.width - trackWidth, this.y, trackWidth, this.height);
+        
+        // Draw hull
+        ctx.fillStyle = this.definition.color;
+        ctx.fillRect(this.x + trackWidth, this.y + this.height / 8, this.width - trackWidth * 2, this.height * 3 / 4);
+        
+        // Draw warhead
+        ctx.fillStyle = '#E74C3C'; // Red marks it as an enemy, like the FPV drones
+        ctx.beginPath();
+        ctx.arc(this.x + this.width / 2, this.y + this.height / 2, this.width / 6, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+/**
+ * KamikazeDrone class
+ * Approaches like an FPV drone, then dashes straight at the player once it's close
+ */
+class KamikazeDrone extends Drone {
+    constructor(x, y, width, height, player, audioManager, random = Math.random, type = 'kamikaze') {
+        super(x, y, width, height, player, audioManager, random, type);
+        
+        this.isDashing = false; // Once started, the dash doesn't stop
+    }
+
+    /**
+     * Fly at the player, dashing once within dash distance
+     * @param {number} deltaTime - Time since last update in milliseconds
+     * @param {Object} map - Current map data
+     * @returns {number} Distance to the player before moving
+     * @protected
+     */
+    _moveTowardPlayer(deltaTime, map) {
+        if (!this.isDashing) {
+            const distance = super._moveTowardPlayer(deltaTime, map);
+            this.isDashing = distance <= this.definition.dashDistance * map.tileSize;
+            return distance;
+        }
+        
+        const playerCenterX = this.player.x + this.player.width / 2;
+        const playerCenterY = this.player.y + this.player.height / 2;
+        const distance = Math.hypot(playerCenterX - (this.x + this.width / 2), playerCenterY - (this.y + this.height / 2));
+        
+        // No weaving during the dash
+        this._moveToward(playerCenterX, playerCenterY, this.speed * this.definition.dashSpeed * deltaTime / 1000);
+        return distance;
+    }
+
+    /**
+     * Draw the drone without a sprite
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @protected
+     */
+    _drawShape(ctx) {
+        super._drawShape(ctx);
+        
+        // Draw the warhead, glowing during the dash
+        ctx.fillStyle = this.isDashing ? '#F1C40F' : '#C0392B';
+        ctx.beginPath();
+        ctx.arc(this.x + this.width / 2, this.y + this.height / 2, this.width / 4, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+/**
+ * ReconDrone class
+ * Circles the player at a distance instead of attacking, calling in the next drone early
+ * for as long as it keeps watching
+ */
+class ReconDrone extends Drone {
+    constructor(x, y, width, height, player, audioManager, random = Math.random, type = 'recon') {
+        super(x, y, width, height, player, audioManager, random, type);
+        
+        this.orbitDirection = this.oscillationOffset < Math.PI ? 1 : -1; // Clockwise or counter-clockwise
+        this.watchTime = 0; // Milliseconds spent near the player since the last call-in
+        this.callInPending = false;
+    }
+
+    /**
+     * Fly to the orbit around the player and circle along it
+     * @param {number} deltaTime - Time since last update in milliseconds
+     * @param {Object} map - Current map data
+     * @returns {number} Distance to the player before moving
+     * @protected
+     */
+    _moveTowardPlayer(deltaTime, map) {
+        const playerCenterX = this.player.x + this.player.width / 2;
+        const playerCenterY = this.player.y + this.player.height / 2;
+        const droneCenterX = this.x + this.width / 2;
+        const droneCenterY = this.y + this.height / 2;
+        const distance = Math.hypot(playerCenterX - droneCenterX, playerCenterY - droneCenterY);
+        
+        // Head for the point of the orbit one step ahead of the drone's bearing from the player,
+        // which brings it onto the orbit from afar and keeps it circling once there
+        const radius = this.definition.orbitRadius * map.tileSize;
+        const step = this.speed * deltaTime / 1000;
+        const angle = Math.atan2(droneCenterY - playerCenterY, droneCenterX - playerCenterX) +
+            this.orbitDirection * step / radius;
+        this._moveToward(playerCenterX + Math.cos(angle) * radius, playerCenterY + Math.sin(angle) * radius, step);
+        
+        if (distance <= radius * 1.5) {
+            this.watchTime += deltaTime;
+            if (this.watchTime >= this.definition.callInterval) {
+                this.watchTime = 0;
+                this.callInPending = true;
+            }
+        }
+        
+        return distance;
+    }
+
+    /**
+     * Check if the drone has called in reinforcements since the last check
+     * @returns {boolean} Whether the next drone should come early
+     */
+    takeCallIn() {
+        const callIn = this.callInPending;
+        this.callInPending = false;
+        return callIn;
+    }
+
+    /**
+     * Draw the drone without a sprite
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @protected
+     */
+    _drawShape(ctx) {
+        // Draw wings and fuselage of a small fixed-wing drone
+        ctx.fillStyle = this.definition.color;
+        ctx.fillRect(this.x - this.width / 2, this.y + this.height / 3, this.width * 2, this.height / 3);
+        ctx.fillRect(this.x + this.width / 3, this.y, this.width / 3, this.height);
+        
+        // Draw camera
+        ctx.fillStyle = '#2C3E50';
+        ctx.beginPath();
+        ctx.arc(this.x + this.width / 2, this.y + this.height / 2, this.width / 6, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+/**
+ * BomberDrone class
+ * Heavy "Baba Yaga" multicopter: slowly follows the player and drops munitions on the tile below it
+ * The munitions, not the drone, are the danger (see DroneManager._updateBombs)
+ */
+class BomberDrone extends Drone {
+    constructor(x, y, width, height, player, audioManager, random = Math.random, type = 'bomber') {
+        super(x, y, width, height, player, audioManager, random, type);
+        
+        this.bombTimer = 0; // Milliseconds until it can drop again
+        this.pendingBomb = null; // Dropped munition the DroneManager hasn't taken yet
+    }
+
+    /**
+     * Follow the player, dropping a munition whenever it's close and reloaded
+     * @param {number} deltaTime - Time since last update in milliseconds
+     * @param {Object} map - Current map data
+     * @returns {number} Distance to the player before moving
+     * @protected
+     */
+    _moveTowardPlayer(deltaTime, map) {
+        const distance = super._moveTowardPlayer(deltaTime, map);
+        
+        this.bombTimer -= deltaTime;
+        if (this.bombTimer <= 0 && distance <= this.definition.bombRange * map.tileSize) {
+            this.bombTimer = this.definition.bombInterval;
+            
+            const tile = Pathfinder.getTile(map, this.x + this.width / 2, this.y + this.height / 2);
+            this.pendingBomb = {
+                x: (tile.x + 0.5) * map.tileSize,
+                y: (tile.y + 0.5) * map.tileSize,
+                fuse: this.definition.bombFuse,
+                radius: this.definition.bombRadius * map.tileSize
+            };
+        }
+        
+        return distance;
+    }
+
+    /**
+     * Get the munition the drone dropped since the last check
+     * @returns {Object|null} Bomb { x, y, fuse, radius }, or null if nothing was dropped
+     */
+    takeBombDrop() {
+        const bomb = this.pendingBomb;
+        this.pendingBomb = null;
+        return bomb;
+    }
+
+    /**
+     * Draw the drone without a sprite
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @protected
+     */
+    _drawShape(ctx) {
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        
+        // Draw six rotors around the frame
+        ctx.fillStyle = '#7F8C8D'; // Gray color for propellers
+        for (let i = 0; i < 6; i++) {
+            const angle = i * Math.PI / 3;
+            ctx.beginPath();
+            ctx.arc(centerX + Math.cos(angle) * this.width / 2, centerY + Math.sin(angle) * this.height / 2,
+                this.width / 6, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        
+        // Draw body
+        ctx.fillStyle = this.definition.color;
+        ctx.fillRect(this.x + this.width / 4, this.y + this.height / 4, this.width / 2, this.height / 2);
+    }
+}
+
 /**
  * DroneManager class
  * Handles spawning and managing drones
  */
 class DroneManager {
-    constructor(map, player, audioManager) {
+    /**
+     * @param {Object} map - Current map data
+     * @param {Player} player - Player the drones pursue
+     * @param {AudioManager} audioManager - Audio manager
+     * @param {Object} [difficulty] - Difficulty profile (see DIFFICULTY_PROFILES)
+     * @param {Camera} [camera] - Camera whose view drones come in from outside of; without one they come in
+     *     from the map edges
+     */
+    constructor(map, player, audioManager, difficulty = DIFFICULTY_PROFILES.normal, camera = null) {
         this.map = map;
         this.player = player;
         this.audioManager = audioManager;
+        this.camera = camera;
         this.drones = [];
         
-        // Store the next drone that will be spawned
+        // Store the next drone that will be spawned, and the view it was placed outside of
         this.pendingDrone = null;
+        this.pendingView = null;
         
-        // Static values that don't change
-        this.initialSpawnRange = { min: 7000, max: 10000 }; // 7-10 seconds for first drone
-        this.baseSpawnInterval = 15000; // Base interval for calculating subsequent spawns
-        this.spawnReduction = 0.95; // Reduce spawn time by 5% each spawn
+        // Spawn randomness is seeded from the map so spawn times and edges are reproducible
+        this.random = DroneManager._createSpawnRandom(map);
         
-        // Drone spawning (these will persist between rounds)
-        this.spawnInterval = this.baseSpawnInterval; // Regular interval between drones
-        this.spawnTimer = this._getFirstDroneSpawnTime(); // Random time for first drone
-        this.spawnCount = 0; // Count of drones spawned across all rounds
+        // Drone types are drawn from their own seeded stream, so spawn times and edges stay as before
+        this.typeRandom = DroneManager._createSpawnRandom(map, 'droneTypes');
         
-        // Drone speed progression (these will persist between rounds)
-        this.speedMultiplier = 1.0; // Starting multiplier
-        this.speedIncrease = 0.05; // Each drone is 5% faster than the previous
+        this.bombs = []; // Munitions dropped by bombers, see _updateBombs()
+        this.bombBlastDuration = 500; // Milliseconds an explosion stays on screen
+        this.ewPulse = 0; // Number of EW activations, so a pulse hits each drone only once
+        
+        // Wave timing, drone speed and the drone cap come from the difficulty director,
+        // whose progression persists between rounds
+        this.director = new DifficultyDirector(difficulty);
+        this.director.startMission();
+        this.spawnTimer = this.director.getFirstWaveDelay(this.random); // Random time for first drone
+        this.spawnCount = 0; // Count of drones spawned across all rounds
         
         // Sound starts playing 2 seconds before drone appears
         this.warningTime = 2000; // 2 seconds sound before spawn
@@ -246,44 +749,91 @@ class DroneManager {
     }
 
     /**
-     * Get a random spawn time for the first drone in a round
-     * @returns {number} Time in milliseconds
+     * Switch to another difficulty profile, starting its progression from scratch
+     * @param {Object} difficulty - Difficulty profile (see DIFFICULTY_PROFILES)
+     */
+    setDifficulty(difficulty) {
+        this.director = new DifficultyDirector(difficulty);
+    }
+
+    /**
+     * Create the random source used for drone spawning on a map
+     * @param {Object} map - Map data (uses its seed if present)
+     * @param {string} [stream='drones'] - Name of the random stream
+     * @returns {Function} Random function returning floats in [0, 1)
      * @private
      */
-    _getFirstDroneSpawnTime() {
-        return Math.floor(
-            this.initialSpawnRange.min + 
-            Math.random() * (this.initialSpawnRange.max - this.initialSpawnRange.min)
-        );
+    static _createSpawnRandom(map, stream = 'drones') {
+        return map && map.seed ? createSeededRandom(`${map.seed}:${stream}`) : Math.random;
+    }
+
+    /**
+     * Create a drone of a random type at a random edge position
+     * @returns {Drone} New drone
+     * @private
+     */
+    _createDrone() {
+        const type = this._pickDroneType();
+        const drone = Drone.createRandomDrone(this.map, this.player, this.audioManager, this.random, type,
+            this.camera ? this.camera.getView() : null);
+        
+        // Drones get faster as the difficulty rises
+        drone.speed *= this.director.getSpeedMultiplier();
+        
+        return drone;
+    }
+
+    /**
+     * Pick the type of the next drone by the spawn weights of the types unlocked so far
+     * @returns {string} Key in DRONE_TYPES
+     * @private
+     */
+    _pickDroneType() {
+        const spawnNumber = this.spawnCount + 1;
+        const types = Object.keys(DRONE_TYPES).filter(type => DRONE_TYPES[type].minSpawn <= spawnNumber);
+        const totalWeight = types.reduce((sum, type) => sum + DRONE_TYPES[type].spawnWeight, 0);
+        
+        let roll = this.typeRandom() * totalWeight;
+        for (const type of types) {
+            roll -= DRONE_TYPES[type].spawnWeight;
+            if (roll < 0) {
+                return type;
+            }
+        }
+        return types[types.length - 1];
     }
 
     /**
      * Update all drones and manage spawning
      * @param {number} deltaTime - Time since last update in milliseconds
      * @param {Object} map - Current map data
-     * @returns {boolean} Whether a collision with player occurred
+     * @returns {string|null} What hit the player this update ('drone' or 'bomb'), or null if nothing did
      */
     update(deltaTime, map) {
         this.map = map; // Update map reference
+        this.director.update(deltaTime);
         
         // Update spawn timer
         this.spawnTimer -= deltaTime;
         
         // Check if we should start playing the drone sound (2 seconds before visual appearance)
         if (this.spawnTimer <= this.warningTime && !this.warningActive) {
-            console.log("Starting drone sound 2 seconds before visual appearance");
-            
-            // Create the drone but don't make it visible yet
-            this.pendingDrone = Drone.createRandomDrone(this.map, this.player, this.audioManager);
-            
-            // Apply current speed multiplier to this drone
-            this.pendingDrone.speed *= this.speedMultiplier;
-            
-            // Start playing the drone sound 2 seconds before it appears
-            // The sound will continue playing as the drone becomes visible
-            this.pendingDrone._startHumSound();
-            
-            this.warningActive = true;
+            if (this._getActiveDroneCount() >= this.director.getMaxConcurrentDrones()) {
+                // Hold the next drone back while as many drones as the difficulty allows are in the air
+                this.spawnTimer = this.warningTime;
+            } else {
+                console.log("Starting drone sound 2 seconds before visual appearance");
+                
+                // Create the drone but don't make it visible yet
+                this.pendingDrone = this._createDrone();
+                this.pendingView = this.camera ? this.camera.getView() : null;
+                
+                // Start playing the drone sound 2 seconds before it appears
+                // The sound will continue playing as the drone becomes visible
+                this.pendingDrone._startHumSound();
+                
+                this.warningActive = true;
+            }
         }
         
         // Check if it's time to spawn a new drone
@@ -292,6 +842,7 @@ class DroneManager {
                 console.log("Adding pending drone to active drones");
                 // Add the pending drone to the active drones array
                 // The sound is already playing, so it will continue seamlessly
+                this._keepOffScreen(this.pendingDrone, this.pendingView);
                 this.drones.push(this.pendingDrone);
                 this.pendingDrone = null;
             } else {
@@ -303,33 +854,32 @@ class DroneManager {
             // Increment spawn count
             this.spawnCount++;
             
-            // Calculate next spawn time based on how many drones have been spawned
-            if (this.spawnCount <= 1) {
-                // If this was the first drone ever, use the base interval next
-                this.spawnTimer = this.baseSpawnInterval;
-            } else {
-                // Otherwise use the progressively decreasing interval
-                this.spawnTimer = this.spawnInterval;
-                // Reduce spawn interval for next drone
-                this.spawnInterval *= this.spawnReduction;
-            }
-            
+            // The next drone either follows within the wave or opens the next wave
+            this.spawnTimer = this.director.getNextSpawnDelay();
             this.warningActive = false;
-            
-            // Increase speed for next drone
-            this.speedMultiplier += this.speedIncrease;
         }
         
         // Update all drones
-        let playerCollision = false;
+        let playerHit = null;
         
         for (let i = this.drones.length - 1; i >= 0; i--) {
             const drone = this.drones[i];
             const shouldRemove = drone.update(deltaTime, map);
             
-            // Check for collision with player
-            if (!playerCollision && drone.checkPlayerCollision()) {
-                playerCollision = true;
+            // A recon drone that has watched the player long enough brings the next drone in now
+            if (drone.takeCallIn()) {
+                this.spawnTimer = Math.min(this.spawnTimer, this.warningTime);
+            }
+            
+            const bomb = drone.takeBombDrop();
+            if (bomb) {
+                this.bombs.push({ ...bomb, blastTime: 0 });
+            }
+            
+            // A drone that reaches the player blows up on impact
+            if (drone.checkPlayerCollision()) {
+                drone.destroy();
+                playerHit = 'drone';
             }
             
             // Remove drone if needed
@@ -338,37 +888,146 @@ class DroneManager {
             }
         }
         
-        return playerCollision;
+        if (this._updateBombs(deltaTime) && !playerHit) {
+            playerHit = 'bomb';
+        }
+        
+        return playerHit;
+    }
+
+    /**
+     * Count down the fuses of dropped munitions and explode them
+     * @param {number} deltaTime - Time since last update in milliseconds
+     * @returns {boolean} Whether the player was caught in a blast
+     * @private
+     */
+    _updateBombs(deltaTime) {
+        let playerHit = false;
+        const playerCenterX = this.player.x + this.player.width / 2;
+        const playerCenterY = this.player.y + this.player.height / 2;
+        
+        for (let i = this.bombs.length - 1; i >= 0; i--) {
+            const bomb = this.bombs[i];
+            
+            if (bomb.fuse > 0) {
+                bomb.fuse -= deltaTime;
+                if (bomb.fuse <= 0) {
+                    this.audioManager.playSfx('sfx_explosion');
+                    if (calculateDistance(bomb.x, bomb.y, playerCenterX, playerCenterY) <= bomb.radius) {
+                        playerHit = true;
+                    } else if (this._isNearPlayer(bomb.x, bomb.y, bomb.radius)) {
+                        this._easeOff();
+                    }
+                }
+            } else {
+                bomb.blastTime += deltaTime;
+                if (bomb.blastTime >= this.bombBlastDuration) {
+                    this.bombs.splice(i, 1);
+                }
+            }
+        }
+        
+        return playerHit;
     }
 
     /**
-     * Draw all drones
+     * Draw all drones and dropped munitions
      * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {ImageManager} [imageManager] - Image manager to get drone sprites
      */
-    draw(ctx) {
+    draw(ctx, imageManager) {
+        // Draw munitions below the drones
+        this.bombs.forEach(bomb => {
+            ctx.beginPath();
+            ctx.arc(bomb.x, bomb.y, bomb.radius, 0, Math.PI * 2);
+            if (bomb.fuse > 0) {
+                // Blinking blast zone, faster as the fuse runs out
+                const blink = Math.floor(bomb.fuse / (bomb.fuse > 500 ? 200 : 100)) % 2 === 0;
+                ctx.strokeStyle = blink ? 'rgba(231, 76, 60, 0.9)' : 'rgba(231, 76, 60, 0.4)';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            } else {
+                ctx.fillStyle = `rgba(255, 100, 0, ${1 - bomb.blastTime / this.bombBlastDuration})`;
+                ctx.fill();
+            }
+        });
+        
         // Draw the active drones
-        this.drones.forEach(drone => drone.draw(ctx));
+        this.drones.forEach(drone => drone.draw(ctx, imageManager));
         
         // Don't draw the pending drone - it's not visible yet, only its sound is playing
     }
 
     /**
-     * Check if any drone is within EW radius
-     * @param {boolean} [ewJustActivated=false] - Whether EW was just activated this frame
-     * @returns {number} Number of drones destroyed
+     * Hit the drones within EW radius with the current EW pulse
+     * @param {boolean} [ewJustActivated=false] - Whether EW was just activated this frame (starts a new pulse)
+     * @returns {Object} { count, points } of the drones destroyed
      */
     checkEWDestruction(ewJustActivated = false) {
-        let destroyedCount = 0;
+        if (ewJustActivated) {
+            this.ewPulse++;
+        }
+        
+        let count = 0;
+        let points = 0;
+        let nearDeath = false;
         
         this.drones.forEach(drone => {
+            const droneCenterX = drone.x + drone.width / 2;
+            const droneCenterY = drone.y + drone.height / 2;
             if (!drone.isDestroyed && 
-                this.player.isWithinEWRadius(drone.x + drone.width / 2, drone.y + drone.height / 2)) {
-                drone.destroy(); // Use the destroy method instead of setting isDestroyed directly
-                destroyedCount++;
+                this.player.isWithinEWRadius(droneCenterX, droneCenterY) &&
+                drone.hitByEW(this.ewPulse)) {
+                count++;
+                points += drone.scoreValue;
+                
+                // Brought down just short of the platform
+                if (drone.contactKills && this._isNearPlayer(droneCenterX, droneCenterY, 0)) {
+                    nearDeath = true;
+                }
             }
         });
         
-        return destroyedCount;
+        if (nearDeath) {
+            this._easeOff();
+        }
+        
+        return { count, points };
+    }
+
+    /**
+     * Check if a point is within near-death distance of the player
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} margin - Extra distance in pixels (e.g. a blast radius)
+     * @returns {boolean} Whether the point is that close
+     * @private
+     */
+    _isNearPlayer(x, y, margin) {
+        const distance = calculateDistance(x, y, this.player.x + this.player.width / 2, this.player.y + this.player.height / 2);
+        return distance <= this.director.getNearDeathDistance(this.map.tileSize) + margin;
+    }
+
+    /**
+     * Give the player some breathing room after a near-death
+     * @private
+     */
+    _easeOff() {
+        const relief = this.director.recordNearDeath();
+        
+        // A drone whose warning hum is already playing still comes on time
+        if (!this.warningActive) {
+            this.spawnTimer += relief;
+        }
+    }
+
+    /**
+     * Get the number of drones in the air (not counting ones going down)
+     * @returns {number} Number of drones
+     * @private
+     */
+    _getActiveDroneCount() {
+        return this.drones.filter(drone => !drone.isDestroyed).length;
     }
 
     /**
@@ -376,18 +1035,37 @@ class DroneManager {
      * @private
      */
     _spawnDrone() {
-        const drone = Drone.createRandomDrone(this.map, this.player, this.audioManager);
-        
-        // Apply current speed multiplier to this drone
-        drone.speed *= this.speedMultiplier;
+        this.drones.push(this._createDrone());
+    }
+
+    /**
+     * Move a pending drone along with the camera, which may have followed the player while the drone's hum
+     * was playing, so that it still comes in from off-screen
+     * @param {Drone} drone - Pending drone
+     * @param {Object|null} view - View the drone was placed outside of
+     * @private
+     */
+    _keepOffScreen(drone, view) {
+        if (!this.camera || !view) return;
         
-        this.drones.push(drone);
+        // Within the tiles spawns are on (see getRandomEdgePosition)
+        const tileSize = this.map.tileSize;
+        drone.x = Math.max(0, Math.min(this.map.width - tileSize, drone.x + this.camera.x - view.x));
+        drone.y = Math.max(0, Math.min(this.map.height - tileSize, drone.y + this.camera.y - view.y));
     }
 
     /**
      * Reset the drone manager for a new round (keeps difficulty progression)
+     * @param {Object} [map] - Map for the new round; reseeds drone spawning from its seed
      */
-    reset() {
+    reset(map) {
+        // Switch to the new map and reseed spawning from it
+        if (map) {
+            this.map = map;
+            this.random = DroneManager._createSpawnRandom(map);
+            this.typeRandom = DroneManager._createSpawnRandom(map, 'droneTypes');
+        }
+        
         // Stop sounds for all drones
         this.drones.forEach(drone => {
             if (drone.isPlayingHumSound) {
@@ -395,8 +1073,9 @@ class DroneManager {
             }
         });
         
-        // Clear the drones array
+        // Clear the drones array and any munitions still on the ground
         this.drones = [];
+        this.bombs = [];
         
         // Stop sound for pending drone if there is one
         if (this.pendingDrone && this.pendingDrone.isPlayingHumSound) {
@@ -404,11 +1083,12 @@ class DroneManager {
             this.pendingDrone = null;
         }
         
-        // Reset the spawn timer for a new round (random 7-10 seconds)
-        this.spawnTimer = this._getFirstDroneSpawnTime();
+        // Reset the spawn timer for a new round, with breathing room after a completed mission
+        this.director.startMission();
+        this.spawnTimer = this.director.getFirstWaveDelay(this.random);
         this.warningActive = false;
         
-        // Don't reset spawnInterval, spawnCount, or speedMultiplier
+        // Don't reset spawnCount or the director's progression
         // This ensures difficulty progression persists between rounds
     }
 
@@ -424,8 +1104,9 @@ class DroneManager {
             }
         });
         
-        // Clear the drones array
+        // Clear the drones array and any munitions still on the ground
         this.drones = [];
+        this.bombs = [];
         
         // Stop sound for pending drone if there is one
         if (this.pendingDrone && this.pendingDrone.isPlayingHumSound) {
@@ -433,14 +1114,11 @@ class DroneManager {
             this.pendingDrone = null;
         }
         
-        // Reset spawn parameters to initial values
-        this.spawnInterval = this.baseSpawnInterval;
-        this.spawnTimer = this._getFirstDroneSpawnTime();
+        // Reset spawn parameters and difficulty progression to initial values
+        this.director.reset();
+        this.spawnTimer = this.director.getFirstWaveDelay(this.random);
         this.spawnCount = 0;
         this.warningActive = false;
-        
-        // Reset speed multiplier
-        this.speedMultiplier = 1.0;
     }
 
     /**
@@ -11,7 +11,8 @@ const firebaseConfig = {
   measurementId: "G-GC1BV6YD3F"
 };
 // Initialize Firebase
-firebase.initializeApp(firebaseConfig);
-
-// Get a reference to the database service
-const database = firebase.database(); 
\ No newline at end of file
+// The SDK is loaded from a CDN; without internet it is missing and the leaderboard
+// falls back to the game server or local storage (see LeaderboardManager)
+const database = typeof firebase !== 'undefined' ?
+  firebase.initializeApp(firebaseConfig).database() :
+  null; 
\ No newline at end of file
@@ -0,0 +1,90 @@
+/**
+ * FirebaseLeaderboardStorage class
+ * Reads the leaderboard straight from Firebase; scores are still submitted through
+ * server.js, which validates them and writes them to Firebase (client writes are denied)
+ */
+class FirebaseLeaderboardStorage extends RestLeaderboardStorage {
+  /**
+   * @param {Object} database - Firebase database instance
+   * @param {string} scoresEndpoint - URL of the server's scores route
+   */
+  constructor(database, scoresEndpoint = '/api/scores') {
+    super(scoresEndpoint);
+    this.boardsRef = database.ref('boards');
+    this.boardSizesRef = database.ref('boardSizes');
+    this.playersRef = database.ref('players');
+  }
+
+  /**
+   * Get one page of a leaderboard
+   * Reads only the entries down to the end of the page; the server keeps each board's size next to it
+   * @param {Object} query - { period, difficulty, offset, limit }; period is 'daily', 'weekly' or 'all'
+   * @returns {Promise<Object>} Promise that resolves to { scores, total }; each score has its rank
+   */
+  getScores({ period = 'all', difficulty = 'normal', offset = 0, limit = this.maxEntries }) {
+    const key = LeaderboardManager.getBoardKey(period, difficulty);
+    
+    return Promise.all([
+      this._getEntries(this.boardsRef.child(key).orderByChild('rankKey').limitToLast(offset + limit)),
+      this.boardSizesRef.child(key).once('value')
+    ]).then(([entries, size]) => ({
+      scores: entries.slice(offset).map((score, index) => ({ ...score, rank: offset + index + 1 })),
+      total: size.val() || 0
+    }));
+  }
+
+  /**
+   * Get where a player's best entry ranks on a leaderboard
+   * Reads the player's entries on the board, then counts the entries ranked at or above the best of them
+   * @param {string} playerId - Player ID
+   * @param {string} period - 'daily', 'weekly' or 'all'
+   * @param {string} difficulty - Difficulty of the board
+   * @returns {Promise<Object|null>} Promise that resolves to { rank, scoreId }, or null if the player has no entry on the board
+   */
+  getPlayerRank(playerId, period = 'all', difficulty = 'normal') {
+    const boardRef = this.boardsRef.child(LeaderboardManager.getBoardKey(period, difficulty));
+    
+    return this._getEntries(boardRef.orderByChild('playerId').equalTo(playerId)).then(entries => {
+      if (entries.length === 0) {
+        return null;
+      }
+      
+      const best = entries[0];
+      return boardRef.orderByChild('rankKey').startAt(best.rankKey).once('value')
+        .then(snapshot => ({ rank: snapshot.numChildren(), scoreId: best.id }));
+    });
+  }
+
+  /**
+   * Get a player's best-score record at a difficulty
+   * Records are kept under players/<player ID> for normal and players/<player ID>:<difficulty> for
+   * the others, as written by server.js (see getBestRecordKey in server/scoreStores.js)
+   * @param {string} playerId - Player ID
+   * @param {string} difficulty - Difficulty of the record
+   * @returns {Promise<Object|null>} Promise that resolves to { bestScore, scoreId, name, updatedAt }, or null if the player has no entries
+   */
+  getPlayerBest(playerId, difficulty = 'normal') {
+    const key = difficulty === 'normal' ? playerId : `${playerId}:${difficulty}`;
+    return this.playersRef.child(key).once('value').then(snapshot => snapshot.val());
+  }
+
+  /**
+   * Read the entries a board query matches
+   * Entries are stored with a rankKey that sorts them by rank (see getRankKey in server/scoreStores.js)
+   * @param {Object} query - Firebase query on a board
+   * @returns {Promise<Array>} Score entries with their IDs, highest rank first
+   * @private
+   */
+  _getEntries(query) {
+    return query.once('value').then(snapshot => {
+      const entries = [];
+      snapshot.forEach(childSnapshot => {
+        entries.push({
+          id: childSnapshot.key,
+          ...childSnapshot.val()
+        });
+      });
+      return entries.sort((a, b) => (a.rankKey < b.rankKey ? 1 : a.rankKey > b.rankKey ? -1 : 0));
+    });
+  }
+}
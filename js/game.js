@@ -3,19 +3,35 @@
  * Main controller that initializes and orchestrates all other components
  */
 class Game {
+    /**
+     * @param {HTMLCanvasElement|null} canvas - Canvas to render to, or null for a headless
+     *     simulation without rendering, input, or UI (used to verify replays)
+     */
     constructor(canvas) {
         this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
+        this.headless = !canvas;
+        this.ctx = canvas ? canvas.getContext('2d') : null;
         
-        // Set canvas dimensions
+        // Set canvas dimensions: the part of the map on screen
         this.width = 800;
         this.height = 544; // Adjusted to exactly 17 tiles (17 * 32 = 544) to avoid partial tiles at bottom
-        canvas.width = this.width;
-        canvas.height = this.height;
+        if (canvas) {
+            canvas.width = this.width;
+            canvas.height = this.height;
+        }
         
-        // Define tile size (32x32 grid results in 25x17 tiles)
+        // Define tile size (32x32 grid results in 25x17 tiles on screen)
         this.tileSize = 32;
         
+        // Generated maps are bigger than the screen; the camera follows the platform around them
+        this.mapColumns = 40;
+        this.mapRows = 26;
+        this.camera = new Camera(this.width, this.height);
+        
+        // Handcrafted levels are at least one screen big, and the editor makes levels of one screen
+        this.screenColumns = this.width / this.tileSize;
+        this.screenRows = this.height / this.tileSize;
+        
         // Create components
         this.audioManager = new AudioManager();
         this.imageManager = new ImageManager();
@@ -24,8 +40,11 @@ class Game {
         // The AudioManager has been modified to handle missing files gracefully
         console.log("Game initialized without audio files - this is expected");
         
-        this.mapGenerator = new MapGenerator(this.width, this.height, this.tileSize);
-        this.ui = new UI(this.audioManager, this.imageManager);
+        this.mapGenerator = new MapGenerator(this.mapColumns * this.tileSize, this.mapRows * this.tileSize, this.tileSize);
+        
+        // Keyboard, gamepad and touch input, mapped to actions
+        this.inputManager = this.headless ? null : new InputManager();
+        this.ui = this.headless ? new HeadlessUI() : new UI(this.audioManager, this.imageManager, this.inputManager);
         
         // Create player (initially positioned at 0,0, will be updated)
         this.player = new Player(0, 0, this.tileSize, this.tileSize, this.audioManager);
@@ -33,15 +52,54 @@ class Game {
         // Create mission manager
         this.missionManager = new MissionManager(this.mapGenerator, this.player, this.audioManager);
         
+        // Repair kits and power-ups on the map
+        this.pickupManager = new PickupManager(this.player);
+        
         // Initialize drone manager (will be reset when game starts)
         this.droneManager = null;
         
         // Game state
         this.currentMap = null;
         this.score = 0;
+        this.stats = { missionsCompleted: 0, dronesDestroyed: 0, minesDefused: 0 }; // Run statistics behind the score
         this.isGameOver = false;
         this.isRunning = false;
-        this.keys = {}; // Keyboard state
+        this.isPaused = false; // Simulation, timers and looping sounds are frozen while paused
+        
+        // Optional fixed run seed from the URL (?seed=...), e.g. for shared daily challenge maps
+        this.seed = typeof window !== 'undefined' ? new URLSearchParams(window.location.search).get('seed') : null;
+        
+        // Optional handcrafted level from the URL (?level=...): runs play it, and the levels after it in
+        // assets/levels/index.json, before going on with generated maps (loaded in _init)
+        this.levelName = typeof window !== 'undefined' ? new URLSearchParams(window.location.search).get('level') : null;
+        this.levels = [];
+        
+        // Biome of the current run's generated maps, chosen on the menu; null when each map picks its own
+        this.biome = null;
+        
+        // In-browser editor for handcrafted levels; a play-test runs the edited level, then goes back to it
+        this.mapEditor = this.headless ? null : new MapEditor(document.getElementById('editor-toolbar'),
+            canvas, this.screenColumns, this.screenRows, this.tileSize, this._getFootprint());
+        this.testLevel = null; // Level being play-tested
+        
+        // Difficulty of the current run (a built-in profile name or a custom profile) and its profile;
+        // live runs use the difficulty chosen on the menu
+        this.difficultySetting = 'normal';
+        this.difficulty = DIFFICULTY_PROFILES.normal;
+        
+        // A link with ?difficulty=easy|normal|hard|custom preselects that difficulty on the menu
+        const requestedDifficulty = typeof window !== 'undefined' ?
+            new URLSearchParams(window.location.search).get('difficulty') : null;
+        if (requestedDifficulty && !this.headless) {
+            this.ui.setDifficulty(requestedDifficulty);
+        }
+        
+        // A link with ?biome=NAME preselects that biome on the menu
+        const requestedBiome = typeof window !== 'undefined' ?
+            new URLSearchParams(window.location.search).get('biome') : null;
+        if (requestedBiome && !this.headless) {
+            this.ui.setBiome(requestedBiome);
+        }
         
         // Animation frame ID for cancellation
         this.animationFrameId = null;
@@ -49,8 +107,56 @@ class Game {
         // Last frame timestamp for delta time calculation
         this.lastFrameTime = 0;
         
-        // Initialize game
-        this._init();
+        // Fixed-timestep simulation: the game state always advances in steps of this size,
+        // so movement and timers behave the same at any refresh rate
+        this.fixedTimeStep = 1000 / 60; // ~16.67 ms per simulation tick
+        this.maxFrameTime = 250; // Clamp long frames (e.g. after tab throttling) to avoid a burst of updates
+        this.accumulator = 0; // Unsimulated time carried over between frames
+        this.tick = 0; // Simulation ticks in the current run
+        
+        // Replays: the recorder captures the live run, the player feeds a loaded replay back in
+        this.replayRecorder = null;
+        this.replayPlayer = null;
+        this.replaySpeed = 1;
+        
+        // Headless games only simulate, they don't load assets or listen to input
+        if (!this.headless) {
+            this._init();
+        }
+    }
+
+    /**
+     * Re-simulate a replay without rendering to find out what it really scores
+     * @param {Object} replay - Replay data
+     * @returns {Object} Run summary (seed, score, missionsCompleted, dronesDestroyed, minesDefused, difficulty, ticks, duration)
+     */
+    static simulateReplay(replay) {
+        const game = new Game(null);
+        game._startReplay(replay);
+        
+        while (game.replayPlayer && !game.replayPlayer.isFinished(game.tick)) {
+            game._step();
+        }
+        
+        return game._getRunSummary();
+    }
+
+    /**
+     * Turn the difficulty chosen on the menu into a difficulty setting
+     * 'custom' uses the profile saved in localStorage under customDifficulty (normal if it's missing or invalid)
+     * @param {string} selection - DIFFICULTY_PROFILES name or 'custom'
+     * @returns {string|Object} Built-in profile name or custom profile
+     * @private
+     */
+    static _getDifficultySetting(selection) {
+        if (selection === 'custom') {
+            const custom = DifficultyDirector.loadCustomProfile();
+            if (custom) {
+                return custom;
+            }
+        }
+        
+        return Object.keys(DIFFICULTY_PROFILES).includes(selection) ? selection : 'normal';
     }
 
     /**
@@ -76,18 +182,43 @@ class Game {
             // Continue anyway since we've made images optional
         }
         
-        // Set up keyboard event listeners
+        // Load the handcrafted levels to play; without them runs use generated maps
+        if (this.levelName) {
+            try {
+                this.levels = await LevelFormat.loadCampaign(this.levelName, this.screenColumns, this.screenRows,
+                    this._getFootprint());
+                console.log(`Loaded ${this.levels.length} level(s) starting with "${this.levelName}"`);
+            } catch (error) {
+                console.error('Could not load level:', error);
+                this.ui.showMessage(GameTexts.messages.levelLoadFailed(error.message));
+            }
+        }
+        
+        // Esc or P toggles the pause menu
         window.addEventListener('keydown', (e) => {
-            this.keys[e.key] = true;
+            if (e.code !== 'Escape' && e.code !== 'KeyP') return;
             
-            // Prevent scrolling when using arrow keys and prevent default behavior for Space and Enter keys
-            if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', ' ', 'Enter'].includes(e.key)) {
-                e.preventDefault();
+            if (!this.isPaused) {
+                this._pause();
+            } else if (this.ui.isPauseMenuOpen()) {
+                this._resume();
+            }
+        });
+        
+        // Pause automatically when the player switches tabs or windows
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this._pause();
             }
         });
+        window.addEventListener('blur', () => this._pause());
         
-        window.addEventListener('keyup', (e) => {
-            this.keys[e.key] = false;
+        // Debug: F9 saves the map being played as a level file, e.g. as a start for a handcrafted level
+        window.addEventListener('keydown', (e) => {
+            if (e.code !== 'F9' || !this.currentMap || this.mapEditor.isOpen) return;
+            
+            e.preventDefault();
+            this.ui.downloadLevel(this.missionManager.exportLevel());
         });
         
         // Show a message that we're running without audio
@@ -103,16 +234,31 @@ class Game {
      * @private
      */
     _gameLoop(timestamp) {
-        // Calculate delta time in milliseconds
-        const deltaTime = timestamp - this.lastFrameTime;
+        // Calculate frame time in milliseconds (clamped so a long pause doesn't fast-forward the game)
+        const frameTime = this.lastFrameTime ? Math.min(timestamp - this.lastFrameTime, this.maxFrameTime) : 0;
         this.lastFrameTime = timestamp;
         
         // Check UI state for game actions
         this._checkUIActions();
         
-        // Update game state if running
-        if (this.isRunning && !this.isGameOver) {
-            this._update(deltaTime);
+        // Update game state in fixed steps if running
+        if (this.isRunning && !this.isGameOver && !this.isPaused) {
+            // Replays can be watched faster or slower than real time
+            this.accumulator += frameTime * (this.replayPlayer ? this.replaySpeed : 1);
+            
+            while (this.accumulator >= this.fixedTimeStep && this.isRunning && !this.isGameOver) {
+                // End of a replay that finished without the platform being destroyed
+                if (this.replayPlayer && this.replayPlayer.isFinished(this.tick)) {
+                    this._finishReplay();
+                    break;
+                }
+                
+                this._step();
+                this.accumulator -= this.fixedTimeStep;
+            }
+        } else {
+            // Don't carry idle time into the next run
+            this.accumulator = 0;
         }
         
         // Render everything
@@ -139,53 +285,132 @@ class Game {
         
         // Check if player should be revived
         if (this.ui.shouldRevivePlayer()) {
-            this._revivePlayer();
+            this._revivePlayer(this.ui.revivalCodeId);
+        }
+        
+        // Pause menu actions
+        if (this.ui.shouldPauseGame()) {
+            this._pause();
+        }
+        if (this.ui.shouldResumeGame()) {
+            this._resume();
+        }
+        if (this.ui.shouldQuitGame()) {
+            this._quitToMenu();
+        }
+        
+        // Map editor: opening it from the menu, and its play-test, save, load and exit buttons
+        if (this.ui.shouldOpenEditor()) {
+            this._openEditor();
+        }
+        if (this.mapEditor.isOpen) {
+            this._handleEditorAction(this.mapEditor.takeAction());
+        }
+        
+        // Check if a loaded replay should start playing
+        const replay = this.ui.getReplayToStart();
+        if (replay) {
+            try {
+                this._startReplay(replay);
+                this.ui.setReplayMode(true);
+            } catch (error) {
+                console.error('Could not start replay:', error);
+                this.ui.showScreen('menu');
+                this.ui.showMessage(GameTexts.replay.invalidReplay);
+            }
+        }
+        
+        // Replay controls
+        if (this.replayPlayer) {
+            this.replaySpeed = this.ui.getReplaySpeed();
+            if (this.ui.shouldStopReplay()) {
+                this._finishReplay();
+            }
+        }
+    }
+
+    /**
+     * Advance the simulation by one fixed tick
+     * Input comes from the loaded replay if one is playing, otherwise from the input manager (and is recorded)
+     * @private
+     */
+    _step() {
+        this.tick++;
+        
+        let input;
+        if (this.replayPlayer) {
+            input = this.replayPlayer.getInput(this.tick);
+        } else {
+            input = this.inputManager.getActions();
+            if (this.replayRecorder) {
+                this.replayRecorder.recordTick(this.tick, input);
+            }
         }
+        
+        this._update(this.fixedTimeStep, input);
     }
 
     /**
      * Update game state
      * @param {number} deltaTime - Time since last update in milliseconds
+     * @param {Object} input - Action state for this update
      * @private
      */
-    _update(deltaTime) {
-        // Update player
-        this.player.update(deltaTime, this.keys, this.currentMap);
+    _update(deltaTime, input) {
+        // Update player, and the camera following it
+        this.player.update(deltaTime, input, this.currentMap);
+        this.camera.update(deltaTime, this.player, this.currentMap);
         
         // Update drone manager
-        const droneCollision = this.droneManager.update(deltaTime, this.currentMap);
+        const droneHit = this.droneManager.update(deltaTime, this.currentMap);
         
-        // Check for drone collision
-        if (droneCollision) {
-            this._handlePlayerDeath();
+        // Check for drone and bomb hits
+        if (droneHit && this._damagePlayer(droneHit)) {
             return;
         }
         
         // Check for mine collision
-        if (this.missionManager.checkMineCollision()) {
-            this._handlePlayerDeath();
+        if (this.missionManager.checkMineCollision() && this._damagePlayer('mine')) {
             return;
         }
         
+        // Mark hidden mines near the platform; the detector beeps faster the closer the next one is
+        this.audioManager.updateMineBeep(this.missionManager.detectMines(), deltaTime);
+        
+        // Defuse a detected mine next to the platform
+        if (this.missionManager.updateDefusing(deltaTime, input.defuse)) {
+            this.stats.minesDefused++;
+            this._addScore(this.missionManager.defusePoints);
+            this.ui.showMessage(GameTexts.messages.mineDefused(this.missionManager.defusePoints));
+        }
+        
+        // Collect repair kits and power-ups
+        const pickup = this.pickupManager.collect();
+        if (pickup) {
+            this._applyPickup(pickup);
+        }
+        
         // Check for EW activation and drone destruction
         if (this.player.ewActive) {
             // Check if EW was just activated or is still active
-            const destroyedCount = this.droneManager.checkEWDestruction(this.player.ewJustActivated);
+            const destroyed = this.droneManager.checkEWDestruction(this.player.ewJustActivated);
             
             // Reset the ewJustActivated flag after checking for drone destruction
             if (this.player.ewJustActivated) {
                 this.player.ewJustActivated = false;
             }
             
-            if (destroyedCount > 0) {
-                // Award 5 points per drone destroyed
-                this._addScore(destroyedCount * 5);
-                this.ui.showMessage(GameTexts.messages.droneDestroyed(destroyedCount, destroyedCount * 5));
+            if (destroyed.count > 0) {
+                this.stats.dronesDestroyed += destroyed.count;
+                
+                // Award each drone's score value (see DRONE_TYPES)
+                this._addScore(destroyed.points);
+                this.ui.showMessage(GameTexts.messages.droneDestroyed(destroyed.count, destroyed.points));
             }
         }
         
         // Update mission state
-        const missionUpdate = this.missionManager.update();
+        const missionUpdate = this.missionManager.update(deltaTime, this.droneManager);
         if (missionUpdate) {
             // If there are points to award
             if (missionUpdate.points > 0) {
@@ -195,17 +420,28 @@ class Game {
             // Show message
             this.ui.showMessage(missionUpdate.message);
             
-            // Update objective text
-            this.ui.updateObjectiveText(this.missionManager.getCurrentObjectiveText());
-            
-            // If mission complete, start a new one
+            // If mission complete, start a new one; a failed mission is followed by a new one without a reward
             if (this.missionManager.isMissionComplete()) {
+                this.stats.missionsCompleted++;
+            }
+            if (this.missionManager.isMissionComplete() || this.missionManager.isMissionFailed()) {
+                // A play-test ends with the mission on its level
+                if (this.testLevel) {
+                    this._returnToEditor(this.missionManager.isMissionComplete() ?
+                        GameTexts.editor.testPassed : GameTexts.editor.testFailed);
+                    return;
+                }
                 this._startNewMission();
             }
         }
         
-        // Update EW cooldown display
+        // Update objective text (some objectives count down or track progress)
+        this.ui.updateObjectiveText(this.missionManager.getCurrentObjectiveText());
+        
+        // Update EW cooldown and armor display
         this.ui.updateEWCooldown(this.player.getEWCooldownProgress());
+        this.ui.updateHealth(this.player.getHealthProgress());
+        this.ui.updateEffects(this.player.getEffects());
     }
 
     /**
@@ -219,25 +455,73 @@ class Game {
         
         // If the game is running, render the game elements
         if (this.isRunning) {
+            // Everything on the map is drawn where the camera shows it
+            this.ctx.save();
+            this.camera.applyTransform(this.ctx);
+            
             // Render map
-            this._renderMap();
+            this._renderMap(this.camera.getView());
             
             // Render mission objectives
             this.missionManager.draw(this.ctx);
             
+            // Render pickups
+            this.pickupManager.draw(this.ctx);
+            
             // Render drones
-            this.droneManager.draw(this.ctx);
+            this.droneManager.draw(this.ctx, this.imageManager);
             
             // Render player - pass imageManager
             this.player.draw(this.ctx, this.imageManager);
+            
+            this.ctx.restore();
+            
+            // Point the way to an objective off the screen
+            this._renderObjectiveMarker();
+        } else if (this.mapEditor && this.mapEditor.isOpen) {
+            // Render the level being edited with the editor's markings (levels in the editor are one screen big)
+            this.currentMap = this.mapEditor.getMap();
+            this._renderMap({ x: 0, y: 0, width: this.width, height: this.height });
+            this.mapEditor.draw(this.ctx);
         }
     }
 
     /**
-     * Render the map
+     * Draw an arrow at the edge of the screen pointing to the current objective while it's off the screen
+     * @private
+     */
+    _renderObjectiveMarker() {
+        const objective = this.missionManager.getCurrentObjectivePosition();
+        if (!objective || this.camera.isVisible(objective.x, objective.y, this.tileSize, this.tileSize)) return;
+        
+        // Where the line from the middle of the screen to the objective leaves the screen
+        const margin = 24;
+        const dx = objective.x + this.tileSize / 2 - (this.camera.x + this.width / 2);
+        const dy = objective.y + this.tileSize / 2 - (this.camera.y + this.height / 2);
+        const scale = Math.min((this.width / 2 - margin) / Math.abs(dx), (this.height / 2 - margin) / Math.abs(dy));
+        
+        this.ctx.save();
+        this.ctx.translate(this.width / 2 + dx * scale, this.height / 2 + dy * scale);
+        this.ctx.rotate(Math.atan2(dy, dx));
+        this.ctx.beginPath();
+        this.ctx.moveTo(14, 0);
+        this.ctx.lineTo(-8, -10);
+        this.ctx.lineTo(-8, 10);
+        this.ctx.closePath();
+        this.ctx.fillStyle = 'rgba(255, 215, 0, 0.9)';
+        this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.lineWidth = 2;
+        this.ctx.fill();
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Render the part of the map in view
+     * @param {Object} view - Part of the map on screen { x, y, width, height } (see Camera.getView)
      * @private
      */
-    _renderMap() {
+    _renderMap(view) {
         // First, create a record of mine positions for quick lookup
         const minePositions = {};
         if (this.currentMap.mines) {
@@ -247,9 +531,13 @@ class Game {
             });
         }
     
-        // Render tiles
-        for (let y = 0; y < this.currentMap.tiles.length; y++) {
-            for (let x = 0; x < this.currentMap.tiles[y].length; x++) {
+        // Render the tiles in view
+        const firstColumn = Math.max(0, Math.floor(view.x / this.tileSize));
+        const lastColumn = Math.min(this.currentMap.tiles[0].length - 1, Math.floor((view.x + view.width - 1) / this.tileSize));
+        const firstRow = Math.max(0, Math.floor(view.y / this.tileSize));
+        const lastRow = Math.min(this.currentMap.tiles.length - 1, Math.floor((view.y + view.height - 1) / this.tileSize));
+        for (let y = firstRow; y <= lastRow; y++) {
+            for (let x = firstColumn; x <= lastColumn; x++) {
                 const tileType = this.currentMap.tiles[y][x];
                 const tileX = x * this.tileSize;
                 const tileY = y * this.tileSize;
@@ -307,6 +595,14 @@ class Game {
                     imageId = 'tile_dirt';
                 } else if (renderTileType === this.mapGenerator.terrainTypes.WATER) {
                     imageId = 'tile_water';
+                } else if (renderTileType === this.mapGenerator.terrainTypes.FOREST) {
+                    imageId = 'tile_forest';
+                } else if (renderTileType === this.mapGenerator.terrainTypes.TRENCH) {
+                    imageId = 'tile_trench';
+                } else if (renderTileType === this.mapGenerator.terrainTypes.BRIDGE) {
+                    imageId = 'tile_bridge';
+                } else if (renderTileType === this.mapGenerator.terrainTypes.CRATER) {
+                    imageId = 'tile_crater';
                 }
                 // We no longer have a tile_mine imageId case - we'll render the underlying terrain
                 
@@ -323,19 +619,28 @@ class Game {
                         color = '#8B4513';
                     } else if (renderTileType === this.mapGenerator.terrainTypes.WATER) {
                         color = '#1E90FF';
+                    } else if (renderTileType === this.mapGenerator.terrainTypes.FOREST) {
+                        color = '#1E5631';
+                    } else if (renderTileType === this.mapGenerator.terrainTypes.TRENCH) {
+                        color = '#3B2A1A';
+                    } else if (renderTileType === this.mapGenerator.terrainTypes.BRIDGE) {
+                        color = '#A0522D';
+                    } else if (renderTileType === this.mapGenerator.terrainTypes.CRATER) {
+                        color = '#5C4033';
                     }
                     // We no longer have a MINE case here since we're using the original terrain type
                     
                     this.ctx.fillStyle = color;
                     this.ctx.fillRect(tileX, tileY, this.tileSize, this.tileSize);
+                    this._drawTerrainDetail(renderTileType, tileX, tileY);
                 }
                 
                 // Grid lines
                 this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.1)';
                 this.ctx.strokeRect(tileX, tileY, this.tileSize, this.tileSize);
                 
-                // If this is a mine tile, draw the mine indicator (small red dot)
-                if (isMine) {
+                // If this is a mine tile, draw the mine indicator (small red dot), unless the mine is still hidden
+                if (isMine && (!mine || mine.detected)) {
                     // Draw the mine texture on top of the terrain
                     const mineImage = this.imageManager.getImage('tile_mine');
                     if (mineImage) {
@@ -402,6 +707,12 @@ class Game {
         // Render buildings as distinct entities
         if (this.currentMap.buildings) {
             for (const building of this.currentMap.buildings) {
+                // Skip buildings out of view
+                if (building.x + building.width <= view.x || building.x >= view.x + view.width ||
+                    building.y + building.height <= view.y || building.y >= view.y + view.height) {
+                    continue;
+                }
+                
                 // Try to get custom building texture based on building type
                 const buildingImage = this.imageManager.getImage(building.type);
                 
@@ -604,6 +915,57 @@ class Game {
         return horizontalRoadTiles >= 3 && verticalRoadTiles >= 3;
     }
 
+    /**
+     * Draw simple details on a biome tile drawn without its texture, so trees, trenches, bridges and
+     * craters can be told apart from plain ground
+     * @param {number} tileType - Terrain type of the tile
+     * @param {number} tileX - Tile X position in pixels
+     * @param {number} tileY - Tile Y position in pixels
+     * @private
+     */
+    _drawTerrainDetail(tileType, tileX, tileY) {
+        const terrainTypes = this.mapGenerator.terrainTypes;
+        const size = this.tileSize;
+        
+        this.ctx.save();
+        if (tileType === terrainTypes.FOREST) {
+            // Three tree crowns
+            this.ctx.fillStyle = '#2E7D32';
+            for (const [cx, cy] of [[0.3, 0.35], [0.7, 0.4], [0.45, 0.72]]) {
+                this.ctx.beginPath();
+                this.ctx.arc(tileX + size * cx, tileY + size * cy, size * 0.2, 0, Math.PI * 2);
+                this.ctx.fill();
+            }
+        } else if (tileType === terrainTypes.TRENCH) {
+            // Dark cut with sandbags along its edges
+            this.ctx.fillStyle = '#1A120B';
+            this.ctx.fillRect(tileX + size * 0.25, tileY + size * 0.25, size * 0.5, size * 0.5);
+            this.ctx.strokeStyle = '#8D7B5A';
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(tileX + size * 0.2, tileY + size * 0.2, size * 0.6, size * 0.6);
+        } else if (tileType === terrainTypes.BRIDGE) {
+            // Planks
+            this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+            this.ctx.lineWidth = 1;
+            for (let plank = 1; plank < 4; plank++) {
+                this.ctx.beginPath();
+                this.ctx.moveTo(tileX, tileY + size * plank / 4);
+                this.ctx.lineTo(tileX + size, tileY + size * plank / 4);
+                this.ctx.stroke();
+            }
+        } else if (tileType === terrainTypes.CRATER) {
+            // Blast hole with a raised rim
+            this.ctx.fillStyle = '#2B1D14';
+            this.ctx.strokeStyle = '#7A5C45';
+            this.ctx.lineWidth = 3;
+            this.ctx.beginPath();
+            this.ctx.arc(tileX + size / 2, tileY + size / 2, size * 0.3, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
     /**
      * Check if a tile is part of a 2-tile wide vertical road
      * @param {number} x - X coordinate
@@ -747,27 +1109,261 @@ class Game {
      * @private
      */
     _startNewGame() {
-        // Reset score
-        this.score = 0;
-        this.ui.updateScore(this.score);
+        // Silence anything left from an abandoned run (e.g. restarting from the pause menu)
+        this.audioManager.stopAllSfx();
         
-        // Reset game state
-        this.isGameOver = false;
+        // Restarting from the pause menu of a replay starts a live game
+        if (this.replayPlayer) {
+            this.ui.setReplayMode(false);
+        }
+        
+        // Reset score and run state, with the difficulty chosen on the menu
+        this.difficultySetting = Game._getDifficultySetting(this.ui.difficulty);
+        this.difficulty = DifficultyDirector.resolveProfile(this.difficultySetting);
+        this.biome = this.ui.biome;
+        this._resetRun();
         
         // Pause the game until countdown is done
         this.isRunning = false;
         
-        // Prepare the mission manager for a new mission
-        const missionType = Math.random() < 0.5 ? 'evacuation' : 'delivery';
+        // Start a new seeded run and prepare the mission manager for its first mission
+        // (a play-test only plays the level being edited)
+        const levels = this.testLevel ? [this.testLevel] : this.levels;
+        this.missionManager.startRun(this.seed, levels, this.biome);
+        const missionType = this.missionManager.getNextMissionType();
         
         // Show mission preparation screen with countdown
         this.ui.showMissionPreparation(missionType, () => {
             // This callback runs after countdown completes
             this.isRunning = true;
+            this.player.movementMode = this.inputManager.movementMode;
             this._startNewMission(missionType);
+            
+            // Record the run so it can be saved and replayed
+            this.replayRecorder = new ReplayRecorder(this.missionManager.runSeed, this.fixedTimeStep,
+                this.player.movementMode, this.difficultySetting, levels, this.biome);
         });
     }
 
+    /**
+     * Pause the run and show the pause menu
+     * Does nothing unless a run (or replay) is in progress
+     * @private
+     */
+    _pause() {
+        if (this.isPaused || !this.isRunning || this.isGameOver) return;
+        
+        this.isPaused = true;
+        this.audioManager.pauseAll();
+        this.ui.showPauseMenu();
+    }
+
+    /**
+     * Continue the paused run
+     * @private
+     */
+    _resume() {
+        if (!this.isPaused) return;
+        
+        this.isPaused = false;
+        this.audioManager.resumeAll();
+        this.ui.showScreen('game');
+    }
+
+    /**
+     * Abandon the paused run and go back to the main menu
+     * @private
+     */
+    _quitToMenu() {
+        if (this.replayPlayer) {
+            this.isPaused = false;
+            this._finishReplay();
+            return;
+        }
+        if (this.testLevel) {
+            this._returnToEditor();
+            return;
+        }
+        
+        this.isPaused = false;
+        this.isRunning = false;
+        this.replayRecorder = null;
+        this.audioManager.stopAllSfx();
+        if (this.droneManager) {
+            this.droneManager.fullReset();
+        }
+        
+        this.ui.showScreen('menu');
+    }
+
+    /**
+     * Show the map editor
+     * @private
+     */
+    _openEditor() {
+        this.ui.showScreen('editor');
+        this.mapEditor.open();
+    }
+
+    /**
+     * Carry out an action from the map editor's toolbar
+     * @param {Object|null} action - Action (see MapEditor.takeAction)
+     * @private
+     */
+    _handleEditorAction(action) {
+        if (!action) return;
+        
+        const columns = this.screenColumns;
+        const rows = this.screenRows;
+        const footprint = this._getFootprint();
+        const level = this.mapEditor.getLevel();
+        try {
+            switch (action.type) {
+                case 'playTest':
+                    LevelFormat.validate(level, columns, rows, footprint);
+                    this.testLevel = level;
+                    this.mapEditor.close();
+                    this._startNewGame();
+                    break;
+                case 'save':
+                    LevelFormat.validate(level, columns, rows, footprint);
+                    this.ui.downloadLevel(level);
+                    break;
+                case 'load':
+                    this.mapEditor.load(LevelFormat.parse(action.text, columns, rows, footprint));
+                    break;
+                case 'exit':
+                    this.mapEditor.close();
+                    this.ui.showScreen('menu');
+                    break;
+            }
+        } catch (error) {
+            this.ui.showMessage(GameTexts.editor.invalidLevel(error.message));
+        }
+    }
+
+    /**
+     * End the play-test and go back to editing its level
+     * @param {string} [message] - Result of the play-test to show
+     * @private
+     */
+    _returnToEditor(message) {
+        this.isPaused = false;
+        this.isRunning = false;
+        this.replayRecorder = null;
+        this.testLevel = null;
+        this.audioManager.stopAllSfx();
+        if (this.droneManager) {
+            this.droneManager.fullReset();
+        }
+        
+        this._openEditor();
+        if (message) {
+            this.ui.showMessage(message);
+        }
+    }
+
+    /**
+     * Get the size of the platform's collision box in tiles, which levels are checked against
+     * @returns {number} Footprint in tiles
+     * @private
+     */
+    _getFootprint() {
+        return this.player.collisionWidth / this.tileSize;
+    }
+
+    /**
+     * Reset score, statistics, and simulation state for a new run
+     * @private
+     */
+    _resetRun() {
+        this.score = 0;
+        this.ui.updateScore(this.score);
+        this.stats = { missionsCompleted: 0, dronesDestroyed: 0, minesDefused: 0 };
+        this.isGameOver = false;
+        this.isPaused = false;
+        this.tick = 0;
+        this.accumulator = 0;
+        this.replayRecorder = null;
+        this.replayPlayer = null;
+        
+        // Apply the run's difficulty preset to the platform and the maps
+        this.player.setDifficulty(this.difficulty);
+        this.player.clearEffects();
+        this.missionManager.setDifficulty(this.difficulty);
+        
+        // Start drone difficulty from scratch so runs with the same seed play out the same
+        if (this.droneManager) {
+            this.droneManager.setDifficulty(this.difficulty);
+            this.droneManager.fullReset();
+        }
+    }
+
+    /**
+     * Start playing back a replay
+     * @param {Object} replay - Replay data
+     * @private
+     */
+    _startReplay(replay) {
+        const replayPlayer = new ReplayPlayer(replay);
+        if (Math.abs(replay.tickDuration - this.fixedTimeStep) > 1e-6) {
+            throw new Error(`Replay was recorded with a tick of ${replay.tickDuration} ms`);
+        }
+        (replay.levels || []).forEach(level => {
+            LevelFormat.validate(level, this.screenColumns, this.screenRows, this._getFootprint());
+        });
+        
+        this.difficulty = DifficultyDirector.resolveProfile(replay.difficulty || 'normal');
+        this._resetRun();
+        this.replayPlayer = replayPlayer;
+        this.replaySpeed = 1;
+        this.player.movementMode = replay.movementMode || 'classic'; // Replays from before control schemes are classic
+        
+        // Replays start straight away, without the mission preparation countdown
+        this.missionManager.startRun(replay.seed, replay.levels || [], replay.biome || null);
+        this.isRunning = true;
+        this._startNewMission();
+    }
+
+    /**
+     * Stop the replay that is playing and return to the menu
+     * @private
+     */
+    _finishReplay() {
+        const summary = this._getRunSummary();
+        this.replayPlayer = null;
+        this.isRunning = false;
+        
+        if (this.headless) return;
+        
+        this.audioManager.stopAllSfx();
+        if (this.droneManager) {
+            this.droneManager.fullReset();
+        }
+        
+        this.ui.setReplayMode(false);
+        this.ui.showScreen('menu');
+        this.ui.showMessage(GameTexts.replay.finished(summary.score));
+    }
+
+    /**
+     * Get a summary of the current run
+     * @returns {Object} Run summary
+     * @private
+     */
+    _getRunSummary() {
+        return {
+            seed: this.missionManager.runSeed,
+            score: this.score,
+            missionsCompleted: this.stats.missionsCompleted,
+            dronesDestroyed: this.stats.dronesDestroyed,
+            minesDefused: this.stats.minesDefused,
+            difficulty: this.difficulty.name,
+            ticks: this.tick,
+            duration: Math.round(this.tick * this.fixedTimeStep)
+        };
+    }
+
     /**
      * Start a new mission
      * @param {string} [missionType] - Optional mission type to force
@@ -776,14 +1372,19 @@ class Game {
     _startNewMission(missionType) {
         // Generate new map and start mission
         this.currentMap = this.missionManager.startNewMission(missionType);
+        this.pickupManager.reset(this.currentMap);
         
         // Reset or create drone manager with new map
         if (this.droneManager) {
-            this.droneManager.reset();
+            this.droneManager.reset(this.currentMap);
         } else {
-            this.droneManager = new DroneManager(this.currentMap, this.player, this.audioManager);
+            this.droneManager = new DroneManager(this.currentMap, this.player, this.audioManager, this.difficulty,
+                this.camera);
         }
         
+        // Start the mission with the camera on the platform
+        this.camera.snapTo(this.player, this.currentMap);
+        
         // Reset the player's EW ability for the new mission
         this.player.resetEW();
         
@@ -791,6 +1392,47 @@ class Game {
         this.ui.updateObjectiveText(this.missionManager.getCurrentObjectiveText());
     }
 
+    /**
+     * Apply a collected pickup to the player
+     * @param {Object} pickup - Pickup { type, x, y, tileX, tileY }, see PICKUP_TYPES
+     * @private
+     */
+    _applyPickup(pickup) {
+        if (pickup.type === 'repair') {
+            this.ui.showMessage(GameTexts.messages.repaired(this.player.repair()));
+            return;
+        }
+        
+        if (pickup.type === 'battery') {
+            this.player.rechargeEW();
+        } else {
+            this.player.addEffect(pickup.type);
+        }
+        this.ui.showMessage(GameTexts.pickups.collected[pickup.type]);
+    }
+
+    /**
+     * Apply a hit to the player
+     * Without armor every hit is fatal; with armor the platform dies once its health runs out
+     * @param {string} source - What hit the player: 'drone', 'bomb' or 'mine'
+     * @returns {boolean} Whether the hit destroyed the platform
+     * @private
+     */
+    _damagePlayer(source) {
+        const health = this.player.health;
+        if (this.player.takeDamage(source)) {
+            this._handlePlayerDeath();
+            return true;
+        }
+        
+        // Hits during the invulnerability after a previous one do nothing
+        if (this.player.health < health) {
+            this.ui.showMessage(GameTexts.messages.platformHit(this.player.getHealthProgress()));
+            this.audioManager.playSfx('sfx_explosion');
+        }
+        return false;
+    }
+
     /**
      * Handle player death
      * @private
@@ -798,6 +1440,24 @@ class Game {
     _handlePlayerDeath() {
         this.isGameOver = true;
         
+        // A replay either continues with the recorded revival or ends here
+        if (this.replayPlayer) {
+            if (this.replayPlayer.hasEvent(this.tick, 'revive')) {
+                this._revivePlayer();
+            } else {
+                this._finishReplay();
+            }
+            return;
+        }
+        
+        // Keep the recording up to date so the run can be saved from the game over screen
+        if (this.replayRecorder) {
+            this.replayRecorder.finish(this._getRunSummary());
+            this.ui.setLastReplay(this.replayRecorder.toJSON());
+        }
+        
+        if (this.headless) return;
+        
         // Play explosion sound when player dies
         this.audioManager.playSfx('sfx_explosion');
         
@@ -808,6 +1468,12 @@ class Game {
         
         // Delay showing game over to allow explosion sound to play
         setTimeout(() => {
+            // A play-test goes back to the editor instead
+            if (this.testLevel) {
+                this._returnToEditor(GameTexts.editor.testFailed);
+                return;
+            }
+            
             // Play menu music when game is over
             this.audioManager.playMusic('menu');
             
@@ -823,9 +1489,21 @@ class Game {
 
     /**
      * Revive player after promo code
+     * @param {string} [codeId] - ID of the redeemed code (see server/revivalCodes.js); not needed when replaying
      * @private
      */
-    _revivePlayer() {
+    _revivePlayer(codeId) {
+        // Note the revival and its code in the recording, so the replay continues at the same tick
+        // and the server can check the code was really redeemed
+        if (this.replayRecorder) {
+            this.replayRecorder.recordEvent(this.tick, 'revive', codeId);
+        }
+        
+        // Drone difficulty restarts after a death (also when the revival is replayed)
+        if (this.droneManager) {
+            this.droneManager.fullReset();
+        }
+        
         // Stop all sound effects for a clean start
         this.audioManager.stopAllSfx();
         
@@ -836,7 +1514,10 @@ class Game {
         this.isGameOver = false;
         this.isRunning = true;
         
-        // Don't reset score - intentionally keeping it
+        // Don't reset score - intentionally keeping it, but the armor is repaired
+        // and power-ups run out
+        this.player.resetHealth();
+        this.player.clearEffects();
         
         // We need a full mission restart while keeping the score
         // Start a new mission (reusing the existing method)
@@ -99,6 +99,10 @@ class ImageManager {
             { id: 'tile_water', path: 'assets/images/tiles/water.png' },
             { id: 'tile_wall', path: 'assets/images/tiles/wall.png' },
             { id: 'tile_mine', path: 'assets/images/tiles/mine.png' },
+            { id: 'tile_forest', path: 'assets/images/tiles/forest.png' },
+            { id: 'tile_trench', path: 'assets/images/tiles/trench.png' },
+            { id: 'tile_bridge', path: 'assets/images/tiles/bridge.png' },
+            { id: 'tile_crater', path: 'assets/images/tiles/crater.png' },
             
             // Building textures for different building types
             { id: 'building_small', path: 'assets/images/tiles/building_small.png' },
@@ -109,6 +113,14 @@ class ImageManager {
             // Player platform texture
             { id: 'player_platform', path: 'assets/images/platform.png' },
             
+            // Enemy drone sprites, one per type in DRONE_TYPES
+            { id: 'drone_fpv', path: 'assets/images/drones/fpv.png' },
+            { id: 'drone_ground', path: 'assets/images/drones/ground.png' },
+            { id: 'drone_kamikaze', path: 'assets/images/drones/kamikaze.png' },
+            { id: 'drone_recon', path: 'assets/images/drones/recon.png' },
+            { id: 'drone_ew_resistant', path: 'assets/images/drones/ew_resistant.png' },
+            { id: 'drone_bomber', path: 'assets/images/drones/bomber.png' },
+            
             // QR code for donation
             { id: 'qr_code', path: 'assets/images/qr.png' }
         ];
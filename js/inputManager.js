@@ -0,0 +1,317 @@
+/**
+ * Input handling
+ * Turns keyboard, gamepad and on-screen controls into named actions (moveUp, activateEW, ...),
+ * so the simulation never deals with physical keys or buttons
+ */
+
+// Actions the simulation reads
+const INPUT_ACTIONS = ['moveUp', 'moveDown', 'moveLeft', 'moveRight', 'activateEW', 'defuse'];
+
+// Default bindings: keyboard keys by KeyboardEvent.code (layout-independent, so WASD works
+// on a Ukrainian layout too), gamepad buttons by index in the standard gamepad mapping
+const DEFAULT_INPUT_BINDINGS = {
+    keyboard: {
+        moveUp: ['ArrowUp', 'KeyW'],
+        moveDown: ['ArrowDown', 'KeyS'],
+        moveLeft: ['ArrowLeft', 'KeyA'],
+        moveRight: ['ArrowRight', 'KeyD'],
+        activateEW: ['Space', 'Enter'],
+        defuse: ['KeyE']
+    },
+    gamepad: {
+        moveUp: [12],
+        moveDown: [13],
+        moveLeft: [14],
+        moveRight: [15],
+        activateEW: [0],
+        defuse: [2]
+    }
+};
+
+// Button names in the standard gamepad mapping
+const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', '↑', '↓', '←', '→', 'Home'
+];
+
+/**
+ * InputManager class
+ * Tracks the keyboard and polls gamepads, and maps both to actions through remappable bindings
+ * Bindings are saved in localStorage
+ */
+class InputManager {
+    constructor() {
+        this.bindings = InputManager.loadBindings();
+        this.pressedKeys = new Set(); // KeyboardEvent.code of every key held down
+        this.sources = []; // Extra action sources, e.g. on-screen touch controls
+        this.stickDeadZone = 0.5; // How far the left stick must be pushed to count as a direction action
+        this.analogDeadZone = 0.2; // Stick drift below this is ignored for analog movement
+        this.movementMode = loadFromLocalStorage('movementMode', 'classic'); // Control scheme, see MOVEMENT_MODES
+        this.capture = null; // Pending rebinding, see captureBinding()
+        
+        this._addEventListeners();
+    }
+
+    /**
+     * Add a source of actions besides the keyboard and gamepads
+     * @param {Object} source - Object with a getActions() method returning { action: boolean }
+     */
+    addSource(source) {
+        this.sources.push(source);
+    }
+
+    /**
+     * Get the current state of every action
+     * Besides the actions, axisX/axisY hold the analog direction of a stick or touch joystick
+     * (0 if none is pushed), rounded to hundredths so a replay, which stores them as integers,
+     * reproduces them exactly
+     * @returns {Object} { moveUp, moveDown, moveLeft, moveRight, activateEW, defuse } booleans plus axisX, axisY in [-1, 1]
+     */
+    getActions() {
+        const actions = { axisX: 0, axisY: 0 };
+        INPUT_ACTIONS.forEach(action => {
+            actions[action] = this.bindings.keyboard[action].some(code => this.pressedKeys.has(code));
+        });
+        
+        for (const gamepad of this._getGamepads()) {
+            INPUT_ACTIONS.forEach(action => {
+                if (this.bindings.gamepad[action].some(index => gamepad.buttons[index] && gamepad.buttons[index].pressed)) {
+                    actions[action] = true;
+                }
+            });
+            
+            // The left stick always moves, on top of the bound buttons
+            const [x = 0, y = 0] = gamepad.axes;
+            if (Math.max(Math.abs(x), Math.abs(y)) >= this.stickDeadZone) {
+                if (Math.abs(x) >= Math.abs(y)) {
+                    actions[x < 0 ? 'moveLeft' : 'moveRight'] = true;
+                } else {
+                    actions[y < 0 ? 'moveUp' : 'moveDown'] = true;
+                }
+            }
+            if (Math.hypot(x, y) >= this.analogDeadZone && !actions.axisX && !actions.axisY) {
+                actions.axisX = x;
+                actions.axisY = y;
+            }
+        }
+        
+        for (const source of this.sources) {
+            const sourceActions = source.getActions();
+            INPUT_ACTIONS.forEach(action => {
+                actions[action] = actions[action] || !!sourceActions[action];
+            });
+            if (sourceActions.axisX || sourceActions.axisY) {
+                actions.axisX = sourceActions.axisX || 0;
+                actions.axisY = sourceActions.axisY || 0;
+            }
+        }
+        
+        actions.axisX = Math.round(Math.max(-1, Math.min(1, actions.axisX)) * 100) / 100;
+        actions.axisY = Math.round(Math.max(-1, Math.min(1, actions.axisY)) * 100) / 100;
+        return actions;
+    }
+
+    /**
+     * Choose the control scheme for the next runs
+     * @param {string} mode - One of MOVEMENT_MODES
+     */
+    setMovementMode(mode) {
+        this.movementMode = mode;
+        saveToLocalStorage('movementMode', mode);
+    }
+
+    /**
+     * Bind an action to a single key or gamepad button, replacing its previous bindings
+     * The key or button is taken away from any other action, so one press never triggers two actions
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {string} action - Action name
+     * @param {string|number} input - KeyboardEvent.code or gamepad button index
+     */
+    setBinding(device, action, input) {
+        INPUT_ACTIONS.forEach(other => {
+            this.bindings[device][other] = this.bindings[device][other].filter(bound => bound !== input);
+        });
+        this.bindings[device][action] = [input];
+        saveToLocalStorage('inputBindings', this.bindings);
+    }
+
+    /**
+     * Restore the default bindings
+     */
+    resetBindings() {
+        this.bindings = InputManager.loadBindings(null);
+        saveToLocalStorage('inputBindings', this.bindings);
+    }
+
+    /**
+     * Wait for the player to press the key or gamepad button to bind
+     * Escape cancels; while waiting, key presses don't reach the rest of the page
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @returns {Promise<string|number|null>} KeyboardEvent.code or button index, or null if cancelled
+     */
+    captureBinding(device) {
+        this.cancelCapture();
+        
+        return new Promise(resolve => {
+            // Buttons already held when capture starts don't count until released
+            const heldButtons = new Set();
+            for (const gamepad of this._getGamepads()) {
+                gamepad.buttons.forEach((button, index) => {
+                    if (button.pressed) {
+                        heldButtons.add(`${gamepad.index}:${index}`);
+                    }
+                });
+            }
+            
+            this.capture = { device, resolve, heldButtons, frameId: null };
+            if (device === 'gamepad') {
+                this._pollCapture();
+            }
+        });
+    }
+
+    /**
+     * Check if a rebinding is waiting for input
+     * @returns {boolean} Whether input is being captured
+     */
+    isCapturing() {
+        return this.capture !== null;
+    }
+
+    /**
+     * Stop waiting for a binding, resolving the pending capture with null
+     */
+    cancelCapture() {
+        this._finishCapture(null);
+    }
+
+    /**
+     * Get a display name for a key
+     * @param {string} code - KeyboardEvent.code
+     * @returns {string} Key name (e.g. 'W', '↑', 'Space')
+     */
+    static getKeyName(code) {
+        const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+        return arrows[code] || code.replace(/^(Key|Digit)/, '');
+    }
+
+    /**
+     * Get a display name for a gamepad button
+     * @param {number} index - Button index
+     * @returns {string} Button name (e.g. 'A', 'RB')
+     */
+    static getButtonName(index) {
+        return GAMEPAD_BUTTON_NAMES[index] || `#${index}`;
+    }
+
+    /**
+     * Load saved bindings, filling in defaults for actions that have none saved
+     * @param {Object|null} [saved] - Saved bindings; read from localStorage if omitted
+     * @returns {Object} { keyboard, gamepad } bindings
+     */
+    static loadBindings(saved = loadFromLocalStorage('inputBindings')) {
+        const bindings = {};
+        for (const device of Object.keys(DEFAULT_INPUT_BINDINGS)) {
+            bindings[device] = {};
+            INPUT_ACTIONS.forEach(action => {
+                const savedInputs = saved && saved[device] && saved[device][action];
+                bindings[device][action] = Array.isArray(savedInputs) ?
+                    savedInputs.slice() : DEFAULT_INPUT_BINDINGS[device][action].slice();
+            });
+        }
+        return bindings;
+    }
+
+    /**
+     * Set up keyboard listeners
+     * @private
+     */
+    _addEventListeners() {
+        // Capture phase, so a key pressed for rebinding never reaches the UI's own shortcuts
+        window.addEventListener('keydown', (e) => {
+            if (this.capture && this.capture.device === 'keyboard') {
+                e.preventDefault();
+                e.stopPropagation();
+                this._finishCapture(e.code === 'Escape' ? null : e.code);
+            }
+        }, true);
+        
+        window.addEventListener('keydown', (e) => {
+            this.pressedKeys.add(e.code);
+            
+            // Stop bound keys from scrolling the page, but let them be typed into text fields
+            const typing = e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement;
+            if (!typing && this._isBoundKey(e.code)) {
+                e.preventDefault();
+            }
+        });
+        
+        window.addEventListener('keyup', (e) => {
+            this.pressedKeys.delete(e.code);
+        });
+        
+        // Keys released while the window is in the background never send keyup
+        window.addEventListener('blur', () => {
+            this.pressedKeys.clear();
+        });
+    }
+
+    /**
+     * Check if a key is bound to any action
+     * @param {string} code - KeyboardEvent.code
+     * @returns {boolean} Whether the key is bound
+     * @private
+     */
+    _isBoundKey(code) {
+        return INPUT_ACTIONS.some(action => this.bindings.keyboard[action].includes(code));
+    }
+
+    /**
+     * Get the connected gamepads
+     * @returns {Array<Gamepad>} Connected gamepads
+     * @private
+     */
+    _getGamepads() {
+        if (!navigator.getGamepads) {
+            return [];
+        }
+        return Array.from(navigator.getGamepads()).filter(gamepad => gamepad && gamepad.connected);
+    }
+
+    /**
+     * Check gamepads every frame for the button to bind
+     * @private
+     */
+    _pollCapture() {
+        const capture = this.capture;
+        
+        for (const gamepad of this._getGamepads()) {
+            for (let index = 0; index < gamepad.buttons.length; index++) {
+                const id = `${gamepad.index}:${index}`;
+                if (!gamepad.buttons[index].pressed) {
+                    capture.heldButtons.delete(id);
+                } else if (!capture.heldButtons.has(id)) {
+                    this._finishCapture(index);
+                    return;
+                }
+            }
+        }
+        
+        capture.frameId = requestAnimationFrame(() => this._pollCapture());
+    }
+
+    /**
+     * End the pending capture, if any
+     * @param {string|number|null} input - Captured key or button, or null if cancelled
+     * @private
+     */
+    _finishCapture(input) {
+        const capture = this.capture;
+        if (!capture) {
+            return;
+        }
+        
+        this.capture = null;
+        cancelAnimationFrame(capture.frameId);
+        capture.resolve(input);
+    }
+}
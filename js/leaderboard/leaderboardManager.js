@@ -0,0 +1,164 @@
+// Leaderboard storage backends, selectable with ?leaderboard=<type>
+const LEADERBOARD_STORAGE_TYPES = ['firebase', 'server', 'local'];
+
+// Difficulties ranked on their own boards (runs with a custom difficulty aren't ranked);
+// entries from before difficulties were tagged count as normal
+const LEADERBOARD_DIFFICULTIES = ['easy', 'normal', 'hard'];
+
+// Entries a board keeps; the server drops lower ones (see MAX_BOARD_ENTRIES in server/scoreStores.js)
+const MAX_BOARD_ENTRIES = 1000;
+
+/**
+ * LeaderboardManager class
+ * Handles saving scores and retrieving the leaderboard through a pluggable storage backend
+ */
+class LeaderboardManager {
+  /**
+   * @param {LeaderboardStorage} [storage] - Storage backend; picked automatically if omitted
+   */
+  constructor(storage = LeaderboardManager.createStorage()) {
+    this.storage = storage;
+    this.maxEntries = storage.maxEntries;
+    this.playerId = getPlayerId(); // Anonymous ID attached to every submission
+  }
+
+  /**
+   * Submit a new score to the leaderboard
+   * @param {string} playerName - Name of the player
+   * @param {number} score - Score achieved
+   * @param {Object} replay - Replay of the run, including its run summary
+   * @returns {Promise<Object>} Promise that resolves to { id, score } of the new entry
+   */
+  submitScore(playerName, score, replay) {
+    return this.storage.submitScore(playerName, score, replay, this.playerId);
+  }
+
+  /**
+   * Get one page of a leaderboard
+   * @param {string} period - 'daily', 'weekly' or 'all'
+   * @param {number} offset - Number of entries to skip
+   * @param {number} limit - Maximum number of entries to return
+   * @param {string} difficulty - One of LEADERBOARD_DIFFICULTIES
+   * @returns {Promise<Object>} Promise that resolves to { scores, total }; each score has its rank
+   */
+  getScores(period = 'all', offset = 0, limit = this.maxEntries, difficulty = 'normal') {
+    return this.storage.getScores({ period, difficulty, offset, limit });
+  }
+
+  /**
+   * Get where this player's best entry ranks on a leaderboard
+   * @param {string} period - 'daily', 'weekly' or 'all'
+   * @param {string} difficulty - One of LEADERBOARD_DIFFICULTIES
+   * @returns {Promise<Object|null>} Promise that resolves to { rank, scoreId }, or null if the player has no entry on the board
+   */
+  getPlayerRank(period = 'all', difficulty = 'normal') {
+    return this.storage.getPlayerRank(this.playerId, period, difficulty);
+  }
+
+  /**
+   * Get this player's best-score record at a difficulty
+   * @param {string} difficulty - One of LEADERBOARD_DIFFICULTIES
+   * @returns {Promise<Object|null>} Promise that resolves to { bestScore, scoreId, name, updatedAt }, or null if the player has no entries
+   */
+  getPlayerBest(difficulty = 'normal') {
+    return this.storage.getPlayerBest(this.playerId, difficulty);
+  }
+
+  /**
+   * Get the top scores from the all-time leaderboard
+   * @param {number} limit - Maximum number of scores to retrieve
+   * @returns {Promise<Array>} Promise that resolves to an array of score objects
+   */
+  getTopScores(limit = this.maxEntries) {
+    return this.storage.getTopScores(limit);
+  }
+
+  /**
+   * Check if the given score would place in the top of a leaderboard
+   * Defaults to today's board, so every day gives a fresh chance to get on it
+   * @param {number} score - Score to check
+   * @param {string} period - 'daily', 'weekly' or 'all'
+   * @param {string} difficulty - One of LEADERBOARD_DIFFICULTIES
+   * @returns {Promise<boolean>} Promise that resolves to true if the score places on the leaderboard
+   */
+  wouldPlaceOnLeaderboard(score, period = 'daily', difficulty = 'normal') {
+    return this.storage.wouldPlaceOnLeaderboard(score, period, difficulty);
+  }
+
+  /**
+   * Get the start time of a leaderboard period in UTC, as the server cuts its boards
+   * @param {string} period - 'daily' (since midnight UTC), 'weekly' (since Monday midnight UTC) or 'all'
+   * @param {Date} [now] - Current time
+   * @returns {number} Start time in milliseconds since the epoch (0 for all-time)
+   */
+  static getPeriodStart(period, now = new Date()) {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    
+    switch (period) {
+      case 'daily':
+        return start.getTime();
+      case 'weekly':
+        // getUTCDay() is 0 on Sunday; weeks start on Monday
+        start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+        return start.getTime();
+      case 'all':
+        return 0;
+      default:
+        throw new Error(`Unknown leaderboard period: ${period}`);
+    }
+  }
+
+  /**
+   * Get the key a board is stored under in Firebase, matching getBoardKey in server/scoreStores.js
+   * @param {string} period - 'daily', 'weekly' or 'all'
+   * @param {string} difficulty - One of LEADERBOARD_DIFFICULTIES
+   * @param {Date} [now] - Current time
+   * @returns {string} <difficulty>/all, <difficulty>/daily-<date> or <difficulty>/weekly-<Monday's date>
+   */
+  static getBoardKey(period, difficulty, now = new Date()) {
+    if (period === 'all') {
+      return `${difficulty}/all`;
+    }
+    return `${difficulty}/${period}-${new Date(LeaderboardManager.getPeriodStart(period, now)).toISOString().slice(0, 10)}`;
+  }
+
+  /**
+   * Create a storage backend
+   * @param {string} [type] - 'firebase', 'server' or 'local'; picked from the page URL and environment if omitted
+   * @returns {LeaderboardStorage} Storage backend
+   */
+  static createStorage(type = LeaderboardManager.getStorageType()) {
+    switch (type) {
+      case 'firebase':
+        if (!database) {
+          throw new Error("Firebase is not available");
+        }
+        return new FirebaseLeaderboardStorage(database);
+      case 'server':
+        return new RestLeaderboardStorage();
+      case 'local':
+        return new LocalLeaderboardStorage();
+      default:
+        throw new Error(`Unknown leaderboard storage: ${type}`);
+    }
+  }
+
+  /**
+   * Decide which storage backend to use
+   * ?leaderboard=<type> wins; otherwise Firebase if it loaded, the game server if the page
+   * was served over HTTP, and local storage when opened straight from disk
+   * @returns {string} Storage type
+   */
+  static getStorageType() {
+    const requested = new URLSearchParams(window.location.search).get('leaderboard');
+    if (LEADERBOARD_STORAGE_TYPES.includes(requested)) {
+      return requested;
+    }
+    
+    if (database) {
+      return 'firebase';
+    }
+    
+    return window.location.protocol.startsWith('http') ? 'server' : 'local';
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * LeaderboardStorage class
+ * Interface every leaderboard backend implements (Firebase, the server's REST API, local storage)
+ * Every difficulty has its own boards and best-score records (see LEADERBOARD_DIFFICULTIES)
+ */
+class LeaderboardStorage {
+  constructor() {
+    this.maxEntries = 10; // Places a score has to reach to qualify; also the page size
+  }
+
+  /**
+   * Submit a new score to the leaderboard
+   * @param {string} playerName - Name of the player
+   * @param {number} score - Score achieved
+   * @param {Object} replay - Replay of the run, including its run summary (which names the difficulty)
+   * @param {string} playerId - Anonymous ID of the player
+   * @returns {Promise<Object>} Promise that resolves to { id, score } of the new entry
+   */
+  submitScore(playerName, score, replay, playerId) {
+    return Promise.reject(new Error(`${this.constructor.name} does not implement submitScore`));
+  }
+
+  /**
+   * Get one page of a leaderboard
+   * @param {Object} query - { period, difficulty, offset, limit }; period is 'daily', 'weekly' or 'all'
+   * @returns {Promise<Object>} Promise that resolves to { scores, total }; each score has its rank
+   */
+  getScores(query) {
+    return Promise.reject(new Error(`${this.constructor.name} does not implement getScores`));
+  }
+
+  /**
+   * Get where a player's best entry ranks on a leaderboard
+   * @param {string} playerId - Player ID
+   * @param {string} period - 'daily', 'weekly' or 'all'
+   * @param {string} difficulty - Difficulty of the board
+   * @returns {Promise<Object|null>} Promise that resolves to { rank, scoreId }, or null if the player has no entry on the board
+   */
+  getPlayerRank(playerId, period = 'all', difficulty = 'normal') {
+    return Promise.reject(new Error(`${this.constructor.name} does not implement getPlayerRank`));
+  }
+
+  /**
+   * Get a player's best-score record at a difficulty
+   * @param {string} playerId - Player ID
+   * @param {string} difficulty - Difficulty of the record
+   * @returns {Promise<Object|null>} Promise that resolves to { bestScore, scoreId, name, updatedAt }, or null if the player has no entries
+   */
+  getPlayerBest(playerId, difficulty = 'normal') {
+    return Promise.reject(new Error(`${this.constructor.name} does not implement getPlayerBest`));
+  }
+
+  /**
+   * Get the top scores from the all-time leaderboard of normal difficulty
+   * @param {number} limit - Maximum number of scores to retrieve
+   * @returns {Promise<Array>} Promise that resolves to an array of score objects, highest first
+   */
+  getTopScores(limit = this.maxEntries) {
+    return this.getScores({ limit }).then(page => page.scores);
+  }
+
+  /**
+   * Check if the given score would place in the top of a leaderboard
+   * @param {number} score - Score to check
+   * @param {string} period - 'daily', 'weekly' or 'all'
+   * @param {string} difficulty - Difficulty of the board
+   * @returns {Promise<boolean>} Promise that resolves to true if the score places on the leaderboard
+   */
+  wouldPlaceOnLeaderboard(score, period = 'all', difficulty = 'normal') {
+    return this.getScores({ period, difficulty, limit: this.maxEntries })
+      .then(({ scores }) => {
+        // If we have fewer than maxEntries, any score places
+        if (scores.length < this.maxEntries) {
+          return true;
+        }
+        
+        // Otherwise, check if this score is higher than the lowest on the board
+        const lowestScore = scores[scores.length - 1].score;
+        return score > lowestScore;
+      });
+  }
+
+  /**
+   * Get one page of a leaderboard built from a list of entries
+   * For backends that hold all entries in memory (local storage)
+   * @param {Array} entries - Score entries
+   * @param {Object} query - { period, difficulty, offset, limit }
+   * @returns {Object} { scores, total }
+   * @protected
+   */
+  _getBoardPage(entries, { period = 'all', difficulty = 'normal', offset = 0, limit = this.maxEntries }) {
+    const board = this._buildBoard(entries, period, difficulty);
+    return { scores: board.slice(offset, offset + limit), total: board.length };
+  }
+
+  /**
+   * Find a player's best-placed entry in a list of entries
+   * @param {Array} entries - Score entries
+   * @param {string} playerId - Player ID
+   * @param {string} period - 'daily', 'weekly' or 'all'
+   * @param {string} difficulty - Difficulty of the board
+   * @returns {Object|null} { rank, scoreId }, or null if the player has no entry on the board
+   * @protected
+   */
+  _findPlayerRank(entries, playerId, period, difficulty) {
+    const entry = this._buildBoard(entries, period, difficulty).find(score => score.playerId === playerId);
+    return entry ? { rank: entry.rank, scoreId: entry.id } : null;
+  }
+
+  /**
+   * Rank the entries of a difficulty made in a leaderboard period (see LeaderboardManager.getPeriodStart)
+   * Highest score first; on a tie the earlier entry ranks higher
+   * @param {Array} entries - Score entries
+   * @param {string} period - 'daily', 'weekly' or 'all'
+   * @param {string} difficulty - Difficulty of the board; untagged entries count as normal
+   * @returns {Array} Ranked entries
+   * @protected
+   */
+  _buildBoard(entries, period, difficulty) {
+    const since = LeaderboardManager.getPeriodStart(period);
+    return entries
+      .filter(score => score.timestamp >= since && (score.difficulty || 'normal') === difficulty)
+      .sort((a, b) => b.score - a.score || a.timestamp - b.timestamp)
+      .map((score, index) => ({ ...score, rank: index + 1 }));
+  }
+}
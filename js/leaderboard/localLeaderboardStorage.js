@@ -0,0 +1,96 @@
+/**
+ * LocalLeaderboardStorage class
+ * Leaderboard kept in the browser for offline play (or purely in memory for testing)
+ */
+class LocalLeaderboardStorage extends LeaderboardStorage {
+  /**
+   * @param {string|null} storageKey - localStorage key to persist scores under; null keeps them in memory only
+   */
+  constructor(storageKey = 'localLeaderboard') {
+    super();
+    this.storageKey = storageKey;
+    this.scores = storageKey ? loadFromLocalStorage(storageKey, []) : [];
+  }
+
+  /**
+   * Submit a new score to the leaderboard
+   * @param {string} playerName - Name of the player
+   * @param {number} score - Score achieved
+   * @param {Object} [replay] - Replay of the run
+   * @param {string} playerId - Anonymous ID of the player
+   * @returns {Promise<Object>} Promise that resolves to { id, score } of the new entry
+   */
+  submitScore(playerName, score, replay = null, playerId = null) {
+    const scoreId = generateId();
+    
+    this.scores.push({
+      id: scoreId,
+      playerId,
+      name: playerName,
+      score: score,
+      seed: replay ? replay.seed : null,
+      difficulty: replay && replay.result ? replay.result.difficulty : 'normal',
+      timestamp: Date.now()
+    });
+    this.scores = this._trimEntries(this.scores);
+    
+    if (this.storageKey) {
+      saveToLocalStorage(this.storageKey, this.scores);
+    }
+    
+    console.log(`Score ${score} submitted for ${playerName}`);
+    return Promise.resolve({ id: scoreId, score });
+  }
+
+  /**
+   * Get one page of a leaderboard
+   * @param {Object} query - { period, difficulty, offset, limit }; period is 'daily', 'weekly' or 'all'
+   * @returns {Promise<Object>} Promise that resolves to { scores, total }; each score has its rank
+   */
+  getScores(query) {
+    return Promise.resolve(this._getBoardPage(this.scores, query));
+  }
+
+  /**
+   * Get where a player's best entry ranks on a leaderboard
+   * @param {string} playerId - Player ID
+   * @param {string} period - 'daily', 'weekly' or 'all'
+   * @param {string} difficulty - Difficulty of the board
+   * @returns {Promise<Object|null>} Promise that resolves to { rank, scoreId }, or null if the player has no entry on the board
+   */
+  getPlayerRank(playerId, period = 'all', difficulty = 'normal') {
+    return Promise.resolve(this._findPlayerRank(this.scores, playerId, period, difficulty));
+  }
+
+  /**
+   * Get a player's best-score record at a difficulty
+   * Entries are kept locally, so the record is the player's top entry on the all-time board
+   * @param {string} playerId - Player ID
+   * @param {string} difficulty - Difficulty of the record
+   * @returns {Promise<Object|null>} Promise that resolves to { bestScore, scoreId, name, updatedAt }, or null if the player has no entries
+   */
+  getPlayerBest(playerId, difficulty = 'normal') {
+    const best = this._buildBoard(this.scores, 'all', difficulty).find(score => score.playerId === playerId);
+    return Promise.resolve(best ?
+      { bestScore: best.score, scoreId: best.id, name: best.name, updatedAt: best.timestamp } :
+      null);
+  }
+
+  /**
+   * Drop the entries that have fallen off every board, so localStorage can't fill up
+   * An entry is kept while it is in the top MAX_BOARD_ENTRIES of its difficulty's all-time board or of this week's
+   * (today's board is part of this week's)
+   * @param {Array} entries - Score entries
+   * @returns {Array} Entries still on a board, in their original order
+   * @private
+   */
+  _trimEntries(entries) {
+    const kept = new Set();
+    LEADERBOARD_DIFFICULTIES.forEach(difficulty => {
+      ['all', 'weekly'].forEach(period => {
+        this._buildBoard(entries, period, difficulty).slice(0, MAX_BOARD_ENTRIES).forEach(score => kept.add(score.id));
+      });
+    });
+    return entries.filter(score => kept.has(score.id));
+  }
+}
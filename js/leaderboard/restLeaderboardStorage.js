@@ -0,0 +1,105 @@
+/**
+ * RestLeaderboardStorage class
+ * Leaderboard served by server.js (GET/POST /api/scores); works on a LAN without internet
+ */
+class RestLeaderboardStorage extends LeaderboardStorage {
+  /**
+   * @param {string} scoresEndpoint - URL of the server's scores route
+   * @param {string} playersEndpoint - URL of the server's players route
+   */
+  constructor(scoresEndpoint = '/api/scores', playersEndpoint = '/api/players') {
+    super();
+    this.scoresEndpoint = scoresEndpoint;
+    this.playersEndpoint = playersEndpoint;
+  }
+
+  /**
+   * Submit a new score to the leaderboard
+   * The server checks the run (and re-simulates its replay) before saving it
+   * @param {string} playerName - Name of the player
+   * @param {number} score - Score achieved
+   * @param {Object} replay - Replay of the run, including its run summary
+   * @param {string} playerId - Anonymous ID of the player
+   * @returns {Promise<Object>} Promise that resolves to { id, score } of the new entry
+   */
+  submitScore(playerName, score, replay, playerId) {
+    if (!replay || !replay.result) {
+      return Promise.reject(new Error("Run summary is missing"));
+    }
+    
+    const { seed, missionsCompleted, dronesDestroyed, minesDefused, difficulty, duration } = replay.result;
+    
+    return this._request(this.scoresEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: playerName,
+        playerId,
+        score,
+        seed,
+        missionsCompleted,
+        dronesDestroyed,
+        minesDefused,
+        difficulty,
+        duration,
+        replay
+      })
+    }).then(data => {
+      console.log(`Score ${score} submitted for ${playerName}`);
+      return data;
+    }).catch(error => {
+      console.error("Error submitting score:", error);
+      throw error;
+    });
+  }
+
+  /**
+   * Get one page of a leaderboard
+   * @param {Object} query - { period, difficulty, offset, limit }; period is 'daily', 'weekly' or 'all'
+   * @returns {Promise<Object>} Promise that resolves to { scores, total }; each score has its rank
+   */
+  getScores({ period = 'all', difficulty = 'normal', offset = 0, limit = this.maxEntries }) {
+    return this._request(`${this.scoresEndpoint}?period=${period}&difficulty=${difficulty}&offset=${offset}&limit=${limit}`);
+  }
+
+  /**
+   * Get where a player's best entry ranks on a leaderboard
+   * @param {string} playerId - Player ID
+   * @param {string} period - 'daily', 'weekly' or 'all'
+   * @param {string} difficulty - Difficulty of the board
+   * @returns {Promise<Object|null>} Promise that resolves to { rank, scoreId }, or null if the player has no entry on the board
+   */
+  getPlayerRank(playerId, period = 'all', difficulty = 'normal') {
+    return this._request(`${this.scoresEndpoint}/rank?playerId=${encodeURIComponent(playerId)}&period=${period}&difficulty=${difficulty}`)
+      .then(data => data.playerRank);
+  }
+
+  /**
+   * Get a player's best-score record at a difficulty
+   * @param {string} playerId - Player ID
+   * @param {string} difficulty - Difficulty of the record
+   * @returns {Promise<Object|null>} Promise that resolves to { bestScore, scoreId, name, updatedAt }, or null if the player has no entries
+   */
+  getPlayerBest(playerId, difficulty = 'normal') {
+    return this._request(`${this.playersEndpoint}/best?playerId=${encodeURIComponent(playerId)}&difficulty=${difficulty}`)
+      .then(data => data.best);
+  }
+
+  /**
+   * Make a request to the server and parse its JSON response
+   * @param {string} url - Request URL
+   * @param {Object} [options] - fetch options
+   * @returns {Promise<Object>} Response data; rejects with the server's error message on failure
+   * @private
+   */
+  _request(url, options) {
+    return fetch(url, options).then(response => {
+      return response.json().catch(() => ({})).then(data => {
+        if (!response.ok) {
+          throw new Error(data.error || `Request failed with status ${response.status}`);
+        }
+        return data;
+      });
+    });
+  }
+}
@@ -0,0 +1,343 @@
+/**
+ * Level files
+ * Handcrafted maps kept as JSON in assets/levels/, and the same format for exporting the map being played.
+ *
+ * Format (version 1); positions are in tiles, counted from the top-left corner:
+ * {
+ *   "version": 1,
+ *   "name": "Training ground",                     // Optional
+ *   "missionType": "delivery",                     // Optional key in MISSION_TYPES; picked from the seed if omitted
+ *   "tiles": ["..==..", ...],                      // One string per row, one LEVEL_TILE_CHARS character per tile
+ *   "start": { "x": 1, "y": 1 },                   // Where the platform starts (its base)
+ *   "goal": { "x": 22, "y": 14 },                  // Mission goal
+ *   "mines": [{ "x": 6, "y": 3 }],                 // Optional
+ *   "pickups": [{ "type": "repair", "x": 9, "y": 4 }],  // Optional, type is a key in PICKUP_TYPES
+ *   "buildings": [{ "x": 3, "y": 5, "width": 2, "height": 2, "type": "building_small", "shape": "solid" }]
+ * }
+ * buildings only decide how walls are drawn (type is the image, shape as in MapGenerator); it is optional,
+ * and walls no building covers are drawn tile by tile
+ */
+
+// Current level format version
+const LEVEL_FORMAT_VERSION = 1;
+
+// Characters of the tiles rows, with the tile value each stands for (see MapGenerator.terrainTypes)
+const LEVEL_TILE_CHARS = {
+    '=': 0, // ASPHALT
+    '.': 1, // DIRT
+    '~': 2, // WATER
+    '#': 3, // WALL
+    '^': 5, // FOREST
+    '_': 6, // TRENCH
+    'H': 7, // BRIDGE
+    'o': 8 // CRATER
+};
+
+// Tile value of mines in map.tiles (MINE in MapGenerator.terrainTypes); levels list mines separately
+const LEVEL_MINE_TILE = 4;
+
+// Reachability check of levels; it only tells walls and mines from the rest of the tiles
+const LEVEL_VALIDATOR = new MapValidator({ WALL: LEVEL_TILE_CHARS['#'], MINE: LEVEL_MINE_TILE });
+
+/**
+ * LevelFormat class
+ * Converts between level files and the map data MapGenerator produces, and validates level files
+ */
+class LevelFormat {
+    /**
+     * Load a level from assets/levels/
+     * @param {string} name - Level file name without .json
+     * @param {number} columns - Smallest map width in tiles the level can have
+     * @param {number} rows - Smallest map height in tiles the level can have
+     * @param {number} [footprint] - Size of the platform's collision box in tiles, checked to fit the route to the goal
+     * @returns {Promise<Object>} Validated level
+     */
+    static load(name, columns, rows, footprint = 1) {
+        return fetch(`assets/levels/${encodeURIComponent(name)}.json`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`file could not be loaded (status ${response.status})`);
+                }
+                return response.text();
+            })
+            .then(text => LevelFormat.parse(text, columns, rows, footprint))
+            .catch(error => {
+                throw new Error(`Level "${name}": ${error.message}`);
+            });
+    }
+
+    /**
+     * Load a level and the ones after it in the campaign (the order of assets/levels/index.json)
+     * A level the index doesn't list is loaded on its own
+     * @param {string} name - Level file name without .json
+     * @param {number} columns - Smallest map width in tiles the levels can have
+     * @param {number} rows - Smallest map height in tiles the levels can have
+     * @param {number} [footprint] - Size of the platform's collision box in tiles
+     * @returns {Promise<Array<Object>>} Validated levels, in order
+     */
+    static loadCampaign(name, columns, rows, footprint = 1) {
+        return fetch('assets/levels/index.json')
+            .then(response => response.ok ? response.json() : { levels: [] })
+            .catch(() => ({ levels: [] }))
+            .then(index => {
+                const names = Array.isArray(index.levels) ? index.levels : [];
+                const first = names.indexOf(name);
+                const campaign = first === -1 ? [name] : names.slice(first);
+                return Promise.all(campaign.map(levelName => LevelFormat.load(levelName, columns, rows, footprint)));
+            });
+    }
+
+    /**
+     * Parse and validate a level from JSON text
+     * @param {string} json - Level file contents
+     * @param {number} columns - Smallest map width in tiles the level can have
+     * @param {number} rows - Smallest map height in tiles the level can have
+     * @param {number} [footprint] - Size of the platform's collision box in tiles
+     * @returns {Object} Level
+     */
+    static parse(json, columns, rows, footprint = 1) {
+        let level;
+        try {
+            level = JSON.parse(json);
+        } catch (error) {
+            throw new Error('Level file is not valid JSON');
+        }
+        
+        LevelFormat.validate(level, columns, rows, footprint);
+        return level;
+    }
+
+    /**
+     * Validate a level, throwing an Error describing the first problem found
+     * @param {Object} level - Level
+     * @param {number} columns - Smallest map width in tiles the level can have
+     * @param {number} rows - Smallest map height in tiles the level can have
+     * @param {number} [footprint] - Size of the platform's collision box in tiles; the platform has to fit
+     *     along the route to the goal (see MapValidator)
+     */
+    static validate(level, columns, rows, footprint = 1) {
+        if (!level || typeof level !== 'object') {
+            throw new Error('Level must be an object');
+        }
+        if (level.version !== LEVEL_FORMAT_VERSION) {
+            throw new Error(`Unsupported level version: ${level.version}`);
+        }
+        if (level.name !== undefined && typeof level.name !== 'string') {
+            throw new Error('Level name must be a string');
+        }
+        if (level.missionType !== undefined && !Object.prototype.hasOwnProperty.call(MISSION_TYPES, level.missionType)) {
+            throw new Error(`Unknown mission type: ${level.missionType}`);
+        }
+        
+        // Tiles: a map at least columns by rows big, in rows of the same length
+        if (!Array.isArray(level.tiles) || level.tiles.length < rows) {
+            throw new Error(`Level must have at least ${rows} rows of tiles`);
+        }
+        const width = typeof level.tiles[0] === 'string' ? level.tiles[0].length : 0;
+        const height = level.tiles.length;
+        if (width < columns) {
+            throw new Error(`Level rows must be strings of at least ${columns} tiles`);
+        }
+        level.tiles.forEach((row, y) => {
+            if (typeof row !== 'string' || row.length !== width) {
+                throw new Error(`Row ${y} must be a string of ${width} tiles`);
+            }
+            const x = [...row].findIndex(char => !Object.prototype.hasOwnProperty.call(LEVEL_TILE_CHARS, char));
+            if (x !== -1) {
+                throw new Error(`Unknown tile "${row[x]}" at (${x}, ${y})`);
+            }
+        });
+        const tileAt = point => level.tiles[point.y][point.x];
+        
+        // Start and goal
+        for (const field of ['start', 'goal']) {
+            const point = level[field];
+            const name = LevelFormat._capitalize(field);
+            LevelFormat._validatePosition(point, name, width, height);
+            if (tileAt(point) === '#') {
+                throw new Error(`${name} is inside a wall at (${point.x}, ${point.y})`);
+            }
+        }
+        if (level.start.x === level.goal.x && level.start.y === level.goal.y) {
+            throw new Error('Start and goal are on the same tile');
+        }
+        
+        // Mines and pickups
+        const taken = new Set([`${level.start.x},${level.start.y}`, `${level.goal.x},${level.goal.y}`]);
+        for (const field of ['mines', 'pickups']) {
+            if (level[field] === undefined) continue;
+            if (!Array.isArray(level[field])) {
+                throw new Error(`${LevelFormat._capitalize(field)} must be an array`);
+            }
+            
+            level[field].forEach((item, index) => {
+                const name = `${field}[${index}]`;
+                LevelFormat._validatePosition(item, name, width, height);
+                if (field === 'pickups' && !Object.prototype.hasOwnProperty.call(PICKUP_TYPES, item.type)) {
+                    throw new Error(`Unknown pickup type in ${name}: ${item.type}`);
+                }
+                if (tileAt(item) === '#') {
+                    throw new Error(`${name} is inside a wall at (${item.x}, ${item.y})`);
+                }
+                if (taken.has(`${item.x},${item.y}`)) {
+                    throw new Error(`${name} is on the start, the goal or another mine or pickup at (${item.x}, ${item.y})`);
+                }
+                taken.add(`${item.x},${item.y}`);
+            });
+        }
+        
+        if (level.missionType !== undefined && MISSION_TYPES[level.missionType].behavior === 'sapper' &&
+            !(level.mines && level.mines.length > 0)) {
+            throw new Error('A sapper mission needs mines to clear');
+        }
+        
+        // Buildings
+        if (level.buildings !== undefined) {
+            if (!Array.isArray(level.buildings)) {
+                throw new Error('Buildings must be an array');
+            }
+            level.buildings.forEach((building, index) => {
+                const name = `buildings[${index}]`;
+                LevelFormat._validatePosition(building, name, width, height);
+                if (!Number.isInteger(building.width) || !Number.isInteger(building.height) ||
+                    building.width < 1 || building.height < 1 ||
+                    building.x + building.width > width || building.y + building.height > height) {
+                    throw new Error(`${name} must have a whole width and height and fit on the map`);
+                }
+                if (typeof building.type !== 'string' || !building.type) {
+                    throw new Error(`${name} is missing its type`);
+                }
+            });
+        }
+        
+        // The platform has to be able to get there (and back) without driving over a mine
+        const problem = LEVEL_VALIDATOR.check(LevelFormat.toMap(level, 1, ''), footprint);
+        if (problem === 'minesBlocking') {
+            throw new Error(`Every route to the goal at (${level.goal.x}, ${level.goal.y}) crosses a mine`);
+        }
+        if (problem) {
+            throw new Error(`Goal at (${level.goal.x}, ${level.goal.y}) can't be reached from the start`);
+        }
+    }
+
+    /**
+     * Build map data (as MapGenerator.generateMap returns it) from a level
+     * Every call returns a fresh map, so a level can be played again after its mines went off
+     * @param {Object} level - Validated level
+     * @param {number} tileSize - Size of a tile in pixels
+     * @param {string} seed - Mission seed, kept with the map like a generated one
+     * @returns {Object} Map data
+     */
+    static toMap(level, tileSize, seed) {
+        const tiles = level.tiles.map(row => [...row].map(char => LEVEL_TILE_CHARS[char]));
+        const toPoint = ({ x, y }) => ({ x: x * tileSize, y: y * tileSize, tileX: x, tileY: y });
+        
+        const mines = (level.mines || []).map(mine => {
+            const originalTerrain = tiles[mine.y][mine.x];
+            tiles[mine.y][mine.x] = LEVEL_MINE_TILE;
+            return { ...toPoint(mine), originalTerrain };
+        });
+        const pickups = (level.pickups || []).map(pickup => ({ type: pickup.type, ...toPoint(pickup) }));
+        
+        // Walls are drawn as buildings; give the walls no building covers one of their own
+        const buildings = (level.buildings || []).map(building => ({
+            x: building.x * tileSize,
+            y: building.y * tileSize,
+            width: building.width * tileSize,
+            height: building.height * tileSize,
+            type: building.type,
+            shape: building.shape || 'solid',
+            size: building.width * building.height
+        }));
+        const covered = (x, y) => (level.buildings || []).some(building =>
+            x >= building.x && x < building.x + building.width && y >= building.y && y < building.y + building.height);
+        tiles.forEach((row, y) => row.forEach((tile, x) => {
+            if (tile === LEVEL_TILE_CHARS['#'] && !covered(x, y)) {
+                buildings.push({ x: x * tileSize, y: y * tileSize, width: tileSize, height: tileSize,
+                    type: 'building_small', shape: 'solid', size: 1 });
+            }
+        }));
+        
+        return {
+            tiles,
+            buildings,
+            start: toPoint(level.start),
+            goal: toPoint(level.goal),
+            mines,
+            pickups,
+            seed,
+            width: tiles[0].length * tileSize,
+            height: tiles.length * tileSize,
+            tileSize
+        };
+    }
+
+    /**
+     * Build a level from map data, e.g. to export the map being played
+     * Mines and pickups are saved as they are now, so ones already cleared or collected are left out
+     * @param {Object} map - Map data
+     * @param {string} [missionType] - Mission type played on the map
+     * @param {string} [name] - Level name
+     * @returns {Object} Level
+     */
+    static fromMap(map, missionType, name) {
+        const chars = Object.keys(LEVEL_TILE_CHARS);
+        const toTile = point => ({ x: point.tileX, y: point.tileY });
+        const tileSize = map.tileSize;
+        
+        // Mine tiles are saved as the terrain under the mine
+        const tiles = map.tiles.map(row => row.slice());
+        map.mines.forEach(mine => {
+            tiles[mine.tileY][mine.tileX] = mine.originalTerrain;
+        });
+        
+        const level = {
+            version: LEVEL_FORMAT_VERSION,
+            name: name || `Map ${map.seed}`,
+            tiles: tiles.map(row => row.map(tile => chars.find(char => LEVEL_TILE_CHARS[char] === tile)).join('')),
+            start: toTile(map.start),
+            goal: toTile(map.goal),
+            mines: map.mines.map(toTile),
+            pickups: map.pickups.map(pickup => ({ type: pickup.type, ...toTile(pickup) })),
+            buildings: map.buildings.map(building => ({
+                x: building.x / tileSize,
+                y: building.y / tileSize,
+                width: building.width / tileSize,
+                height: building.height / tileSize,
+                type: building.type,
+                shape: building.shape
+            }))
+        };
+        if (missionType) {
+            level.missionType = missionType;
+        }
+        return level;
+    }
+
+    /**
+     * Check that a field holds a position on the map
+     * @param {Object} point - Position { x, y } in tiles
+     * @param {string} name - What the position is, for the error message
+     * @param {number} columns - Map width in tiles
+     * @param {number} rows - Map height in tiles
+     * @private
+     */
+    static _validatePosition(point, name, columns, rows) {
+        if (!point || !Number.isInteger(point.x) || !Number.isInteger(point.y)) {
+            throw new Error(`${name} must have whole x and y tile coordinates`);
+        }
+        if (point.x < 0 || point.x >= columns || point.y < 0 || point.y >= rows) {
+            throw new Error(`${name} at (${point.x}, ${point.y}) is outside the map`);
+        }
+    }
+
+    /**
+     * Capitalize the first letter of a field name for an error message
+     * @param {string} text - Field name
+     * @returns {string} Capitalized name
+     * @private
+     */
+    static _capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+}
@@ -0,0 +1,594 @@
+/**
+ * MapEditor class
+ * Tile map editor for handcrafted levels (see levels.js): paints terrain, places mines, the start, the goal
+ * and building footprints on the game canvas, with undo/redo, flood fill and an overlay of the tiles the
+ * platform can't reach. Game renders the level with its usual map renderer and runs play-tests, saving
+ * and loading, which the editor hands over as actions (see takeAction)
+ */
+
+// Editor tools: terrain tools paint their tile (a LEVEL_TILE_CHARS character), the others place things
+const EDITOR_TOOLS = {
+    asphalt: { tile: '=', color: '#333333' },
+    dirt: { tile: '.', color: '#8B4513' },
+    water: { tile: '~', color: '#1E90FF' },
+    wall: { tile: '#', color: '#696969' },
+    forest: { tile: '^', color: '#1E5631' },
+    trench: { tile: '_', color: '#3B2A1A' },
+    bridge: { tile: 'H', color: '#A0522D' },
+    crater: { tile: 'o', color: '#5C4033' },
+    mine: { icon: '✹' },
+    start: { icon: 'S' },
+    goal: { icon: 'G' },
+    building: { icon: '▦' } // Drag a rectangle
+};
+
+class MapEditor {
+    /**
+     * @param {HTMLElement} element - Toolbar (#editor-toolbar) with the tool buttons ([data-tool]),
+     *     action buttons ([data-action]) and the level file input (#editor-file-input)
+     * @param {HTMLCanvasElement} canvas - Game canvas the level is drawn on and edited with the pointer
+     * @param {number} columns - Map width in tiles
+     * @param {number} rows - Map height in tiles
+     * @param {number} tileSize - Size of a tile in pixels
+     * @param {number} [footprint] - Size of the platform's collision box in tiles, for the reachability overlay
+     */
+    constructor(element, canvas, columns, rows, tileSize, footprint = 1) {
+        this.element = element;
+        this.canvas = canvas;
+        this.columns = columns;
+        this.rows = rows;
+        this.tileSize = tileSize;
+        this.footprint = footprint;
+        this.fileInput = element.querySelector('#editor-file-input');
+        
+        this.isOpen = false;
+        this.level = null; // Level being edited, with tiles as arrays of characters
+        this.tool = 'dirt';
+        this.fill = false; // Terrain tools flood-fill instead of painting
+        this.showReachability = true; // Tint the tiles the platform can't reach from the start
+        
+        this.undoStack = []; // Snapshots (JSON) of the level before each change
+        this.redoStack = [];
+        this.maxUndo = 100;
+        
+        this.strokeSnapshot = null; // Level when the pointer went down, to record the stroke as one change
+        this.dragStart = null; // Corner tile of the building being dragged out
+        this.hoverTile = null; // Tile under the pointer
+        this.map = null; // Map data of the level, rebuilt after a change (see getMap)
+        this.reachable = null; // Keys of the tiles the platform can reach from the start without crossing a mine, rebuilt with the map
+        this.actions = []; // Actions for Game: { type: 'playTest' | 'save' | 'exit' } or { type: 'load', text }
+        
+        this._initializeToolbar();
+        this._addEventListeners();
+    }
+
+    /**
+     * Show the editor, with the level edited last (or a new one)
+     */
+    open() {
+        if (!this.level) {
+            this.level = this._createBlankLevel();
+            this._changed();
+        }
+        this.isOpen = true;
+        this.element.classList.remove('hidden');
+        this._updateToolbar();
+    }
+
+    /**
+     * Hide the editor, keeping the level for when it opens again
+     */
+    close() {
+        this.isOpen = false;
+        this.strokeSnapshot = null;
+        this.dragStart = null;
+        this.hoverTile = null;
+        this.element.classList.add('hidden');
+    }
+
+    /**
+     * Start over with an empty map (can be undone)
+     */
+    newLevel() {
+        this._recordChange(() => {
+            this.level = this._createBlankLevel();
+        });
+    }
+
+    /**
+     * Edit a level (can be undone)
+     * @param {Object} level - Validated level, of the editor's size
+     */
+    load(level) {
+        if (level.tiles.length !== this.rows || level.tiles[0].length !== this.columns) {
+            throw new Error(`Only levels of ${this.columns}x${this.rows} tiles can be edited`);
+        }
+        
+        this._recordChange(() => {
+            this.level = {
+                name: level.name || 'New level',
+                missionType: level.missionType,
+                tiles: level.tiles.map(row => [...row]),
+                start: { ...level.start },
+                goal: { ...level.goal },
+                mines: (level.mines || []).map(mine => ({ x: mine.x, y: mine.y })),
+                pickups: (level.pickups || []).map(pickup => ({ ...pickup })),
+                buildings: (level.buildings || []).map(building => ({ ...building }))
+            };
+        });
+    }
+
+    /**
+     * Get the level being edited
+     * @returns {Object} Level (see levels.js); not validated
+     */
+    getLevel() {
+        return {
+            version: LEVEL_FORMAT_VERSION,
+            name: this.level.name,
+            missionType: this.level.missionType, // Left out of the JSON if not set
+            tiles: this.level.tiles.map(row => row.join('')),
+            start: { ...this.level.start },
+            goal: { ...this.level.goal },
+            mines: this.level.mines.map(mine => ({ ...mine })),
+            pickups: this.level.pickups.map(pickup => ({ ...pickup })),
+            buildings: this.level.buildings.map(building => ({ ...building }))
+        };
+    }
+
+    /**
+     * Get the level as map data, to draw it with the game's map renderer
+     * @returns {Object} Map data (see LevelFormat.toMap), with every mine shown
+     */
+    getMap() {
+        if (!this.map) {
+            this.map = LevelFormat.toMap(this.getLevel(), this.tileSize, 'editor');
+            this.map.mines.forEach(mine => {
+                mine.detected = true;
+            });
+            this.reachable = LEVEL_VALIDATOR.findReachable(this.map, this.footprint, true);
+        }
+        return this.map;
+    }
+
+    /**
+     * Take the next action for Game to carry out
+     * @returns {Object|null} Action, or null if there is none
+     */
+    takeAction() {
+        return this.actions.shift() || null;
+    }
+
+    /**
+     * Undo the last change
+     */
+    undo() {
+        if (this.undoStack.length === 0) return;
+        
+        this.redoStack.push(JSON.stringify(this.level));
+        this.level = JSON.parse(this.undoStack.pop());
+        this._changed();
+    }
+
+    /**
+     * Redo the last undone change
+     */
+    redo() {
+        if (this.redoStack.length === 0) return;
+        
+        this.undoStack.push(JSON.stringify(this.level));
+        this.level = JSON.parse(this.redoStack.pop());
+        this._changed();
+    }
+
+    /**
+     * Draw the editor's markings over the level: unreachable tiles, start, goal, and the tile or
+     * building under the pointer
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    draw(ctx) {
+        const map = this.getMap();
+        const size = this.tileSize;
+        
+        ctx.save();
+        
+        // Tiles the platform can't get to from the start
+        if (this.showReachability) {
+            ctx.fillStyle = 'rgba(255, 0, 0, 0.35)';
+            this.level.tiles.forEach((row, y) => row.forEach((tile, x) => {
+                if (tile !== '#' && !this.reachable.has(`${x},${y}`)) {
+                    ctx.fillRect(x * size, y * size, size, size);
+                }
+            }));
+        }
+        
+        Mission.drawPoint(ctx, map, map.start, 'rgba(0, 255, 0, 0.7)', 1);
+        Mission.drawPoint(ctx, map, map.goal, 'rgba(255, 215, 0, 0.7)', 1);
+        ctx.fillStyle = '#000000';
+        ctx.font = `bold ${Math.round(size * 0.6)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(EDITOR_TOOLS.start.icon, map.start.x + size / 2, map.start.y + size / 2);
+        ctx.fillText(EDITOR_TOOLS.goal.icon, map.goal.x + size / 2, map.goal.y + size / 2);
+        
+        // Building being dragged out, or the tile under the pointer
+        const area = this.dragStart && this.hoverTile ? this._getDragArea() :
+            this.hoverTile && { x: this.hoverTile.x, y: this.hoverTile.y, width: 1, height: 1 };
+        if (area) {
+            ctx.strokeStyle = this.dragStart ? '#F1C40F' : '#FFFFFF';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(area.x * size, area.y * size, area.width * size, area.height * size);
+        }
+        
+        ctx.restore();
+    }
+
+    /**
+     * Create an empty map: all dirt, with the start and goal in opposite corners
+     * @returns {Object} Level being edited
+     * @private
+     */
+    _createBlankLevel() {
+        return {
+            name: 'New level',
+            missionType: undefined,
+            tiles: Array.from({ length: this.rows }, () => Array(this.columns).fill('.')),
+            start: { x: 1, y: this.rows - 2 },
+            goal: { x: this.columns - 2, y: 1 },
+            mines: [],
+            pickups: [],
+            buildings: []
+        };
+    }
+
+    /**
+     * Make a change to the level as one undo step (none if it changed nothing)
+     * @param {Function} change - Changes this.level
+     * @private
+     */
+    _recordChange(change) {
+        const before = this.level ? JSON.stringify(this.level) : null;
+        change();
+        this._pushUndo(before);
+        this._changed();
+    }
+
+    /**
+     * Store the level as it was before a change, if the change did anything
+     * @param {string|null} before - Snapshot of the level before the change
+     * @private
+     */
+    _pushUndo(before) {
+        if (before === null || before === JSON.stringify(this.level)) return;
+        
+        this.undoStack.push(before);
+        if (this.undoStack.length > this.maxUndo) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Note that the level changed
+     * @private
+     */
+    _changed() {
+        this.map = null;
+        this.reachable = null;
+        this._updateToolbar();
+    }
+
+    /**
+     * Use the current tool on a tile
+     * @param {Object} tile - Tile { x, y }
+     * @param {boolean} firstTouch - Whether the pointer just went down (only terrain is painted by dragging)
+     * @private
+     */
+    _useTool(tile, firstTouch) {
+        const terrain = EDITOR_TOOLS[this.tool].tile;
+        if (terrain) {
+            if (this.fill) {
+                if (firstTouch) this._fill(tile, terrain);
+            } else {
+                this._setTile(tile.x, tile.y, terrain);
+            }
+            this._changed();
+            return;
+        }
+        if (!firstTouch || this.level.tiles[tile.y][tile.x] === '#') return;
+        
+        const isStartOrGoal = ['start', 'goal'].some(field =>
+            this.level[field].x === tile.x && this.level[field].y === tile.y);
+        if (this.tool === 'mine') {
+            const index = this.level.mines.findIndex(mine => mine.x === tile.x && mine.y === tile.y);
+            if (index !== -1) {
+                this.level.mines.splice(index, 1);
+            } else if (!isStartOrGoal && !this._removeAt(this.level.pickups, tile)) {
+                this.level.mines.push({ x: tile.x, y: tile.y });
+            }
+        } else if ((this.tool === 'start' || this.tool === 'goal') && !isStartOrGoal) {
+            this._removeAt(this.level.mines, tile);
+            this._removeAt(this.level.pickups, tile);
+            this.level[this.tool] = { x: tile.x, y: tile.y };
+        }
+        this._changed();
+    }
+
+    /**
+     * Set the terrain of a tile
+     * A wall clears the mine or pickup on it; other terrain takes the tile out of its building
+     * (the building's other walls stay, drawn tile by tile)
+     * @param {number} x - Tile X
+     * @param {number} y - Tile Y
+     * @param {string} terrain - Tile character
+     * @private
+     */
+    _setTile(x, y, terrain) {
+        if (this.level.tiles[y][x] === terrain) return;
+        
+        this.level.tiles[y][x] = terrain;
+        if (terrain === '#') {
+            this._removeAt(this.level.mines, { x, y });
+            this._removeAt(this.level.pickups, { x, y });
+        } else {
+            this.level.buildings = this.level.buildings.filter(building => !MapEditor._contains(building, x, y));
+        }
+    }
+
+    /**
+     * Flood-fill the area of matching terrain around a tile
+     * @param {Object} tile - Tile { x, y } to fill from
+     * @param {string} terrain - Tile character to fill with
+     * @private
+     */
+    _fill(tile, terrain) {
+        const target = this.level.tiles[tile.y][tile.x];
+        if (target === terrain) return;
+        
+        const queue = [tile];
+        while (queue.length > 0) {
+            const { x, y } = queue.shift();
+            if (x < 0 || x >= this.columns || y < 0 || y >= this.rows || this.level.tiles[y][x] !== target) continue;
+            
+            this._setTile(x, y, terrain);
+            queue.push({ x: x + 1, y }, { x: x - 1, y }, { x, y: y + 1 }, { x, y: y - 1 });
+        }
+    }
+
+    /**
+     * Place a building on the dragged-out area, unless it would cover the start or the goal
+     * @private
+     */
+    _placeBuilding() {
+        const area = this._getDragArea();
+        if (['start', 'goal'].some(field => MapEditor._contains(area, this.level[field].x, this.level[field].y))) {
+            return;
+        }
+        
+        for (let y = area.y; y < area.y + area.height; y++) {
+            for (let x = area.x; x < area.x + area.width; x++) {
+                this._setTile(x, y, '#');
+            }
+        }
+        
+        // The new building replaces the ones it overlaps (their other walls stay)
+        this.level.buildings = this.level.buildings.filter(building =>
+            building.x >= area.x + area.width || building.x + building.width <= area.x ||
+            building.y >= area.y + area.height || building.y + building.height <= area.y);
+        this.level.buildings.push({ ...area, type: MapEditor._getBuildingType(area), shape: 'solid' });
+        this._changed();
+    }
+
+    /**
+     * Get the rectangle of tiles between the drag start and the tile under the pointer
+     * @returns {Object} Area { x, y, width, height } in tiles
+     * @private
+     */
+    _getDragArea() {
+        const x = Math.min(this.dragStart.x, this.hoverTile.x);
+        const y = Math.min(this.dragStart.y, this.hoverTile.y);
+        return {
+            x,
+            y,
+            width: Math.abs(this.dragStart.x - this.hoverTile.x) + 1,
+            height: Math.abs(this.dragStart.y - this.hoverTile.y) + 1
+        };
+    }
+
+    /**
+     * Remove the item on a tile from a list
+     * @param {Array<Object>} items - Mines or pickups
+     * @param {Object} tile - Tile { x, y }
+     * @returns {boolean} Whether there was one
+     * @private
+     */
+    _removeAt(items, tile) {
+        const index = items.findIndex(item => item.x === tile.x && item.y === tile.y);
+        if (index !== -1) {
+            items.splice(index, 1);
+        }
+        return index !== -1;
+    }
+
+    /**
+     * Check if a rectangle of tiles contains a tile
+     * @param {Object} area - Area { x, y, width, height } in tiles
+     * @param {number} x - Tile X
+     * @param {number} y - Tile Y
+     * @returns {boolean} Whether the tile is inside
+     * @private
+     */
+    static _contains(area, x, y) {
+        return x >= area.x && x < area.x + area.width && y >= area.y && y < area.y + area.height;
+    }
+
+    /**
+     * Pick the building image for a footprint by its size (as MapGenerator's building sizes)
+     * @param {Object} area - Area { width, height } in tiles
+     * @returns {string} Building type
+     * @private
+     */
+    static _getBuildingType(area) {
+        const tiles = area.width * area.height;
+        if (tiles <= 4) return 'building_small';
+        if (tiles <= 6) return 'building_medium';
+        if (tiles <= 8) return 'building_large';
+        return 'building_xlarge';
+    }
+
+    /**
+     * Get the tile under a pointer event, or null if it's off the map
+     * @param {PointerEvent} e - Pointer event on the canvas
+     * @returns {Object|null} Tile { x, y }
+     * @private
+     */
+    _getTile(e) {
+        // The canvas is scaled to fit the screen, so go by its on-screen size
+        const rect = this.canvas.getBoundingClientRect();
+        const x = Math.floor((e.clientX - rect.left) / rect.width * this.canvas.width / this.tileSize);
+        const y = Math.floor((e.clientY - rect.top) / rect.height * this.canvas.height / this.tileSize);
+        return x >= 0 && x < this.columns && y >= 0 && y < this.rows ? { x, y } : null;
+    }
+
+    /**
+     * Set the tool button titles and icons from GameTexts and EDITOR_TOOLS
+     * @private
+     */
+    _initializeToolbar() {
+        this.element.querySelectorAll('[data-tool]').forEach(button => {
+            const tool = EDITOR_TOOLS[button.dataset.tool];
+            button.title = GameTexts.editor.tools[button.dataset.tool];
+            button.textContent = tool.icon || '';
+            if (tool.color) {
+                button.style.backgroundColor = tool.color;
+            }
+        });
+        this.element.querySelectorAll('[data-action]').forEach(button => {
+            button.title = GameTexts.editor.actions[button.dataset.action];
+        });
+    }
+
+    /**
+     * Highlight the current tool and toggles, and enable undo/redo when there is something to undo/redo
+     * @private
+     */
+    _updateToolbar() {
+        this.element.querySelectorAll('[data-tool]').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === this.tool);
+        });
+        this.element.querySelector('[data-action="fill"]').classList.toggle('active', this.fill);
+        this.element.querySelector('[data-action="reachability"]').classList.toggle('active', this.showReachability);
+        this.element.querySelector('[data-action="undo"]').disabled = this.undoStack.length === 0;
+        this.element.querySelector('[data-action="redo"]').disabled = this.redoStack.length === 0;
+    }
+
+    /**
+     * Handle a toolbar action button
+     * @param {string} action - Action name
+     * @private
+     */
+    _handleAction(action) {
+        switch (action) {
+            case 'fill':
+                this.fill = !this.fill;
+                break;
+            case 'reachability':
+                this.showReachability = !this.showReachability;
+                break;
+            case 'undo':
+                this.undo();
+                break;
+            case 'redo':
+                this.redo();
+                break;
+            case 'new':
+                this.newLevel();
+                break;
+            case 'load':
+                this.fileInput.value = '';
+                this.fileInput.click();
+                break;
+            default: // playTest, save, exit
+                this.actions.push({ type: action });
+        }
+        this._updateToolbar();
+    }
+
+    /**
+     * Set up toolbar, pointer and keyboard listeners
+     * @private
+     */
+    _addEventListeners() {
+        this.element.querySelectorAll('[data-tool]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.tool = button.dataset.tool;
+                this._updateToolbar();
+            });
+        });
+        this.element.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => this._handleAction(button.dataset.action));
+        });
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            if (file) {
+                file.text().then(text => this.actions.push({ type: 'load', text }));
+            }
+        });
+        
+        // Paint while the pointer is down; a building is placed when the drag ends
+        this.canvas.addEventListener('pointerdown', (e) => {
+            const tile = this.isOpen ? this._getTile(e) : null;
+            if (!tile) return;
+            
+            e.preventDefault();
+            this.canvas.setPointerCapture(e.pointerId);
+            this.strokeSnapshot = JSON.stringify(this.level);
+            this.hoverTile = tile;
+            if (this.tool === 'building') {
+                this.dragStart = tile;
+            } else {
+                this._useTool(tile, true);
+            }
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.isOpen) return;
+            
+            const tile = this._getTile(e);
+            if (tile) {
+                this.hoverTile = tile;
+                if (this.strokeSnapshot !== null && this.tool !== 'building') {
+                    this._useTool(tile, false);
+                }
+            }
+        });
+        const endStroke = () => {
+            if (this.strokeSnapshot === null) return;
+            
+            if (this.dragStart) {
+                this._placeBuilding();
+                this.dragStart = null;
+            }
+            this._pushUndo(this.strokeSnapshot);
+            this.strokeSnapshot = null;
+            this._updateToolbar();
+        };
+        this.canvas.addEventListener('pointerup', endStroke);
+        this.canvas.addEventListener('pointercancel', endStroke);
+        this.canvas.addEventListener('pointerleave', () => {
+            this.hoverTile = this.strokeSnapshot === null ? null : this.hoverTile;
+        });
+        
+        // Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes
+        window.addEventListener('keydown', (e) => {
+            if (!this.isOpen || !(e.ctrlKey || e.metaKey)) return;
+            
+            if (e.code === 'KeyZ' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (e.code === 'KeyY' || (e.code === 'KeyZ' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+    }
+}
@@ -1,3 +1,15 @@
+// Map biomes: each generates its terrain with its own pipeline of steps (see MapGenerator._runGenerationStep);
+// weight is how often a biome is picked for a map when the run doesn't choose one, and craters the range of
+// craters its 'craters' step leaves
+const MAP_BIOMES = {
+    city: { weight: 30, pipeline: ['roads', 'water', 'buildings'] }, // Road grid, lakes and rivers, city blocks
+    urban: { weight: 15, pipeline: ['roads', 'denseBuildings', 'craters'], craters: { min: 2, max: 4 } },
+    fields: { weight: 15, pipeline: ['countryRoad', 'treeLines', 'farmsteads', 'craters'], craters: { min: 3, max: 6 } },
+    forest: { weight: 15, pipeline: ['forestBelts', 'lakes', 'farmsteads'] },
+    river: { weight: 10, pipeline: ['riverCrossing', 'treeLines', 'farmsteads'] },
+    trenches: { weight: 15, pipeline: ['trenchLines', 'treeLines', 'craters'], craters: { min: 8, max: 14 } }
+};
+
 /**
  * MapGenerator class
  * Generates random tile-based maps for each mission
@@ -14,16 +26,143 @@ class MapGenerator {
             DIRT: 1,
             WATER: 2,
             WALL: 3,
-            MINE: 4
+            MINE: 4,
+            FOREST: 5,
+            TRENCH: 6,
+            BRIDGE: 7,
+            CRATER: 8
+        };
+        
+        // Random source used by all generation steps (replaced by a seeded one in generateMap)
+        this.random = Math.random;
+        
+        // Reachability check of every map; a map whose start is walled in is generated again up to
+        // maxRegenerations times, other problems are repaired
+        this.validator = new MapValidator(this.terrainTypes);
+        this.maxRegenerations = 3;
+        
+        // Generation statistics since the page loaded (see getStats)
+        this.stats = {
+            maps: 0,
+            regenerations: 0,
+            repairs: 0,
+            tilesCarved: 0,
+            minesRemoved: 0,
+            problems: { startTrapped: 0, unreachable: 0, minesBlocking: 0 }
         };
     }
 
     /**
      * Generate a new random map
-     * @param {string} missionType - Type of mission ('evacuation' or 'delivery')
-     * @returns {Object} Map data including tiles, start, and goal positions
+     * The same seed always produces the same tiles, buildings, start, goal, mines, and pickups
+     * @param {string} missionType - Type of mission (key in MISSION_TYPES)
+     * @param {string} [seed] - Seed for the map; a new random seed is used if omitted
+     * @param {Object} [options] - Ranges { min, max } of mines, repairKits and powerUps to place, and whether
+     *     mines are hidden (which decides the power-up types), from the difficulty preset; footprint is the
+     *     size of the platform's collision box in tiles, which the map is checked against (see MapValidator);
+     *     biome is the key in MAP_BIOMES to generate, picked from the seed if it's not given
+     * @returns {Object} Map data including tiles, start, and goal positions, its biome, and generation
+     *     { attempts, problems, tilesCarved, minesRemoved } with how the map passed its reachability check
+     */
+    generateMap(missionType, seed, {
+        mines: mineCount = { min: 3, max: 6 },
+        repairKits = { min: 0, max: 0 },
+        powerUps = { min: 0, max: 0 },
+        hiddenMines = false,
+        footprint = 1,
+        biome = null
+    } = {}) {
+        const mapSeed = seed !== undefined && seed !== null ? String(seed) : generateSeed();
+        
+        // The biome is picked from a random stream of its own, so picking it doesn't shift the random
+        // numbers the generation steps get
+        const mapBiome = biome || MapGenerator.pickBiome(createSeededRandom(`${mapSeed}:biome`));
+        const options = { biome: mapBiome, mineCount, repairKits, powerUps, hiddenMines };
+        
+        // Later attempts get seeds of their own, so a map that passes its check the first time is the one
+        // the seed always made
+        const problems = [];
+        let map;
+        let problem;
+        for (let attempt = 0; ; attempt++) {
+            map = this._generateCandidate(missionType, attempt === 0 ? mapSeed : `${mapSeed}:${attempt}`, options);
+            problem = this.validator.check(map, footprint);
+            if (problem) {
+                problems.push(problem);
+            }
+            if (problem !== 'startTrapped' || attempt >= this.maxRegenerations) break;
+        }
+        
+        const repair = problem ? this.validator.repair(map, footprint) : { tilesCarved: 0, minesRemoved: 0 };
+        map.seed = mapSeed;
+        map.generation = { attempts: problems.length + (problem ? 0 : 1), problems, ...repair };
+        this._recordStats(map.generation, Boolean(problem));
+        
+        return map;
+    }
+
+    /**
+     * Pick a biome by the weights in MAP_BIOMES
+     * @param {Function} random - Random source
+     * @returns {string} Key in MAP_BIOMES
      */
-    generateMap(missionType) {
+    static pickBiome(random) {
+        const biomes = Object.keys(MAP_BIOMES);
+        const totalWeight = biomes.reduce((total, biome) => total + MAP_BIOMES[biome].weight, 0);
+        let roll = random() * totalWeight;
+        
+        for (const biome of biomes) {
+            roll -= MAP_BIOMES[biome].weight;
+            if (roll < 0) {
+                return biome;
+            }
+        }
+        return biomes[biomes.length - 1];
+    }
+
+    /**
+     * Get statistics of the maps generated so far
+     * @returns {Object} { maps, regenerations, repairs, tilesCarved, minesRemoved, problems } where problems
+     *     counts each problem found (see MapValidator.check), including on maps generated again
+     */
+    getStats() {
+        return { ...this.stats, problems: { ...this.stats.problems } };
+    }
+
+    /**
+     * Add a map's reachability check to the statistics
+     * @param {Object} generation - How the map was made (see generateMap)
+     * @param {boolean} repaired - Whether the final attempt had to be repaired
+     * @private
+     */
+    _recordStats(generation, repaired) {
+        this.stats.maps++;
+        this.stats.regenerations += generation.attempts - 1;
+        this.stats.repairs += repaired ? 1 : 0;
+        this.stats.tilesCarved += generation.tilesCarved;
+        this.stats.minesRemoved += generation.minesRemoved;
+        generation.problems.forEach(problem => {
+            this.stats.problems[problem]++;
+        });
+        
+        if (generation.problems.length > 0) {
+            console.log(`Map problems: ${generation.problems.join(', ')} - ${generation.attempts} attempt(s), ` +
+                `${generation.tilesCarved} wall tile(s) carved, ${generation.minesRemoved} mine(s) removed`);
+        }
+    }
+
+    /**
+     * Generate a map from a seed, without checking it
+     * @param {string} missionType - Type of mission (key in MISSION_TYPES)
+     * @param {string} seed - Seed for this attempt
+     * @param {Object} options - { biome, mineCount, repairKits, powerUps, hiddenMines } (see generateMap)
+     * @returns {Object} Map data
+     * @private
+     */
+    _generateCandidate(missionType, seed, { biome, mineCount, repairKits, powerUps, hiddenMines }) {
+        // Seed the random source so the whole map can be reproduced
+        this.random = createSeededRandom(seed);
+        
         // Initialize map with all dirt (now the default terrain)
         const tiles = Array(this.tilesY).fill().map(() => 
             Array(this.tilesX).fill(this.terrainTypes.DIRT)
@@ -32,14 +171,10 @@ class MapGenerator {
         // Initialize an array to store building data
         const buildings = [];
         
-        // Generate roads (asphalt) in a street-like pattern
-        this._generateRoads(tiles);
-        
-        // Generate water (lakes and rivers)
-        this._generateWaterBodies(tiles);
-        
-        // Generate walls/buildings in more structured shapes
-        this._generateBuildings(tiles, buildings);
+        // Generate the biome's terrain: roads, water, buildings, trees, trenches...
+        MAP_BIOMES[biome].pipeline.forEach(step => {
+            this._runGenerationStep(step, MAP_BIOMES[biome], tiles, buildings);
+        });
         
         // Determine start position (always in a corner)
         const startPos = this._generateStartPosition(tiles);
@@ -57,7 +192,13 @@ class MapGenerator {
         this._ensurePath(tiles, startPos, goalPos);
         
         // Add random mines
-        const mines = this._placeMines(tiles, startPos, goalPos);
+        const mines = this._placeMines(tiles, startPos, goalPos, mineCount);
+        
+        // Add pickups; they have their own random stream, so maps without any stay the same
+        const pickupRandom = createSeededRandom(`${seed}:pickups`);
+        const pickups = this._placePickups(tiles, startPos, goalPos, repairKits, pickupRandom, () => 'repair');
+        this._placePickups(tiles, startPos, goalPos, powerUps, pickupRandom,
+            () => PickupManager.pickPowerUp(pickupRandom, hiddenMines), pickups);
         
         return {
             tiles,
@@ -65,12 +206,290 @@ class MapGenerator {
             start: startPos,
             goal: goalPos,
             mines,
+            pickups,
+            seed,
+            biome,
             width: this.width,
             height: this.height,
             tileSize: this.tileSize
         };
     }
 
+    /**
+     * Run one step of a biome's generation pipeline
+     * @param {string} step - Step name (see MAP_BIOMES)
+     * @param {Object} biome - Biome definition
+     * @param {Array} tiles - 2D array of map tiles
+     * @param {Array} buildings - Array to store building data
+     * @private
+     */
+    _runGenerationStep(step, biome, tiles, buildings) {
+        switch (step) {
+            case 'roads':
+                this._generateRoads(tiles);
+                break;
+            case 'water':
+                this._generateWaterBodies(tiles);
+                break;
+            case 'lakes':
+                this._generateLakes(tiles);
+                break;
+            case 'buildings':
+                this._generateBuildings(tiles, buildings);
+                break;
+            case 'denseBuildings':
+                this._generateDenseBuildings(tiles, buildings);
+                break;
+            case 'countryRoad':
+                this._generateCountryRoad(tiles);
+                break;
+            case 'treeLines':
+                this._generateTreeLines(tiles);
+                break;
+            case 'farmsteads':
+                this._generateAlignedBuildings(tiles, getRandomInt(1, 3, this.random), buildings);
+                break;
+            case 'forestBelts':
+                this._generateForestBelts(tiles);
+                break;
+            case 'riverCrossing':
+                this._generateRiverCrossing(tiles);
+                break;
+            case 'trenchLines':
+                this._generateTrenchLines(tiles);
+                break;
+            case 'craters':
+                this._generateCraters(tiles, biome.craters);
+                break;
+            default:
+                throw new Error(`Unknown map generation step: ${step}`);
+        }
+    }
+
+    /**
+     * Generate closely packed buildings on a 3-tile grid, with one-tile alleys between them
+     * Some lots are left empty as yards, and now and then two lots make one long building
+     * @param {Array} tiles - 2D array of map tiles
+     * @param {Array} buildings - Array to store building data
+     * @private
+     */
+    _generateDenseBuildings(tiles, buildings = []) {
+        const lot = 3; // Building and alley
+        
+        for (let y = 1; y + 2 < this.tilesY; y += lot) {
+            for (let x = 1; x + 2 < this.tilesX; x += lot) {
+                if (this.random() < 0.2) continue;
+                
+                const widths = this.random() < 0.25 ? [lot + 2, 2] : [2];
+                const width = widths.find(option => this._canPlaceBuilding(tiles, x, y, option, 2, 1));
+                if (width) {
+                    this._createStandardBuilding(tiles, x, y, width, 2, buildings);
+                    x += width > 2 ? lot : 0;
+                }
+            }
+        }
+    }
+
+    /**
+     * Generate a single road (asphalt, 2 tiles wide) straight across the map
+     * @param {Array} tiles - 2D array of map tiles
+     * @private
+     */
+    _generateCountryRoad(tiles) {
+        const horizontal = this.random() < 0.5;
+        const across = horizontal ? this.tilesY : this.tilesX;
+        const position = getRandomInt(Math.floor(across * 0.3), Math.floor(across * 0.7), this.random);
+        
+        for (let along = 0; along < (horizontal ? this.tilesX : this.tilesY); along++) {
+            for (const lane of [position, position + 1]) {
+                if (horizontal) {
+                    tiles[lane][along] = this.terrainTypes.ASPHALT;
+                } else {
+                    tiles[along][lane] = this.terrainTypes.ASPHALT;
+                }
+            }
+        }
+    }
+
+    /**
+     * Generate tree lines (windbreaks between fields): one-tile lines of forest across the map,
+     * with two-tile gaps for tracks
+     * @param {Array} tiles - 2D array of map tiles
+     * @private
+     */
+    _generateTreeLines(tiles) {
+        const lineCount = getRandomInt(2, 4, this.random);
+        
+        for (let i = 0; i < lineCount; i++) {
+            const horizontal = this.random() < 0.5;
+            const position = horizontal ?
+                getRandomInt(2, this.tilesY - 3, this.random) :
+                getRandomInt(2, this.tilesX - 3, this.random);
+            let nextGap = getRandomInt(3, 8, this.random);
+            
+            for (let along = 0; along < (horizontal ? this.tilesX : this.tilesY); along++) {
+                if (along === nextGap) {
+                    along++; // Skips this tile and the next
+                    nextGap = along + getRandomInt(5, 9, this.random);
+                    continue;
+                }
+                
+                // Trees only grow on open ground
+                const x = horizontal ? along : position;
+                const y = horizontal ? position : along;
+                if (tiles[y][x] === this.terrainTypes.DIRT) {
+                    tiles[y][x] = this.terrainTypes.FOREST;
+                }
+            }
+        }
+    }
+
+    /**
+     * Generate forest belts: two or three bands of forest, 3 to 5 tiles deep, across the map, whose
+     * edges wander and which have the odd clearing, and a few copses between them
+     * @param {Array} tiles - 2D array of map tiles
+     * @private
+     */
+    _generateForestBelts(tiles) {
+        const horizontal = this.random() < 0.5;
+        const across = horizontal ? this.tilesY : this.tilesX;
+        const length = horizontal ? this.tilesX : this.tilesY;
+        const plant = (along, offset) => {
+            const x = horizontal ? along : offset;
+            const y = horizontal ? offset : along;
+            if (tiles[y][x] === this.terrainTypes.DIRT) {
+                tiles[y][x] = this.terrainTypes.FOREST;
+            }
+        };
+        
+        // Spread the belts out, one in each band of the map
+        const beltCount = getRandomInt(2, 3, this.random);
+        const band = Math.floor(across / beltCount);
+        for (let i = 0; i < beltCount; i++) {
+            const depth = getRandomInt(3, 5, this.random);
+            let offset = band * i + getRandomInt(0, Math.max(0, band - depth), this.random);
+            
+            for (let along = 0; along < length; along++) {
+                if (this.random() < 0.3) {
+                    offset = Math.max(0, Math.min(across - depth, offset + (this.random() < 0.5 ? -1 : 1)));
+                }
+                for (let d = 0; d < depth; d++) {
+                    if (this.random() >= 0.08) { // Clearings
+                        plant(along, offset + d);
+                    }
+                }
+            }
+        }
+        
+        // Copses of up to 3x3 trees
+        const copseCount = getRandomInt(3, 6, this.random);
+        for (let i = 0; i < copseCount; i++) {
+            const along = getRandomInt(1, length - 2, this.random);
+            const offset = getRandomInt(1, across - 2, this.random);
+            for (let da = -1; da <= 1; da++) {
+                for (let dOffset = -1; dOffset <= 1; dOffset++) {
+                    if (this.random() < 0.7) {
+                        plant(along + da, offset + dOffset);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Generate a wide river across the whole map, with roads crossing it on bridges
+     * @param {Array} tiles - 2D array of map tiles
+     * @private
+     */
+    _generateRiverCrossing(tiles) {
+        const vertical = this.random() < 0.5; // Whether the river flows from top to bottom
+        const across = vertical ? this.tilesX : this.tilesY;
+        const length = vertical ? this.tilesY : this.tilesX;
+        const tileAt = (along, offset) => vertical ? { x: offset, y: along } : { x: along, y: offset };
+        
+        // The river meanders a tile at a time, keeping away from the edges
+        const width = getRandomInt(3, 4, this.random);
+        let offset = getRandomInt(Math.floor(across * 0.35), Math.floor(across * 0.65) - width, this.random);
+        for (let along = 0; along < length; along++) {
+            if (along > 0 && this.random() < 0.3) {
+                offset = Math.max(3, Math.min(across - width - 3, offset + (this.random() < 0.5 ? -1 : 1)));
+            }
+            for (let w = 0; w < width; w++) {
+                const { x, y } = tileAt(along, offset + w);
+                tiles[y][x] = this.terrainTypes.WATER;
+            }
+        }
+        
+        // Two-lane roads across the river, one in each stretch of it, on bridges over the water
+        const bridgeCount = getRandomInt(1, 2, this.random);
+        const stretch = Math.floor(length / bridgeCount);
+        for (let i = 0; i < bridgeCount; i++) {
+            const road = stretch * i + getRandomInt(2, stretch - 4, this.random);
+            for (const lane of [road, road + 1]) {
+                for (let a = 0; a < across; a++) {
+                    const { x, y } = tileAt(lane, a);
+                    tiles[y][x] = tiles[y][x] === this.terrainTypes.WATER ? this.terrainTypes.BRIDGE : this.terrainTypes.ASPHALT;
+                }
+            }
+        }
+    }
+
+    /**
+     * Generate zigzag trench lines across the map, filled in here and there where tracks cross them
+     * @param {Array} tiles - 2D array of map tiles
+     * @private
+     */
+    _generateTrenchLines(tiles) {
+        const vertical = this.random() < 0.5; // Whether the lines run from top to bottom
+        const across = vertical ? this.tilesX : this.tilesY;
+        const length = vertical ? this.tilesY : this.tilesX;
+        const dig = (along, offset) => {
+            const x = vertical ? offset : along;
+            const y = vertical ? along : offset;
+            if (tiles[y][x] === this.terrainTypes.DIRT) {
+                tiles[y][x] = this.terrainTypes.TRENCH;
+            }
+        };
+        
+        const lineCount = getRandomInt(2, 3, this.random);
+        for (let i = 0; i < lineCount; i++) {
+            let offset = Math.floor(across * (i + 1) / (lineCount + 1));
+            let nextCrossing = getRandomInt(2, 6, this.random);
+            
+            for (let along = 0; along < length; along++) {
+                if (along === nextCrossing) {
+                    nextCrossing += getRandomInt(5, 8, this.random);
+                    continue;
+                }
+                
+                // Zigzag: the line steps sideways now and then, dug around the corner
+                dig(along, offset);
+                if (this.random() < 0.35) {
+                    offset = Math.max(2, Math.min(across - 3, offset + (this.random() < 0.5 ? -1 : 1)));
+                    dig(along, offset);
+                }
+            }
+        }
+    }
+
+    /**
+     * Generate shell craters on open ground and roads
+     * @param {Array} tiles - 2D array of map tiles
+     * @param {Object} range - Number of craters { min, max }
+     * @private
+     */
+    _generateCraters(tiles, range) {
+        const craterCount = getRandomInt(range.min, range.max, this.random);
+        
+        for (let i = 0; i < craterCount; i++) {
+            const x = getRandomInt(0, this.tilesX - 1, this.random);
+            const y = getRandomInt(0, this.tilesY - 1, this.random);
+            if (tiles[y][x] === this.terrainTypes.DIRT || tiles[y][x] === this.terrainTypes.ASPHALT) {
+                tiles[y][x] = this.terrainTypes.CRATER;
+            }
+        }
+    }
+
     /**
      * Generate a grid of roads (asphalt)
      * Creates a simple road layout with perfectly straight horizontal and vertical roads, exactly 2 tiles wide
@@ -79,15 +498,15 @@ class MapGenerator {
      */
     _generateRoads(tiles) {
         // Determine if we have a horizontal road (always include at least one road)
-        const hasHorizontalRoad = Math.random() < 0.7; // 70% chance
+        const hasHorizontalRoad = this.random() < 0.7; // 70% chance
         
         // Determine if we have a vertical road (always include at least one road)
-        const hasVerticalRoad = hasHorizontalRoad ? Math.random() < 0.5 : true; // Ensure at least one road type
+        const hasVerticalRoad = hasHorizontalRoad ? this.random() < 0.5 : true; // Ensure at least one road type
         
         // Generate a horizontal road (exactly 2 tiles wide) if needed
         if (hasHorizontalRoad) {
             // Place the road somewhere in the middle section of the map
-            const y = getRandomInt(Math.floor(this.tilesY * 0.3), Math.floor(this.tilesY * 0.7));
+            const y = getRandomInt(Math.floor(this.tilesY * 0.3), Math.floor(this.tilesY * 0.7), this.random);
             
             // Make the road exactly 2 tiles wide
             for (let x = 0; x < this.tilesX; x++) {
@@ -103,7 +522,7 @@ class MapGenerator {
         // Generate a vertical road (exactly 2 tiles wide) if needed
         if (hasVerticalRoad) {
             // Place the road somewhere in the middle section of the map
-            const x = getRandomInt(Math.floor(this.tilesX * 0.3), Math.floor(this.tilesX * 0.7));
+            const x = getRandomInt(Math.floor(this.tilesX * 0.3), Math.floor(this.tilesX * 0.7), this.random);
             
             // Make the road exactly 2 tiles wide
             for (let y = 0; y < this.tilesY; y++) {
@@ -136,13 +555,13 @@ class MapGenerator {
      * @private
      */
     _generateLakes(tiles) {
-        const lakeCount = getRandomInt(1, 2);
+        const lakeCount = getRandomInt(1, 2, this.random);
         
         for (let i = 0; i < lakeCount; i++) {
-            const centerX = getRandomInt(5, this.tilesX - 6);
-            const centerY = getRandomInt(5, this.tilesY - 6);
-            const radiusX = getRandomInt(3, 5);
-            const radiusY = getRandomInt(3, 5);
+            const centerX = getRandomInt(5, this.tilesX - 6, this.random);
+            const centerY = getRandomInt(5, this.tilesY - 6, this.random);
+            const radiusX = getRandomInt(3, 5, this.random);
+            const radiusY = getRandomInt(3, 5, this.random);
             
             // Create an oval/round lake
             for (let y = centerY - radiusY; y <= centerY + radiusY; y++) {
@@ -154,7 +573,7 @@ class MapGenerator {
                         const distance = Math.sqrt(normalizedX * normalizedX + normalizedY * normalizedY);
                         
                         // Add some noise to make the lake edge more natural
-                        const noiseFactor = 0.2 * Math.random();
+                        const noiseFactor = 0.2 * this.random();
                         
                         if (distance <= 1 + noiseFactor && tiles[y][x] !== this.terrainTypes.ASPHALT) {
                             tiles[y][x] = this.terrainTypes.WATER;
@@ -171,40 +590,40 @@ class MapGenerator {
      * @private
      */
     _generateRivers(tiles) {
-        const riverCount = getRandomInt(1, 2);
+        const riverCount = getRandomInt(1, 2, this.random);
         
         for (let i = 0; i < riverCount; i++) {
             // Decide river parameters
-            const riverWidth = getRandomInt(2, 3);
-            const riverLength = getRandomInt(10, Math.min(this.tilesX, this.tilesY));
+            const riverWidth = getRandomInt(2, 3, this.random);
+            const riverLength = getRandomInt(10, Math.min(this.tilesX, this.tilesY), this.random);
             
             // Choose starting edge and position
-            const startEdge = getRandomInt(0, 3); // 0: top, 1: right, 2: bottom, 3: left
+            const startEdge = getRandomInt(0, 3, this.random); // 0: top, 1: right, 2: bottom, 3: left
             let x, y, dx, dy;
             
             // Set starting point and initial direction based on edge
             switch (startEdge) {
                 case 0: // top
-                    x = getRandomInt(5, this.tilesX - 6);
+                    x = getRandomInt(5, this.tilesX - 6, this.random);
                     y = 0;
                     dx = 0;
                     dy = 1;
                     break;
                 case 1: // right
                     x = this.tilesX - 1;
-                    y = getRandomInt(5, this.tilesY - 6);
+                    y = getRandomInt(5, this.tilesY - 6, this.random);
                     dx = -1;
                     dy = 0;
                     break;
                 case 2: // bottom
-                    x = getRandomInt(5, this.tilesX - 6);
+                    x = getRandomInt(5, this.tilesX - 6, this.random);
                     y = this.tilesY - 1;
                     dx = 0;
                     dy = -1;
                     break;
                 case 3: // left
                     x = 0;
-                    y = getRandomInt(5, this.tilesY - 6);
+                    y = getRandomInt(5, this.tilesY - 6, this.random);
                     dx = 1;
                     dy = 0;
                     break;
@@ -232,13 +651,13 @@ class MapGenerator {
                 }
                 
                 // Occasionally change direction (make river curvy)
-                if (step > 0 && step % 3 === 0 && Math.random() < 0.6) {
+                if (step > 0 && step % 3 === 0 && this.random() < 0.6) {
                     // Store the previous direction
                     const prevDx = dx;
                     const prevDy = dy;
                     
                     // Change direction by 90 degrees (but don't go backward)
-                    const turn = Math.random() < 0.5 ? 1 : -1;
+                    const turn = this.random() < 0.5 ? 1 : -1;
                     
                     if (Math.abs(prevDx) === 1) { // Was moving horizontally
                         dx = 0;
@@ -458,7 +877,7 @@ class MapGenerator {
                 );
                 
                 if (validTypes.length > 0) {
-                    const buildingType = validTypes[Math.floor(Math.random() * validTypes.length)];
+                    const buildingType = validTypes[Math.floor(this.random() * validTypes.length)];
                     
                     // Create the building if it fits
                     if (this._canPlaceBuilding(tiles, currentX, currentY, buildingType.width, buildingType.height)) {
@@ -504,8 +923,8 @@ class MapGenerator {
             attempts++;
             
             // Choose random position within area
-            const x = getRandomInt(x1, x2 - 2);
-            const y = getRandomInt(y1, y2 - 2);
+            const x = getRandomInt(x1, x2 - 2, this.random);
+            const y = getRandomInt(y1, y2 - 2, this.random);
             
             // Try each building type, starting with smallest
             for (const buildingType of buildingTypes) {
@@ -563,7 +982,7 @@ class MapGenerator {
         
         while (currentX < x2) {
             // Choose a random building type
-            const buildingType = buildingTypes[Math.floor(Math.random() * buildingTypes.length)];
+            const buildingType = buildingTypes[Math.floor(this.random() * buildingTypes.length)];
             
             // Ensure it fits in remaining space
             if (currentX + buildingType.width <= x2) {
@@ -574,7 +993,7 @@ class MapGenerator {
             }
             
             // Move to next position, with some variation
-            currentX += buildingType.width + gap + (Math.random() < 0.3 ? 1 : 0);
+            currentX += buildingType.width + gap + (this.random() < 0.3 ? 1 : 0);
         }
     }
     
@@ -621,7 +1040,7 @@ class MapGenerator {
         
         while (currentY < y2) {
             // Choose a random building type
-            const buildingType = buildingTypes[Math.floor(Math.random() * buildingTypes.length)];
+            const buildingType = buildingTypes[Math.floor(this.random() * buildingTypes.length)];
             
             // Ensure it fits in remaining space
             if (currentY + buildingType.height <= y2) {
@@ -632,7 +1051,7 @@ class MapGenerator {
             }
             
             // Move to next position, with some variation
-            currentY += buildingType.height + gap + (Math.random() < 0.3 ? 1 : 0);
+            currentY += buildingType.height + gap + (this.random() < 0.3 ? 1 : 0);
         }
     }
     
@@ -653,20 +1072,20 @@ class MapGenerator {
         for (let gridY = 1; gridY < Math.floor(this.tilesY / gridSize) - 1; gridY++) {
             for (let gridX = 1; gridX < Math.floor(this.tilesX / gridSize) - 1; gridX++) {
                 // Determine if we place a building in this grid cell
-                if (Math.random() < buildingChance) {
+                if (this.random() < buildingChance) {
                     const x = gridX * gridSize;
                     const y = gridY * gridSize;
                     
                     // Only use smaller building types to ensure they fit
                     const buildingSizes = [4, 6]; // 4 or 6 tiles only (removed 8)
-                    const buildingSize = buildingSizes[Math.floor(Math.random() * buildingSizes.length)];
+                    const buildingSize = buildingSizes[Math.floor(this.random() * buildingSizes.length)];
                     
                     let width, height;
                     if (buildingSize === 4) {
                         width = 2;
                         height = 2;
                     } else { // buildingSize === 6
-                        if (Math.random() < 0.5) {
+                        if (this.random() < 0.5) {
                             width = 3;
                             height = 2;
                         } else {
@@ -694,8 +1113,8 @@ class MapGenerator {
                 attempts++;
                 
                 // Choose a random position aligned to a 2-tile grid
-                const x = Math.floor(Math.random() * (this.tilesX - 4) / 2) * 2 + 2;
-                const y = Math.floor(Math.random() * (this.tilesY - 4) / 2) * 2 + 2;
+                const x = Math.floor(this.random() * (this.tilesX - 4) / 2) * 2 + 2;
+                const y = Math.floor(this.random() * (this.tilesY - 4) / 2) * 2 + 2;
                 
                 // Try to place a 2x2 building (most likely to fit)
                 if (this._canPlaceBuilding(tiles, x, y, 2, 2)) {
@@ -714,7 +1133,7 @@ class MapGenerator {
      * @private
      */
     _generateAlignedBuildings(tiles, maxBuildings = 5, buildings = []) {
-        const buildingCount = maxBuildings ? maxBuildings : getRandomInt(3, 5);
+        const buildingCount = maxBuildings ? maxBuildings : getRandomInt(3, 5, this.random);
         
         // Track successfully placed buildings
         let placedBuildings = 0;
@@ -732,7 +1151,7 @@ class MapGenerator {
                 width = 2;
                 height = 2;
             } else if (buildingSize === 6) {
-                if (Math.random() < 0.5) {
+                if (this.random() < 0.5) {
                     width = 3;
                     height = 2;
                 } else {
@@ -740,7 +1159,7 @@ class MapGenerator {
                     height = 3;
                 }
             } else if (buildingSize === 8) { 
-                if (Math.random() < 0.5) {
+                if (this.random() < 0.5) {
                     width = 4;
                     height = 2;
                 } else {
@@ -748,7 +1167,7 @@ class MapGenerator {
                     height = 4;
                 }
             } else { // buildingSize === 10
-                if (Math.random() < 0.5) {
+                if (this.random() < 0.5) {
                     width = 5;
                     height = 2;
                 } else {
@@ -762,8 +1181,8 @@ class MapGenerator {
             const maxGridX = Math.floor((this.tilesX - width) / gridSize);
             const maxGridY = Math.floor((this.tilesY - height) / gridSize);
             
-            const gridX = getRandomInt(1, maxGridX - 1);
-            const gridY = getRandomInt(1, maxGridY - 1);
+            const gridX = getRandomInt(1, maxGridX - 1, this.random);
+            const gridY = getRandomInt(1, maxGridY - 1, this.random);
             
             const x = gridX * gridSize;
             const y = gridY * gridSize;
@@ -783,7 +1202,7 @@ class MapGenerator {
      */
     _getRandomBuildingSize() {
         const sizes = [4, 6, 8, 10];
-        return sizes[getRandomInt(0, sizes.length - 1)];
+        return sizes[getRandomInt(0, sizes.length - 1, this.random)];
     }
 
     /**
@@ -794,25 +1213,25 @@ class MapGenerator {
      */
     _generateStartPosition(tiles) {
         // Choose one of the four corners
-        const corner = getRandomInt(0, 3);
+        const corner = getRandomInt(0, 3, this.random);
         let tileX, tileY;
         
         switch (corner) {
             case 0: // Top-left
-                tileX = getRandomInt(0, 2);
-                tileY = getRandomInt(0, 2);
+                tileX = getRandomInt(0, 2, this.random);
+                tileY = getRandomInt(0, 2, this.random);
                 break;
             case 1: // Top-right
-                tileX = getRandomInt(this.tilesX - 3, this.tilesX - 1);
-                tileY = getRandomInt(0, 2);
+                tileX = getRandomInt(this.tilesX - 3, this.tilesX - 1, this.random);
+                tileY = getRandomInt(0, 2, this.random);
                 break;
             case 2: // Bottom-left
-                tileX = getRandomInt(0, 2);
-                tileY = getRandomInt(this.tilesY - 3, this.tilesY - 1);
+                tileX = getRandomInt(0, 2, this.random);
+                tileY = getRandomInt(this.tilesY - 3, this.tilesY - 1, this.random);
                 break;
             case 3: // Bottom-right
-                tileX = getRandomInt(this.tilesX - 3, this.tilesX - 1);
-                tileY = getRandomInt(this.tilesY - 3, this.tilesY - 1);
+                tileX = getRandomInt(this.tilesX - 3, this.tilesX - 1, this.random);
+                tileY = getRandomInt(this.tilesY - 3, this.tilesY - 1, this.random);
                 break;
         }
         
@@ -828,7 +1247,7 @@ class MapGenerator {
      * Generate a goal position based on mission type
      * @param {Array} tiles - 2D array of map tiles
      * @param {Object} startPos - Starting position
-     * @param {string} missionType - Type of mission ('evacuation' or 'delivery')
+     * @param {string} missionType - Type of mission (key in MISSION_TYPES)
      * @returns {Object} Goal position object with x, y, tileX, tileY
      * @private
      */
@@ -839,8 +1258,8 @@ class MapGenerator {
         
         // Try to find a suitable position
         do {
-            tileX = getRandomInt(2, this.tilesX - 3);
-            tileY = getRandomInt(2, this.tilesY - 3);
+            tileX = getRandomInt(2, this.tilesX - 3, this.random);
+            tileY = getRandomInt(2, this.tilesY - 3, this.random);
             attempts++;
             
             // Prevent infinite loop
@@ -939,12 +1358,13 @@ class MapGenerator {
      * @param {Array} tiles - 2D array of map tiles
      * @param {Object} startPos - Starting position
      * @param {Object} goalPos - Goal position
+     * @param {Object} range - Range of mines to place { min, max }
      * @returns {Array} Array of mine positions
      * @private
      */
-    _placeMines(tiles, startPos, goalPos) {
-        // Vary mine count between 3 and 6
-        const mineCount = getRandomInt(3, 6);
+    _placeMines(tiles, startPos, goalPos, range) {
+        // Vary mine count within the difficulty's range
+        const mineCount = getRandomInt(range.min, range.max, this.random);
         const mines = [];
         const safeRadius = 3; // Safe distance from start and goal
         
@@ -962,10 +1382,10 @@ class MapGenerator {
             }
         }
         
-        // Ensure we have at least one mine on a road if roads exist
-        if (roadPositions.length > 0) {
+        // Ensure we have at least one mine on a road if roads exist (unless the difficulty allows none)
+        if (mineCount > 0 && roadPositions.length > 0) {
             // Select a random road position
-            const roadPos = roadPositions[Math.floor(Math.random() * roadPositions.length)];
+            const roadPos = roadPositions[Math.floor(this.random() * roadPositions.length)];
             const tileX = roadPos.x;
             const tileY = roadPos.y;
             
@@ -994,8 +1414,8 @@ class MapGenerator {
             
             // Try to find a suitable position
             do {
-                tileX = getRandomInt(1, this.tilesX - 2);
-                tileY = getRandomInt(1, this.tilesY - 2);
+                tileX = getRandomInt(1, this.tilesX - 2, this.random);
+                tileY = getRandomInt(1, this.tilesY - 2, this.random);
                 attempts++;
                 
                 // Prevent infinite loop
@@ -1037,6 +1457,48 @@ class MapGenerator {
         return mines;
     }
 
+    /**
+     * Place pickups on free dry tiles away from the start and goal
+     * @param {Array} tiles - 2D array of map tiles (with mines already placed)
+     * @param {Object} startPos - Starting position
+     * @param {Object} goalPos - Goal position
+     * @param {Object} range - Range of pickups to place { min, max }
+     * @param {Function} random - Random source
+     * @param {Function} pickType - Returns the key in PICKUP_TYPES of each pickup placed
+     * @param {Array} [pickups] - Pickups placed so far, which new ones won't share a tile with
+     * @returns {Array} Pickups { type, x, y, tileX, tileY }, including the ones passed in
+     * @private
+     */
+    _placePickups(tiles, startPos, goalPos, range, random, pickType, pickups = []) {
+        const count = getRandomInt(range.min, range.max, random);
+        const safeRadius = 3; // Distance from start and goal, so a pickup takes a detour to collect
+        
+        const candidates = [];
+        for (let y = 0; y < this.tilesY; y++) {
+            for (let x = 0; x < this.tilesX; x++) {
+                if ((tiles[y][x] === this.terrainTypes.DIRT || tiles[y][x] === this.terrainTypes.ASPHALT) &&
+                    calculateDistance(x, y, startPos.tileX, startPos.tileY) >= safeRadius &&
+                    calculateDistance(x, y, goalPos.tileX, goalPos.tileY) >= safeRadius &&
+                    !pickups.some(pickup => pickup.tileX === x && pickup.tileY === y)) {
+                    candidates.push({ x, y });
+                }
+            }
+        }
+        
+        for (let i = 0; i < count && candidates.length > 0; i++) {
+            const { x, y } = candidates.splice(Math.floor(random() * candidates.length), 1)[0];
+            pickups.push({
+                type: pickType(),
+                x: x * this.tileSize,
+                y: y * this.tileSize,
+                tileX: x,
+                tileY: y
+            });
+        }
+        
+        return pickups;
+    }
+
     /**
      * Check if a building can be placed at the specified location
      * @param {Array} tiles - 2D array of map tiles
@@ -1044,10 +1506,11 @@ class MapGenerator {
      * @param {number} y - Y coordinate
      * @param {number} width - Building width
      * @param {number} height - Building height
+     * @param {number} [buffer] - Tiles around the building that must be free of other buildings and roads
      * @returns {boolean} Whether the building can be placed
      * @private
      */
-    _canPlaceBuilding(tiles, x, y, width, height) {
+    _canPlaceBuilding(tiles, x, y, width, height, buffer = 2) {
         // Validate parameters
         if (width < 1 || height < 1) return false;
         
@@ -1066,9 +1529,6 @@ class MapGenerator {
             }
         }
         
-        // Increase buffer zone around buildings for more spacing
-        const buffer = 2; // Increased from 1 to 2 for more space between buildings
-        
         // Check the extended buffer area for other buildings or roads
         for (let cy = Math.max(0, y - buffer); cy < Math.min(this.tilesY, y + height + buffer); cy++) {
             for (let cx = Math.max(0, x - buffer); cx < Math.min(this.tilesX, x + width + buffer); cx++) {
@@ -1131,7 +1591,7 @@ class MapGenerator {
         
         // For 4-tile buildings (2x2), create a solid or hollow square
         if (totalTiles === 4) {
-            const isHollow = Math.random() < 0.3;
+            const isHollow = this.random() < 0.3;
             buildingType = "building_small";
             shape = isHollow ? "hollow" : "solid";
             
@@ -1146,7 +1606,7 @@ class MapGenerator {
         } 
         // For 6-tile buildings (2x3 or 3x2), create a solid rectangle or an L-shape
         else if (totalTiles === 6) {
-            const buildingStyle = Math.random() < 0.6 ? 0 : 1; // 0=rectangle, 1=L-shape
+            const buildingStyle = this.random() < 0.6 ? 0 : 1; // 0=rectangle, 1=L-shape
             buildingType = "building_medium";
             shape = buildingStyle === 0 ? "rectangle" : "L-shape";
             
@@ -1184,7 +1644,7 @@ class MapGenerator {
         } 
         // For 8-tile buildings (4x2 or 2x4), create a rectangle, hollow rectangle, or special shape
         else if (totalTiles === 8) {
-            const buildingStyle = getRandomInt(0, 2); // 0=solid, 1=hollow, 2=special
+            const buildingStyle = getRandomInt(0, 2, this.random); // 0=solid, 1=hollow, 2=special
             buildingType = "building_large";
             
             if (buildingStyle === 0) {
@@ -1235,7 +1695,7 @@ class MapGenerator {
         }
         // For 10-tile buildings (2x5, 5x2), create more complex shapes
         else if (totalTiles === 10) {
-            const buildingStyle = getRandomInt(0, 3); // 0=E-shape, 1=C-shape, 2=plus-shape, 3=hollow rectangle
+            const buildingStyle = getRandomInt(0, 3, this.random); // 0=E-shape, 1=C-shape, 2=plus-shape, 3=hollow rectangle
             buildingType = "building_xlarge";
             
             if (buildingStyle === 0) {
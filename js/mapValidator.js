@@ -0,0 +1,285 @@
+/**
+ * Map validation
+ * Checks that the platform can really drive from the start to the goal of a generated map, and repairs maps
+ * where it can't. The platform is modelled by its footprint: its collision box rounded up to whole tiles,
+ * moving tile by tile in the four directions. It drives over anything but walls (water only slows it down)
+ * and has to keep off mines, which would destroy it
+ */
+
+// Most tiles the start's area can have and still count as trapped (the area cleared around the start,
+// see MapGenerator._clearArea), e.g. inside a hollow building
+const MAP_TRAPPED_AREA = 25;
+
+// Route costs when repairing: the route crosses as few walls as it can, then as few mines, then is short
+const MAP_REPAIR_WALL_COST = 1e6;
+const MAP_REPAIR_MINE_COST = 1e3;
+
+// Offsets of the 4 neighbouring tiles
+const MAP_VALIDATOR_NEIGHBOURS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+/**
+ * MapValidator class
+ * Finds and repairs the reachability problems of a map
+ */
+class MapValidator {
+    /**
+     * @param {Object} terrainTypes - Tile values (MapGenerator.terrainTypes)
+     */
+    constructor(terrainTypes) {
+        this.terrainTypes = terrainTypes;
+    }
+
+    /**
+     * Check whether the platform can get from the start to the goal
+     * @param {Object} map - Map data (tiles, start, goal)
+     * @param {number} footprint - Size of the platform's collision box in tiles
+     * @returns {string|null} The problem: 'startTrapped' (walled in around the start), 'unreachable' (walls
+     *     cut the goal off) or 'minesBlocking' (every route crosses a mine); null if the map is fine
+     */
+    check(map, footprint) {
+        const size = MapValidator._getFootprintTiles(footprint);
+        const start = this._getPosition(map, map.start, size);
+        const goal = this._getPosition(map, map.goal, size);
+        const goalKey = `${goal.x},${goal.y}`;
+        
+        const area = this._findReachablePositions(map, start, size, false);
+        if (!area.has(goalKey)) {
+            return area.size <= MAP_TRAPPED_AREA ? 'startTrapped' : 'unreachable';
+        }
+        if (!this._findReachablePositions(map, start, size, true).has(goalKey)) {
+            return 'minesBlocking';
+        }
+        return null;
+    }
+
+    /**
+     * Find every tile the platform can drive over from the start, as check sees it
+     * @param {Object} map - Map data (tiles, start)
+     * @param {number} footprint - Size of the platform's collision box in tiles
+     * @param {boolean} avoidMines - Whether mines block the way too
+     * @returns {Set<string>} Keys ('x,y') of the tiles under some position the platform can reach
+     */
+    findReachable(map, footprint, avoidMines) {
+        const size = MapValidator._getFootprintTiles(footprint);
+        const tiles = new Set();
+        this._findReachablePositions(map, this._getPosition(map, map.start, size), size, avoidMines).forEach(key => {
+            const [x, y] = key.split(',').map(Number);
+            for (let tileY = y; tileY < y + size; tileY++) {
+                for (let tileX = x; tileX < x + size; tileX++) {
+                    tiles.add(`${tileX},${tileY}`);
+                }
+            }
+        });
+        return tiles;
+    }
+
+    /**
+     * Open a route from the start to the goal
+     * Takes the route through the fewest walls, then the fewest mines: its walls become dirt and its mines
+     * are cleared. Buildings a route goes through are split into one-tile buildings for the walls that stay
+     * @param {Object} map - Map data (tiles, buildings, start, goal, mines, tileSize); changed in place
+     * @param {number} footprint - Size of the platform's collision box in tiles
+     * @returns {Object} { tilesCarved, minesRemoved }
+     */
+    repair(map, footprint) {
+        const size = MapValidator._getFootprintTiles(footprint);
+        const route = this._findRepairRoute(map, this._getPosition(map, map.start, size),
+            this._getPosition(map, map.goal, size), size);
+        const result = { tilesCarved: 0, minesRemoved: 0 };
+        
+        for (const position of route) {
+            for (let y = position.y; y < position.y + size; y++) {
+                for (let x = position.x; x < position.x + size; x++) {
+                    if (map.tiles[y][x] === this.terrainTypes.WALL) {
+                        this._carveWall(map, x, y);
+                        result.tilesCarved++;
+                    } else if (map.tiles[y][x] === this.terrainTypes.MINE) {
+                        this._removeMine(map, x, y);
+                        result.minesRemoved++;
+                    }
+                }
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * Get the number of whole tiles a footprint covers
+     * @param {number} footprint - Size in tiles
+     * @returns {number} Tiles
+     * @private
+     */
+    static _getFootprintTiles(footprint) {
+        return Math.max(1, Math.ceil(footprint - 1e-9));
+    }
+
+    /**
+     * Get the footprint position (top-left tile) of the platform on a point, kept inside the map
+     * @param {Object} map - Map data
+     * @param {Object} point - Point { tileX, tileY }
+     * @param {number} size - Footprint size in tiles
+     * @returns {Object} Position { x, y }
+     * @private
+     */
+    _getPosition(map, point, size) {
+        return {
+            x: Math.min(point.tileX, map.tiles[0].length - size),
+            y: Math.min(point.tileY, map.tiles.length - size)
+        };
+    }
+
+    /**
+     * Count the tiles of a terrain under the footprint at a position
+     * @param {Object} map - Map data
+     * @param {number} x - Position X
+     * @param {number} y - Position Y
+     * @param {number} size - Footprint size in tiles
+     * @param {number} terrain - Tile value
+     * @returns {number} Tiles of that terrain
+     * @private
+     */
+    _countUnder(map, x, y, size, terrain) {
+        let count = 0;
+        for (let tileY = y; tileY < y + size; tileY++) {
+            for (let tileX = x; tileX < x + size; tileX++) {
+                if (map.tiles[tileY][tileX] === terrain) {
+                    count++;
+                }
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Find every footprint position the platform can drive to from the start
+     * @param {Object} map - Map data
+     * @param {Object} start - Start position { x, y }
+     * @param {number} size - Footprint size in tiles
+     * @param {boolean} avoidMines - Whether mines block the way too
+     * @returns {Set<string>} Keys ('x,y') of the reachable positions, start included
+     * @private
+     */
+    _findReachablePositions(map, start, size, avoidMines) {
+        const columns = map.tiles[0].length - size + 1;
+        const rows = map.tiles.length - size + 1;
+        const isFree = (x, y) => x >= 0 && x < columns && y >= 0 && y < rows &&
+            this._countUnder(map, x, y, size, this.terrainTypes.WALL) === 0 &&
+            (!avoidMines || this._countUnder(map, x, y, size, this.terrainTypes.MINE) === 0);
+        
+        const reached = new Set([`${start.x},${start.y}`]);
+        const queue = [start];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            for (const [dx, dy] of MAP_VALIDATOR_NEIGHBOURS) {
+                const x = current.x + dx;
+                const y = current.y + dy;
+                if (reached.has(`${x},${y}`) || !isFree(x, y)) continue;
+                
+                reached.add(`${x},${y}`);
+                queue.push({ x, y });
+            }
+        }
+        
+        return reached;
+    }
+
+    /**
+     * Find the cheapest route from the start to the goal, going through walls and mines if it has to
+     * (see MAP_REPAIR_WALL_COST and MAP_REPAIR_MINE_COST)
+     * @param {Object} map - Map data
+     * @param {Object} start - Start position { x, y }
+     * @param {Object} goal - Goal position { x, y }
+     * @param {number} size - Footprint size in tiles
+     * @returns {Array<Object>} Positions { x, y } from the start to the goal
+     * @private
+     */
+    _findRepairRoute(map, start, goal, size) {
+        const columns = map.tiles[0].length - size + 1;
+        const rows = map.tiles.length - size + 1;
+        const index = (x, y) => y * columns + x;
+        const stepCost = (x, y) => 1 +
+            this._countUnder(map, x, y, size, this.terrainTypes.WALL) * MAP_REPAIR_WALL_COST +
+            this._countUnder(map, x, y, size, this.terrainTypes.MINE) * MAP_REPAIR_MINE_COST;
+        
+        const startIndex = index(start.x, start.y);
+        const cost = new Map([[startIndex, 0]]);
+        const cameFrom = new Map();
+        const closed = new Set();
+        
+        // Dijkstra; ties come out of the heap in the order they were queued, so the repair is the same for a seed
+        const open = new MinHeap();
+        open.push({ x: start.x, y: start.y, cost: 0 }, 0);
+        while (open.size > 0) {
+            const current = open.pop();
+            const currentIndex = index(current.x, current.y);
+            if (current.x === goal.x && current.y === goal.y) break;
+            if (closed.has(currentIndex)) continue;
+            closed.add(currentIndex);
+            
+            for (const [dx, dy] of MAP_VALIDATOR_NEIGHBOURS) {
+                const x = current.x + dx;
+                const y = current.y + dy;
+                if (x < 0 || x >= columns || y < 0 || y >= rows) continue;
+                
+                const neighbourIndex = index(x, y);
+                const newCost = current.cost + stepCost(x, y);
+                if (closed.has(neighbourIndex) || newCost >= (cost.has(neighbourIndex) ? cost.get(neighbourIndex) : Infinity)) {
+                    continue;
+                }
+                
+                cost.set(neighbourIndex, newCost);
+                cameFrom.set(neighbourIndex, currentIndex);
+                open.push({ x, y, cost: newCost }, newCost);
+            }
+        }
+        
+        // Walk back from the goal
+        const route = [];
+        for (let i = index(goal.x, goal.y); i !== undefined; i = cameFrom.get(i)) {
+            route.unshift({ x: i % columns, y: Math.floor(i / columns) });
+        }
+        return route;
+    }
+
+    /**
+     * Turn a wall tile into dirt, splitting the building it belongs to into one-tile buildings for its
+     * other walls (buildings are drawn whole, and the carved tile must not be drawn as one)
+     * @param {Object} map - Map data
+     * @param {number} x - Tile X
+     * @param {number} y - Tile Y
+     * @private
+     */
+    _carveWall(map, x, y) {
+        map.tiles[y][x] = this.terrainTypes.DIRT;
+        
+        const tileSize = map.tileSize;
+        const index = map.buildings.findIndex(building =>
+            x * tileSize >= building.x && x * tileSize < building.x + building.width &&
+            y * tileSize >= building.y && y * tileSize < building.y + building.height);
+        if (index === -1) return;
+        
+        const building = map.buildings.splice(index, 1)[0];
+        for (let tileY = building.y / tileSize; tileY < (building.y + building.height) / tileSize; tileY++) {
+            for (let tileX = building.x / tileSize; tileX < (building.x + building.width) / tileSize; tileX++) {
+                if (map.tiles[tileY][tileX] === this.terrainTypes.WALL) {
+                    map.buildings.push({ x: tileX * tileSize, y: tileY * tileSize, width: tileSize, height: tileSize,
+                        type: 'building_small', shape: 'solid', size: 1 });
+                }
+            }
+        }
+    }
+
+    /**
+     * Clear a mine, giving the tile back its terrain
+     * @param {Object} map - Map data
+     * @param {number} x - Tile X
+     * @param {number} y - Tile Y
+     * @private
+     */
+    _removeMine(map, x, y) {
+        const index = map.mines.findIndex(mine => mine.tileX === x && mine.tileY === y);
+        map.tiles[y][x] = map.mines[index].originalTerrain;
+        map.mines.splice(index, 1);
+    }
+}
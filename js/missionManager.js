@@ -1,6 +1,7 @@
 /**
  * MissionManager class
- * Handles mission types, objectives, and completion
+ * Picks mission types, generates their maps and handles the mines on them;
+ * the objectives of each type are run by its Mission (see missions.js)
  */
 class MissionManager {
     constructor(mapGenerator, player, audioManager) {
@@ -8,117 +9,183 @@ class MissionManager {
         this.player = player;
         this.audioManager = audioManager;
         
-        this.missionType = null;
-        this.missionPhase = 0; // 0: going to objective, 1: returning to start
+        this.missionType = null; // Key in MISSION_TYPES
+        this.mission = null; // Mission being played (see missions.js)
         this.currentMap = null;
+
+        // Ranges of mines, repair kits and power-ups on each map, and whether mines are hidden, from the difficulty preset
+        this.mapOptions = {
+            mines: { min: 3, max: 6 },
+            repairKits: { min: 0, max: 0 },
+            powerUps: { min: 0, max: 0 },
+            hiddenMines: false
+        };
         
-        this.objectiveRadius = 30; // Radius for detecting when player reaches objective
-        this.missionComplete = false;
+        // Mines: hidden ones beep as the platform gets close, and detected ones can be defused
+        this.beepRange = 4; // Tiles from the platform within which a hidden mine makes the detector beep
+        this.defuseRange = 1.5; // Tiles from the platform within which a detected mine can be defused
+        this.defuseTime = 3000; // How long defuse has to be held, standing still (ms)
+        this.defusePoints = 5; // Bonus for a defused mine
+        this.defuseTarget = null; // Mine being defused
+        this.defuseTimer = 0; // Time defuse has been held on it (ms)
+
+        // Seeding: every mission in a run derives its seed from the run seed
+        this.runSeed = null;
+        this.missionCount = 0; // Missions started in the current run
+        this.currentSeed = null;
         
-        this.missionTypes = {
-            EVACUATION: 'evacuation',
-            DELIVERY: 'delivery'
-        };
+        // Handcrafted levels (see levels.js) the run plays first, in order, before it goes on with generated maps
+        this.runLevels = [];
+        this.runBiome = null; // Biome of the generated maps (key in MAP_BIOMES), or null to pick one per map
 
         this.isActive = false;
         this.showMissionCompleteText = true;
         this.missionCompleteTimer = this.missionCompleteDisplayTime;
     }
 
+    /**
+     * Apply the map settings of a difficulty preset to the missions that follow
+     * @param {Object} difficulty - Difficulty profile (see DIFFICULTY_PROFILES)
+     */
+    setDifficulty(difficulty) {
+        this.mapOptions = {
+            mines: difficulty.mines,
+            repairKits: difficulty.armor ? difficulty.armor.repairKits : { min: 0, max: 0 },
+            powerUps: difficulty.powerUps,
+            hiddenMines: difficulty.hiddenMines
+        };
+    }
+
+    /**
+     * Start a new run of missions
+     * The same run seed (and levels and biome) always produces the same sequence of missions and maps
+     * @param {string} [seed] - Run seed; a new random seed is used if omitted
+     * @param {Array<Object>} [levels] - Handcrafted levels to play first, in order
+     * @param {string} [biome] - Biome of every generated map (key in MAP_BIOMES); picked per map if omitted
+     */
+    startRun(seed, levels = [], biome = null) {
+        this.runSeed = seed !== undefined && seed !== null && seed !== '' ? String(seed) : generateSeed();
+        this.runLevels = levels;
+        this.runBiome = biome;
+        this.missionCount = 0;
+        console.log(`Starting run with seed ${this.runSeed}`);
+    }
+
+    /**
+     * Get the seed of the next mission in the current run
+     * @returns {string} Mission seed
+     */
+    getNextMissionSeed() {
+        if (this.runSeed === null) {
+            this.startRun();
+        }
+        return `${this.runSeed}-${this.missionCount + 1}`;
+    }
+
+    /**
+     * Get the type of the next mission in the current run
+     * @returns {string} Mission type: the next level's, or the one its seed produces
+     */
+    getNextMissionType() {
+        const level = this.runLevels[this.missionCount];
+        if (level && level.missionType) {
+            return level.missionType;
+        }
+        return this.getMissionTypeForSeed(undefined, !level || (level.mines || []).length > 0);
+    }
+
+    /**
+     * Get the mission type that a seed produces
+     * @param {string} [seed] - Mission seed (defaults to the next mission seed)
+     * @param {boolean} [hasMines=true] - Whether the map has mines; sapper missions are only picked if it does
+     * @param {boolean} [hasRoute=true] - Whether a vehicle can drive from the start to the goal; escort missions are only picked if it can
+     * @returns {string} Mission type, picked by weight (key in MISSION_TYPES)
+     */
+    getMissionTypeForSeed(seed = this.getNextMissionSeed(), hasMines = true, hasRoute = true) {
+        const random = createSeededRandom(`${seed}:type`);
+        const types = Object.keys(MISSION_TYPES).filter(type => (hasMines || MISSION_TYPES[type].behavior !== 'sapper') &&
+            (hasRoute || MISSION_TYPES[type].behavior !== 'escort'));
+        const totalWeight = types.reduce((sum, type) => sum + MISSION_TYPES[type].weight, 0);
+        
+        let roll = random() * totalWeight;
+        for (const type of types) {
+            roll -= MISSION_TYPES[type].weight;
+            if (roll < 0) {
+                return type;
+            }
+        }
+        return types[types.length - 1];
+    }
+
     /**
      * Start a new mission
-     * @param {string} [forceMissionType] - Optional mission type to force ('evacuation' or 'delivery')
+     * @param {string} [forceMissionType] - Optional mission type to force (key in MISSION_TYPES)
+     * @param {string} [seed] - Optional mission seed (defaults to the next seed of the current run)
+     * @param {Object} [level] - Optional handcrafted level to play (defaults to the run's next level, if any)
      * @returns {Object} Generated map for the mission
      */
-    startNewMission(forceMissionType) {
-        // Set mission type - use forced type if provided
-        if (forceMissionType && (forceMissionType === this.missionTypes.EVACUATION || 
-                                forceMissionType === this.missionTypes.DELIVERY)) {
+    startNewMission(forceMissionType, seed, level) {
+        // Pick the seed and level for this mission
+        this.currentSeed = seed !== undefined && seed !== null ? String(seed) : this.getNextMissionSeed();
+        const currentLevel = level || this.runLevels[this.missionCount] || null;
+        this.missionCount++;
+        
+        // Set mission type - use forced type if provided, then the level's
+        if (forceMissionType && MISSION_TYPES[forceMissionType]) {
             this.missionType = forceMissionType;
+        } else if (currentLevel && currentLevel.missionType) {
+            this.missionType = currentLevel.missionType;
         } else {
-            // Random mission type
-            this.missionType = Math.random() < 0.5 ? this.missionTypes.EVACUATION : this.missionTypes.DELIVERY;
+            // Mission type derived from the seed
+            this.missionType = this.getMissionTypeForSeed(this.currentSeed, !currentLevel || (currentLevel.mines || []).length > 0);
         }
         
-        this.missionPhase = 0;
-        this.missionComplete = false;
-        
-        // Set initial player state based on mission type
-        if (this.missionType === this.missionTypes.DELIVERY) {
-            this.player.hasCargo = true;
-            this.player.hasRescue = false;
+        // Build the level's map, or generate a new one
+        if (currentLevel) {
+            this.currentMap = LevelFormat.toMap(currentLevel, this.mapGenerator.tileSize, this.currentSeed);
         } else {
-            this.player.hasCargo = false;
-            this.player.hasRescue = false;
+            // Checked against the platform's collision box, so it can really drive to the goal
+            this.currentMap = this.mapGenerator.generateMap(this.missionType, this.currentSeed, {
+                ...this.mapOptions,
+                biome: this.runBiome,
+                footprint: this.player.collisionWidth / this.mapGenerator.tileSize
+            });
+        }
+        
+        // There is nothing to clear on a map left without mines (e.g. after the validator cleared a route),
+        // and nothing to escort on a map without a road to the goal, so play another type drawn from the same seed
+        const behavior = MISSION_TYPES[this.missionType].behavior;
+        const hasMines = this.currentMap.mines.length > 0;
+        const hasRoute = behavior !== 'escort' || EscortMission.findRoute(this.currentMap) !== null;
+        if ((behavior === 'sapper' && !hasMines) || !hasRoute) {
+            this.missionType = this.getMissionTypeForSeed(this.currentSeed, hasMines, hasRoute);
         }
         
-        // Generate new map
-        this.currentMap = this.mapGenerator.generateMap(this.missionType);
+        // Mines are detected from the start unless they're hidden
+        this.currentMap.mines.forEach(mine => {
+            mine.detected = !this.mapOptions.hiddenMines;
+        });
+        this.defuseTarget = null;
+        this.defuseTimer = 0;
         
         // Reset player position
         this.player.resetPosition(this.currentMap.start.x, this.currentMap.start.y);
         
+        // Set up the mission's objectives (and what the platform carries) on the new map
+        this.mission = Mission.create(this.missionType, this.currentMap, this.player, this.audioManager,
+            createSeededRandom(`${this.currentSeed}:mission`));
+        
         return this.currentMap;
     }
 
     /**
      * Update mission state
-     * @returns {Object|null} - Reward object if mission phase completed, null otherwise
+     * @param {number} deltaTime - Time since last update in milliseconds
+     * @param {DroneManager} droneManager - Drones in play (some missions react to them)
+     * @returns {Object|null} - Reward object if an objective was reached or the mission ended, null otherwise
      */
-    update() {
-        if (this.missionComplete) return null;
-        
-        // Check if player reached the objective
-        const objective = this.missionPhase === 0 ? this.currentMap.goal : this.currentMap.start;
-        const playerCenter = {
-            x: this.player.x + this.player.width / 2,
-            y: this.player.y + this.player.height / 2
-        };
-        
-        const objectiveCenter = {
-            x: objective.x + this.currentMap.tileSize / 2,
-            y: objective.y + this.currentMap.tileSize / 2
-        };
-        
-        const distance = calculateDistance(
-            playerCenter.x, playerCenter.y,
-            objectiveCenter.x, objectiveCenter.y
-        );
-        
-        // If player reaches the objective in the current phase
-        if (distance < this.objectiveRadius) {
-            let reward = null;
-            
-            if (this.missionPhase === 0) {
-                // Reached goal, now return to start
-                this.missionPhase = 1;
-                
-                // Update player state based on mission type
-                if (this.missionType === this.missionTypes.EVACUATION) {
-                    this.player.hasRescue = true; // Picked up wounded soldier
-                } else if (this.missionType === this.missionTypes.DELIVERY) {
-                    this.player.hasCargo = false; // Delivered cargo
-                }
-                
-                reward = { points: 0, message: this.getReturnMessage() };
-            } else {
-                // Reached start after objective, mission complete
-                this.missionComplete = true;
-                
-                // Reset player state
-                this.player.hasRescue = false;
-                this.player.hasCargo = false;
-                
-                // Play mission complete sound
-                this.audioManager.playSfx('sfx_mission_complete');
-                
-                reward = { points: 10, message: 'Mission Complete! +10 points' };
-            }
-            
-            return reward;
-        }
-        
-        return null;
+    update(deltaTime, droneManager) {
+        return this.mission.update(deltaTime, droneManager);
     }
 
     /**
@@ -126,28 +193,7 @@ class MissionManager {
      * @returns {string} Objective description
      */
     getCurrentObjectiveText() {
-        if (this.missionType === this.missionTypes.EVACUATION) {
-            return this.missionPhase === 0 ? 
-                GameTexts.mission.evacuation.phase0 : 
-                GameTexts.mission.evacuation.phase1;
-        } else {
-            return this.missionPhase === 0 ? 
-                GameTexts.mission.delivery.phase0 : 
-                GameTexts.mission.delivery.phase1;
-        }
-    }
-
-    /**
-     * Get message for when returning to start
-     * @returns {string} Return phase message
-     * @private
-     */
-    getReturnMessage() {
-        if (this.missionType === this.missionTypes.EVACUATION) {
-            return 'Soldier rescued! Return to base.';
-        } else {
-            return 'Cargo delivered! Return to base.';
-        }
+        return this.mission ? this.mission.getObjectiveText() : GameTexts.mission.none;
     }
 
     /**
@@ -156,46 +202,45 @@ class MissionManager {
      */
     draw(ctx) {
         // Draw start position (always visible)
-        this._drawMapPoint(ctx, this.currentMap.start, 'rgba(0, 255, 0, 0.7)', 1);
+        Mission.drawPoint(ctx, this.currentMap, this.currentMap.start, 'rgba(0, 255, 0, 0.7)', 1);
         
-        // Draw goal position if in phase 0
-        if (this.missionPhase === 0) {
-            this._drawMapPoint(ctx, this.currentMap.goal, 'rgba(255, 215, 0, 0.7)', 1);
-        }
+        // Draw the mission's own points (goal, stops, escorted vehicle...)
+        this.mission.draw(ctx);
         
         // NOTE: Mines are now rendered in the Game class with proper terrain backgrounds
         // We no longer need to draw them here
+        
+        // Draw defusing progress as a ring filling up around the mine
+        if (this.defuseTarget) {
+            const mine = this.defuseTarget;
+            const size = this.currentMap.tileSize;
+            ctx.beginPath();
+            ctx.arc(mine.x + size / 2, mine.y + size / 2, size * 0.45,
+                -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * this.defuseTimer / this.defuseTime);
+            ctx.strokeStyle = '#F1C40F';
+            ctx.lineWidth = 3;
+            ctx.stroke();
+        }
     }
 
     /**
-     * Draw a point on the map
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {Object} point - Point to draw
-     * @param {string} color - Color to use
-     * @param {number} sizeMultiplier - Size multiplier (1 = full tile size)
-     * @private
+     * Get the current map as a level, e.g. to save it as a file
+     * @returns {Object} Level (see levels.js)
      */
-    _drawMapPoint(ctx, point, color, sizeMultiplier = 1) {
-        const size = this.currentMap.tileSize * sizeMultiplier;
-        const offset = (this.currentMap.tileSize - size) / 2;
-        
-        ctx.fillStyle = color;
-        ctx.fillRect(
-            point.x + offset,
-            point.y + offset,
-            size,
-            size
-        );
+    exportLevel() {
+        return LevelFormat.fromMap(this.currentMap, this.missionType);
     }
 
     /**
      * Check if player hit a mine
+     * A mine that is hit goes off: it is cleared from the map, so an armored platform can drive on
      * @returns {boolean} Whether player hit a mine
      */
     checkMineCollision() {
         const playerBounds = this.player.getCollisionBounds();
         
-        for (const mine of this.currentMap.mines) {
+        for (let i = 0; i < this.currentMap.mines.length; i++) {
+            const mine = this.currentMap.mines[i];
             const mineBounds = {
                 x: mine.x,
                 y: mine.y,
@@ -204,6 +249,7 @@ class MissionManager {
             };
             
             if (checkCollision(playerBounds, mineBounds)) {
+                this._removeMine(mine);
                 return true;
             }
         }
@@ -211,20 +257,125 @@ class MissionManager {
         return false;
     }
 
+    /**
+     * Mark the hidden mines within range of the platform's detector
+     * @returns {number|null} How close the nearest hidden mine within beepRange is, from 0 at the edge of
+     *     the range to 1 on top of the platform, or null if there is none (drives the detector's beeping)
+     */
+    detectMines() {
+        const detectorRange = this.player.getMineDetectorRange();
+        const beepRange = this.beepRange * this.currentMap.tileSize;
+        let nearest = Infinity;
+        
+        this.currentMap.mines.forEach(mine => {
+            if (mine.detected) return;
+            
+            const distance = this._getDistanceToMine(mine);
+            if (distance <= detectorRange) {
+                mine.detected = true;
+            } else {
+                nearest = Math.min(nearest, distance);
+            }
+        });
+        
+        return nearest <= beepRange ? 1 - nearest / beepRange : null;
+    }
+
+    /**
+     * Defuse a detected mine next to the platform while defuse is held and the platform stands still
+     * Letting go, moving or switching to another mine starts over
+     * @param {number} deltaTime - Time since last update in milliseconds
+     * @param {boolean} holding - Whether the defuse action is held
+     * @returns {Object|null} Mine defused in this update, or null
+     */
+    updateDefusing(deltaTime, holding) {
+        const mine = holding && !this.player.isMoving ? this._findDefusableMine() : null;
+        if (mine !== this.defuseTarget) {
+            this.defuseTarget = mine;
+            this.defuseTimer = 0;
+        }
+        if (!mine) {
+            return null;
+        }
+        
+        this.defuseTimer += deltaTime;
+        if (this.defuseTimer < this.defuseTime) {
+            return null;
+        }
+        
+        this._removeMine(mine);
+        this.defuseTarget = null;
+        this.defuseTimer = 0;
+        this.mission.onMineDefused();
+        return mine;
+    }
+
+    /**
+     * Find the nearest detected mine within defusing range of the platform
+     * @returns {Object|null} Mine, or null if none is in range
+     * @private
+     */
+    _findDefusableMine() {
+        let target = null;
+        let nearest = this.defuseRange * this.currentMap.tileSize;
+        
+        this.currentMap.mines.forEach(mine => {
+            const distance = this._getDistanceToMine(mine);
+            if (mine.detected && distance <= nearest) {
+                target = mine;
+                nearest = distance;
+            }
+        });
+        
+        return target;
+    }
+
+    /**
+     * Get the distance between the centers of the platform and a mine
+     * @param {Object} mine - Mine
+     * @returns {number} Distance in pixels
+     * @private
+     */
+    _getDistanceToMine(mine) {
+        const size = this.currentMap.tileSize;
+        return calculateDistance(
+            this.player.x + this.player.width / 2, this.player.y + this.player.height / 2,
+            mine.x + size / 2, mine.y + size / 2
+        );
+    }
+
+    /**
+     * Take a mine off the map, restoring the terrain under it
+     * @param {Object} mine - Mine to remove
+     * @private
+     */
+    _removeMine(mine) {
+        this.currentMap.mines.splice(this.currentMap.mines.indexOf(mine), 1);
+        this.currentMap.tiles[mine.tileY][mine.tileX] = mine.originalTerrain;
+    }
+
     /**
      * Check if mission is complete
      * @returns {boolean} Whether mission is complete
      */
     isMissionComplete() {
-        return this.missionComplete;
+        return this.mission.status === 'complete';
+    }
+
+    /**
+     * Check if mission has failed (e.g. ran out of time)
+     * @returns {boolean} Whether mission has failed
+     */
+    isMissionFailed() {
+        return this.mission.status === 'failed';
     }
 
     /**
-     * Get objective position based on current mission phase
+     * Get where the player should head next in the current mission
      * @returns {Object} Current objective position
      */
     getCurrentObjectivePosition() {
-        return this.missionPhase === 0 ? this.currentMap.goal : this.currentMap.start;
+        return this.mission.getObjectivePosition();
     }
 
     /**
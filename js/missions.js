@@ -0,0 +1,652 @@
+// Mission types
+// behavior picks the class that runs the mission (see Mission.create); weight is its share of the
+// missions a run draws; reward is the score for completing it. The rest configures the behavior:
+// cargo - what the platform carries: 'cargo' from the start until the goal, or 'rescue' picked up at the goal
+// timeLimit - Time to complete the mission before it fails (ms)
+// stops, waypoints - Number of extra points to visit { min, max }
+// vehicleSpeed, vehicleHealth, escortRange - Escorted vehicle's speed (tiles per second), the drone hits
+//     it survives, and how close (in tiles) the platform has to stay for it to keep driving
+// holdTime, holdRadius - How long the position has to be held (ms), and its size in tiles
+// ewCover - How long the position stays covered after EW on it goes off (ms); the hold time only runs while
+//     it is covered, so EW has to be pulsed again as soon as it recharges (the longest recharge is 12 s)
+// mines - Mines to defuse (fewer if the map has fewer)
+const MISSION_TYPES = {
+    // Pick up a wounded soldier at the goal and bring them back
+    evacuation: { behavior: 'cargo', weight: 25, reward: 10, cargo: 'rescue' },
+    // Bring cargo to the goal and return
+    delivery: { behavior: 'cargo', weight: 25, reward: 10, cargo: 'cargo' },
+    // Evacuation against the clock
+    medevac: { behavior: 'cargo', weight: 10, reward: 20, cargo: 'rescue', timeLimit: 45000 },
+    // Drop cargo at several stops in order, then return
+    supply: { behavior: 'supply', weight: 10, reward: 20, stops: { min: 2, max: 3 } },
+    // Visit every waypoint in any order, then return
+    recon: { behavior: 'recon', weight: 10, reward: 20, waypoints: { min: 3, max: 4 } },
+    // Keep a slow friendly vehicle safe on its way to the goal
+    escort: {
+        behavior: 'escort', weight: 10, reward: 25,
+        vehicleSpeed: 1.5, vehicleHealth: 3, escortRange: 4
+    },
+    // Reach the goal and hold the position with EW up while drones come in
+    hold: { behavior: 'hold', weight: 10, reward: 25, holdTime: 30000, holdRadius: 2, ewCover: 13000 },
+    // Clear mines from the map (each defused mine also scores on its own); never played on a map without mines
+    sapper: { behavior: 'sapper', weight: 10, reward: 15, mines: 2 }
+};
+
+/**
+ * Mission class
+ * Base mission: keeps the mission's status and draws its points; each behavior (see MISSION_TYPES)
+ * extends it with its objectives
+ */
+class Mission {
+    /**
+     * @param {string} type - Key in MISSION_TYPES
+     * @param {Object} map - Map the mission is played on
+     * @param {Player} player - Player
+     * @param {AudioManager} audioManager - Audio manager
+     * @param {Function} random - Random source for the mission's extra points
+     */
+    constructor(type, map, player, audioManager, random) {
+        this.type = type;
+        this.definition = MISSION_TYPES[type];
+        this.map = map;
+        this.player = player;
+        this.audioManager = audioManager;
+        this.random = random;
+        
+        this.status = 'active'; // 'active', 'complete' or 'failed'
+        this.elapsed = 0; // Time spent on the mission (ms)
+        this.objectiveRadius = 30; // Radius for detecting when player reaches objective
+    }
+
+    /**
+     * Get the class that implements a mission type
+     * @param {string} type - Key in MISSION_TYPES
+     * @returns {Function} Mission class
+     */
+    static getClass(type) {
+        const classes = {
+            cargo: CargoMission,
+            supply: SupplyMission,
+            recon: ReconMission,
+            escort: EscortMission,
+            hold: HoldMission,
+            sapper: SapperMission
+        };
+        return classes[MISSION_TYPES[type].behavior];
+    }
+
+    /**
+     * Create a mission of a type
+     * @param {string} type - Key in MISSION_TYPES
+     * @param {Object} map - Map the mission is played on
+     * @param {Player} player - Player
+     * @param {AudioManager} audioManager - Audio manager
+     * @param {Function} random - Random source for the mission's extra points
+     * @returns {Mission} Mission, ready to play
+     */
+    static create(type, map, player, audioManager, random) {
+        const MissionClass = Mission.getClass(type);
+        return new MissionClass(type, map, player, audioManager, random);
+    }
+
+    /**
+     * Update the mission
+     * @param {number} deltaTime - Time since last update in milliseconds
+     * @param {DroneManager} droneManager - Drones in play
+     * @returns {Object|null} { points, message } when something happened worth reporting, null otherwise
+     */
+    update(deltaTime, droneManager) {
+        if (this.status !== 'active') return null;
+        
+        this.elapsed += deltaTime;
+        return this._updateObjectives(deltaTime, droneManager);
+    }
+
+    /**
+     * Note a mine defused during the mission
+     */
+    onMineDefused() {}
+
+    /**
+     * Get the objective text for the HUD
+     * @returns {string} Objective description
+     */
+    getObjectiveText() {
+        return GameTexts.mission.none;
+    }
+
+    /**
+     * Get where the player should head next
+     * @returns {Object} Position { x, y }
+     */
+    getObjectivePosition() {
+        return this.map.start;
+    }
+
+    /**
+     * Draw the mission's points on the map
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    draw(ctx) {}
+
+    /**
+     * Draw a point on the map
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} map - Map data
+     * @param {Object} point - Point to draw
+     * @param {string} color - Color to use
+     * @param {number} sizeMultiplier - Size multiplier (1 = full tile size)
+     */
+    static drawPoint(ctx, map, point, color, sizeMultiplier = 1) {
+        const size = map.tileSize * sizeMultiplier;
+        const offset = (map.tileSize - size) / 2;
+        
+        ctx.fillStyle = color;
+        ctx.fillRect(
+            point.x + offset,
+            point.y + offset,
+            size,
+            size
+        );
+    }
+
+    /**
+     * Advance the objectives
+     * @param {number} deltaTime - Time since last update in milliseconds
+     * @param {DroneManager} droneManager - Drones in play
+     * @returns {Object|null} { points, message }, or null
+     * @protected
+     */
+    _updateObjectives(deltaTime, droneManager) {
+        return null;
+    }
+
+    /**
+     * Check if the player is at a point
+     * @param {Object} point - Point (top-left of its tile)
+     * @param {number} [radius] - Distance from the tile center that counts as there (px)
+     * @returns {boolean} Whether the player is there
+     * @protected
+     */
+    _isPlayerAt(point, radius = this.objectiveRadius) {
+        return this._distanceToPlayer(point) < radius;
+    }
+
+    /**
+     * Get the distance between the centers of the player and a point's tile
+     * @param {Object} point - Point (top-left of its tile)
+     * @returns {number} Distance in pixels
+     * @protected
+     */
+    _distanceToPlayer(point) {
+        return calculateDistance(
+            this.player.x + this.player.width / 2, this.player.y + this.player.height / 2,
+            point.x + this.map.tileSize / 2, point.y + this.map.tileSize / 2
+        );
+    }
+
+    /**
+     * Complete the mission
+     * @returns {Object} { points, message } with the reward
+     * @protected
+     */
+    _complete() {
+        this.status = 'complete';
+        this.player.hasRescue = false;
+        this.player.hasCargo = false;
+        this.audioManager.playSfx('sfx_mission_complete');
+        return { points: this.definition.reward, message: GameTexts.messages.missionComplete(this.definition.reward) };
+    }
+
+    /**
+     * Fail the mission; the next one starts without a reward
+     * @param {string} message - Why it failed
+     * @returns {Object} { points, message }
+     * @protected
+     */
+    _fail(message) {
+        this.status = 'failed';
+        this.player.hasRescue = false;
+        this.player.hasCargo = false;
+        return { points: 0, message };
+    }
+
+    /**
+     * Pick extra points for the mission on open ground the platform can drive to from the start,
+     * away from the start, the goal and each other
+     * @param {Object} range - Number of points { min, max }
+     * @returns {Array<Object>} Points { x, y, tileX, tileY }
+     * @protected
+     */
+    _pickPoints(range) {
+        const count = getRandomInt(range.min, range.max, this.random);
+        const minSpacing = 4; // Tiles between points
+        const { tiles, start, goal, tileSize } = this.map;
+        const points = [];
+        
+        const candidates = [];
+        for (let y = 0; y < tiles.length; y++) {
+            for (let x = 0; x < tiles[y].length; x++) {
+                if (tiles[y][x] === 0 || tiles[y][x] === 1) { // ASPHALT or DIRT
+                    candidates.push({ x, y });
+                }
+            }
+        }
+        
+        while (points.length < count && candidates.length > 0) {
+            const tile = candidates.splice(Math.floor(this.random() * candidates.length), 1)[0];
+            const spaced = [start, goal, ...points].every(point =>
+                calculateDistance(tile.x, tile.y, point.tileX, point.tileY) >= minSpacing);
+            
+            if (spaced && Pathfinder.findPath(this.map, { x: start.tileX, y: start.tileY }, tile)) {
+                points.push({ x: tile.x * tileSize, y: tile.y * tileSize, tileX: tile.x, tileY: tile.y });
+            }
+        }
+        
+        return points;
+    }
+
+    /**
+     * Get the seconds left before a timed mission fails
+     * @returns {number} Whole seconds left
+     * @protected
+     */
+    _getSecondsLeft() {
+        return Math.max(0, Math.ceil((this.definition.timeLimit - this.elapsed) / 1000));
+    }
+}
+
+/**
+ * CargoMission class
+ * Go to the goal and return to base: evacuation (pick up a wounded soldier), delivery (drop cargo),
+ * and medevac (evacuation with a time limit)
+ */
+class CargoMission extends Mission {
+    constructor(type, map, player, audioManager, random) {
+        super(type, map, player, audioManager, random);
+        
+        this.phase = 0; // 0: going to objective, 1: returning to start
+        this.player.hasCargo = this.definition.cargo === 'cargo';
+        this.player.hasRescue = false;
+    }
+
+    getObjectiveText() {
+        const texts = GameTexts.mission[this.type];
+        const text = this.phase === 0 ? texts.phase0 : texts.phase1;
+        return this.definition.timeLimit ? text(this._getSecondsLeft()) : text;
+    }
+
+    getObjectivePosition() {
+        return this.phase === 0 ? this.map.goal : this.map.start;
+    }
+
+    draw(ctx) {
+        if (this.phase === 0) {
+            Mission.drawPoint(ctx, this.map, this.map.goal, 'rgba(255, 215, 0, 0.7)', 1);
+        }
+    }
+
+    _updateObjectives() {
+        if (this.definition.timeLimit && this.elapsed >= this.definition.timeLimit) {
+            return this._fail(GameTexts.messages.missionFailed.timeUp);
+        }
+        
+        if (!this._isPlayerAt(this.getObjectivePosition())) {
+            return null;
+        }
+        if (this.phase === 1) {
+            return this._complete();
+        }
+        
+        // Reached goal, now return to start
+        this.phase = 1;
+        if (this.definition.cargo === 'rescue') {
+            this.player.hasRescue = true; // Picked up wounded soldier
+            return { points: 0, message: GameTexts.messages.soldierRescued };
+        }
+        this.player.hasCargo = false; // Delivered cargo
+        return { points: 0, message: GameTexts.messages.cargoDelivered };
+    }
+}
+
+/**
+ * SupplyMission class
+ * Drop cargo at several stops in order (the last one is the goal), then return to base
+ */
+class SupplyMission extends Mission {
+    constructor(type, map, player, audioManager, random) {
+        super(type, map, player, audioManager, random);
+        
+        this.stops = [...this._pickPoints(this.definition.stops), map.goal];
+        this.stopIndex = 0; // Next stop; stops.length once all are supplied
+        this.player.hasCargo = true;
+        this.player.hasRescue = false;
+    }
+
+    getObjectiveText() {
+        if (this.stopIndex < this.stops.length) {
+            return GameTexts.mission.supply.stop(this.stopIndex + 1, this.stops.length);
+        }
+        return GameTexts.mission.supply.return;
+    }
+
+    getObjectivePosition() {
+        return this.stopIndex < this.stops.length ? this.stops[this.stopIndex] : this.map.start;
+    }
+
+    draw(ctx) {
+        // The next stop is bright, later ones faded
+        for (let i = this.stops.length - 1; i >= this.stopIndex; i--) {
+            const color = i === this.stopIndex ? 'rgba(255, 215, 0, 0.7)' : 'rgba(255, 215, 0, 0.3)';
+            Mission.drawPoint(ctx, this.map, this.stops[i], color, 1);
+        }
+    }
+
+    _updateObjectives() {
+        if (!this._isPlayerAt(this.getObjectivePosition())) {
+            return null;
+        }
+        if (this.stopIndex === this.stops.length) {
+            return this._complete();
+        }
+        
+        this.stopIndex++;
+        if (this.stopIndex === this.stops.length) {
+            this.player.hasCargo = false;
+        }
+        return { points: 0, message: GameTexts.messages.stopSupplied(this.stopIndex, this.stops.length) };
+    }
+}
+
+/**
+ * ReconMission class
+ * Scout every waypoint (the goal among them) in any order, then return to base
+ */
+class ReconMission extends Mission {
+    constructor(type, map, player, audioManager, random) {
+        super(type, map, player, audioManager, random);
+        
+        this.waypoints = [...this._pickPoints(this.definition.waypoints), map.goal]; // Waypoints not scouted yet
+        this.waypointCount = this.waypoints.length;
+        this.player.hasCargo = false;
+        this.player.hasRescue = false;
+    }
+
+    getObjectiveText() {
+        if (this.waypoints.length > 0) {
+            return GameTexts.mission.recon.scout(this.waypointCount - this.waypoints.length, this.waypointCount);
+        }
+        return GameTexts.mission.recon.return;
+    }
+
+    /**
+     * Get the nearest waypoint not scouted yet, or the base once all are
+     * @returns {Object} Position { x, y }
+     */
+    getObjectivePosition() {
+        if (this.waypoints.length === 0) {
+            return this.map.start;
+        }
+        return this.waypoints.reduce((nearest, waypoint) =>
+            this._distanceToPlayer(waypoint) < this._distanceToPlayer(nearest) ? waypoint : nearest);
+    }
+
+    draw(ctx) {
+        this.waypoints.forEach(waypoint => {
+            Mission.drawPoint(ctx, this.map, waypoint, 'rgba(155, 89, 182, 0.7)', 0.8);
+        });
+    }
+
+    _updateObjectives() {
+        if (this.waypoints.length === 0) {
+            return this._isPlayerAt(this.map.start) ? this._complete() : null;
+        }
+        
+        const index = this.waypoints.findIndex(waypoint => this._isPlayerAt(waypoint));
+        if (index === -1) {
+            return null;
+        }
+        
+        this.waypoints.splice(index, 1);
+        return {
+            points: 0,
+            message: GameTexts.messages.waypointScouted(this.waypointCount - this.waypoints.length, this.waypointCount)
+        };
+    }
+}
+
+/**
+ * EscortMission class
+ * A friendly vehicle drives from the base to the goal along the roads a ground drone would take,
+ * but only while the platform stays close; drones that reach it blow up on it
+ */
+class EscortMission extends Mission {
+    constructor(type, map, player, audioManager, random) {
+        super(type, map, player, audioManager, random);
+        
+        this.vehicle = {
+            x: map.start.x,
+            y: map.start.y,
+            size: map.tileSize * 0.8,
+            health: this.definition.vehicleHealth,
+            path: EscortMission.findRoute(map) // Tiles left to drive; MissionManager only escorts on maps with a route
+        };
+        this.player.hasCargo = false;
+        this.player.hasRescue = false;
+    }
+
+    /**
+     * Find the roads the vehicle takes from the start to the goal
+     * @param {Object} map - Map data
+     * @returns {Array<Object>|null} Tiles { x, y } to drive through, or null if the goal can't be reached
+     */
+    static findRoute(map) {
+        return Pathfinder.findPath(map, { x: map.start.tileX, y: map.start.tileY }, { x: map.goal.tileX, y: map.goal.tileY });
+    }
+
+    getObjectiveText() {
+        return GameTexts.mission.escort.phase0(this.vehicle.health);
+    }
+
+    /**
+     * Get the vehicle's position, since the platform has to stay with it
+     * @returns {Object} Position { x, y }
+     */
+    getObjectivePosition() {
+        return this.vehicle;
+    }
+
+    draw(ctx) {
+        Mission.drawPoint(ctx, this.map, this.map.goal, 'rgba(255, 215, 0, 0.7)', 1);
+        
+        const vehicle = this.vehicle;
+        const offset = (this.map.tileSize - vehicle.size) / 2;
+        ctx.fillStyle = '#2E86C1';
+        ctx.fillRect(vehicle.x + offset, vehicle.y + offset, vehicle.size, vehicle.size);
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(vehicle.x + offset, vehicle.y + offset, vehicle.size, vehicle.size);
+        
+        // One pip per hit the vehicle can still take
+        ctx.fillStyle = '#2ECC71';
+        for (let i = 0; i < vehicle.health; i++) {
+            ctx.fillRect(vehicle.x + offset + i * 7, vehicle.y + offset - 6, 5, 4);
+        }
+    }
+
+    _updateObjectives(deltaTime, droneManager) {
+        const vehicle = this.vehicle;
+        const offset = (this.map.tileSize - vehicle.size) / 2;
+        const bounds = { x: vehicle.x + offset, y: vehicle.y + offset, width: vehicle.size, height: vehicle.size };
+        
+        // Drones that would hit the platform blow up on the vehicle too
+        let hit = false;
+        droneManager.drones.forEach(drone => {
+            if (!drone.isDestroyed && drone.contactKills &&
+                checkCollision({ x: drone.x, y: drone.y, width: drone.width, height: drone.height }, bounds)) {
+                drone.destroy();
+                vehicle.health--;
+                hit = true;
+            }
+        });
+        if (vehicle.health <= 0) {
+            return this._fail(GameTexts.messages.missionFailed.vehicleDestroyed);
+        }
+        
+        // Drive on while the platform is close
+        if (this._distanceToPlayer(vehicle) <= this.definition.escortRange * this.map.tileSize) {
+            this._driveVehicle(deltaTime);
+        }
+        if (vehicle.path.length === 0) {
+            return this._complete();
+        }
+        
+        return hit ? { points: 0, message: GameTexts.messages.vehicleHit(vehicle.health) } : null;
+    }
+
+    /**
+     * Move the vehicle along its path
+     * @param {number} deltaTime - Time since last update in milliseconds
+     * @private
+     */
+    _driveVehicle(deltaTime) {
+        const vehicle = this.vehicle;
+        let step = this.definition.vehicleSpeed * this.map.tileSize * deltaTime / 1000;
+        
+        while (step > 0 && vehicle.path.length > 0) {
+            const targetX = vehicle.path[0].x * this.map.tileSize;
+            const targetY = vehicle.path[0].y * this.map.tileSize;
+            const distance = calculateDistance(vehicle.x, vehicle.y, targetX, targetY);
+            
+            if (distance <= step) {
+                vehicle.x = targetX;
+                vehicle.y = targetY;
+                vehicle.path.shift();
+                step -= distance;
+            } else {
+                vehicle.x += (targetX - vehicle.x) / distance * step;
+                vehicle.y += (targetY - vehicle.y) / distance * step;
+                step = 0;
+            }
+        }
+    }
+}
+
+/**
+ * HoldMission class
+ * Reach the goal, then stay on the position with EW up until the hold time has been spent there
+ */
+class HoldMission extends Mission {
+    constructor(type, map, player, audioManager, random) {
+        super(type, map, player, audioManager, random);
+        
+        this.phase = 0; // 0: going to the position, 1: holding it
+        this.held = 0; // Time spent on the position while it was covered (ms)
+        this.cover = 0; // Time left before the position is no longer covered by the last EW on it (ms)
+        this.player.hasCargo = false;
+        this.player.hasRescue = false;
+    }
+
+    getObjectiveText() {
+        if (this.phase === 0) {
+            return GameTexts.mission.hold.phase0;
+        }
+        const seconds = Math.ceil((this.definition.holdTime - this.held) / 1000);
+        return this.cover > 0 ? GameTexts.mission.hold.phase1(seconds) : GameTexts.mission.hold.uncovered(seconds);
+    }
+
+    getObjectivePosition() {
+        return this.map.goal;
+    }
+
+    draw(ctx) {
+        const goal = this.map.goal;
+        const centerX = goal.x + this.map.tileSize / 2;
+        const centerY = goal.y + this.map.tileSize / 2;
+        const radius = this.definition.holdRadius * this.map.tileSize;
+        
+        Mission.drawPoint(ctx, this.map, goal, 'rgba(255, 215, 0, 0.7)', 1);
+        
+        // The zone, with the hold time spent as an arc around it
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(255, 215, 0, 0.1)';
+        ctx.fill();
+        if (this.held > 0) {
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, radius, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * this.held / this.definition.holdTime);
+            ctx.strokeStyle = this.cover > 0 ? 'rgba(255, 215, 0, 0.9)' : 'rgba(150, 150, 150, 0.9)';
+            ctx.lineWidth = 3;
+            ctx.stroke();
+        }
+    }
+
+    _updateObjectives(deltaTime) {
+        if (this.phase === 0) {
+            if (!this._isPlayerAt(this.map.goal)) {
+                return null;
+            }
+            this.phase = 1;
+            return { points: 0, message: GameTexts.messages.positionTaken };
+        }
+        
+        // Only time inside the zone counts, and only while EW switched on there still covers it
+        const inZone = this._isPlayerAt(this.map.goal, this.definition.holdRadius * this.map.tileSize);
+        if (inZone && this.player.ewActive) {
+            this.cover = this.definition.ewCover;
+        } else {
+            this.cover = Math.max(0, this.cover - deltaTime);
+        }
+        if (inZone && this.cover > 0) {
+            this.held += deltaTime;
+        }
+        return this.held >= this.definition.holdTime ? this._complete() : null;
+    }
+}
+
+/**
+ * SapperMission class
+ * Defuse a number of the map's mines (hidden ones have to be found with the detector first)
+ * MissionManager only starts it on a map with mines; on one without, it fails rather than pay for nothing
+ */
+class SapperMission extends Mission {
+    constructor(type, map, player, audioManager, random) {
+        super(type, map, player, audioManager, random);
+        
+        this.minesLeft = Math.min(this.definition.mines, map.mines.length);
+        this.defused = 0; // Mines defused during the mission
+        this.player.hasCargo = false;
+        this.player.hasRescue = false;
+    }
+
+    onMineDefused() {
+        this.defused++;
+        this.minesLeft = Math.max(0, this.minesLeft - 1);
+    }
+
+    getObjectiveText() {
+        return GameTexts.mission.sapper.phase0(this.minesLeft);
+    }
+
+    /**
+     * Get the nearest detected mine, or the goal to search around if none is detected
+     * @returns {Object} Position { x, y }
+     */
+    getObjectivePosition() {
+        const detected = this.map.mines.filter(mine => mine.detected);
+        if (detected.length === 0) {
+            return this.map.goal;
+        }
+        return detected.reduce((nearest, mine) =>
+            this._distanceToPlayer(mine) < this._distanceToPlayer(nearest) ? mine : nearest);
+    }
+
+    _updateObjectives() {
+        // Mines that went off under the platform can't be defused any more
+        this.minesLeft = Math.min(this.minesLeft, this.map.mines.length);
+        if (this.minesLeft > 0) {
+            return null;
+        }
+        return this.defused > 0 ? this._complete() : this._fail(GameTexts.messages.noMinesToClear);
+    }
+}
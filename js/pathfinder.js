@@ -0,0 +1,129 @@
+/**
+ * Tile pathfinding
+ * A* search over the tile grid of a map, used by ground drones to find their way around buildings
+ */
+
+// Tile value of buildings in map.tiles (WALL in MapGenerator.terrainTypes)
+const PATHFINDER_WALL = 3;
+
+// Offsets of the 8 neighbouring tiles
+const PATHFINDER_NEIGHBOURS = [
+    [0, -1], [1, 0], [0, 1], [-1, 0],
+    [1, -1], [1, 1], [-1, 1], [-1, -1]
+];
+
+/**
+ * Pathfinder class
+ * Finds shortest tile paths that don't cross buildings
+ */
+class Pathfinder {
+    /**
+     * Find the shortest path between two tiles that doesn't cross WALL tiles
+     * Moves go to the 8 neighbouring tiles; diagonal moves may not cut the corner of a wall
+     * @param {Object} map - Map data (tiles, tileSize)
+     * @param {Object} start - Start tile { x, y } (may itself be a wall, e.g. a drone spawned on one)
+     * @param {Object} goal - Goal tile { x, y }
+     * @returns {Array<Object>|null} Tiles from the one after start up to goal, or null if goal can't be reached
+     */
+    static findPath(map, start, goal) {
+        const rows = map.tiles.length;
+        const columns = map.tiles[0].length;
+        const index = (x, y) => y * columns + x;
+        const isWalkable = (x, y) => x >= 0 && x < columns && y >= 0 && y < rows &&
+            map.tiles[y][x] !== PATHFINDER_WALL;
+        
+        if (!isWalkable(goal.x, goal.y)) {
+            return null;
+        }
+        
+        const startIndex = index(start.x, start.y);
+        const goalIndex = index(goal.x, goal.y);
+        const cost = new Map([[startIndex, 0]]); // Cheapest known cost from start
+        const cameFrom = new Map();
+        const closed = new Set();
+        
+        // Ties come out of the heap in the order they were queued, which keeps the search deterministic for replays
+        const open = new MinHeap();
+        open.push({ x: start.x, y: start.y }, Pathfinder._estimate(start, goal));
+        
+        while (open.size > 0) {
+            const current = open.pop();
+            const currentIndex = index(current.x, current.y);
+            
+            if (currentIndex === goalIndex) {
+                return Pathfinder._buildPath(cameFrom, currentIndex, startIndex, columns);
+            }
+            if (closed.has(currentIndex)) {
+                continue;
+            }
+            closed.add(currentIndex);
+            
+            for (const [dx, dy] of PATHFINDER_NEIGHBOURS) {
+                const x = current.x + dx;
+                const y = current.y + dy;
+                if (!isWalkable(x, y)) continue;
+                
+                // Squeezing diagonally between two walls (or past a wall's corner) isn't allowed
+                if (dx !== 0 && dy !== 0 && (!isWalkable(current.x + dx, current.y) || !isWalkable(current.x, current.y + dy))) {
+                    continue;
+                }
+                
+                const neighbourIndex = index(x, y);
+                const newCost = cost.get(currentIndex) + (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1);
+                if (closed.has(neighbourIndex) || newCost >= (cost.has(neighbourIndex) ? cost.get(neighbourIndex) : Infinity)) {
+                    continue;
+                }
+                
+                cost.set(neighbourIndex, newCost);
+                cameFrom.set(neighbourIndex, currentIndex);
+                open.push({ x, y }, newCost + Pathfinder._estimate({ x, y }, goal));
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Get the tile a point lies on
+     * @param {Object} map - Map data
+     * @param {number} x - X coordinate in pixels
+     * @param {number} y - Y coordinate in pixels
+     * @returns {Object} Tile { x, y }, clamped to the map
+     */
+    static getTile(map, x, y) {
+        return {
+            x: Math.max(0, Math.min(map.tiles[0].length - 1, Math.floor(x / map.tileSize))),
+            y: Math.max(0, Math.min(map.tiles.length - 1, Math.floor(y / map.tileSize)))
+        };
+    }
+
+    /**
+     * Estimate the remaining cost between two tiles (octile distance, never more than the real cost)
+     * @param {Object} from - Tile { x, y }
+     * @param {Object} to - Tile { x, y }
+     * @returns {number} Estimated cost
+     * @private
+     */
+    static _estimate(from, to) {
+        const dx = Math.abs(from.x - to.x);
+        const dy = Math.abs(from.y - to.y);
+        return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    }
+
+    /**
+     * Walk back from the goal to turn the search result into a list of tiles
+     * @param {Map} cameFrom - Tile index each tile was reached from
+     * @param {number} goalIndex - Goal tile index
+     * @param {number} startIndex - Start tile index
+     * @param {number} columns - Map width in tiles
+     * @returns {Array<Object>} Tiles from the one after start up to goal
+     * @private
+     */
+    static _buildPath(cameFrom, goalIndex, startIndex, columns) {
+        const path = [];
+        for (let i = goalIndex; i !== startIndex; i = cameFrom.get(i)) {
+            path.unshift({ x: i % columns, y: Math.floor(i / columns) });
+        }
+        return path;
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Pickups
+ * Repair kits and power-ups lying on the map, collected by driving over them
+ */
+
+// Pickup types
+// duration is how long a timed effect lasts on the platform (ms; 0 for one that acts at once, see
+// Game._applyPickup); spawnWeight is its share of the power-ups placed on a map (0 for repair kits,
+// which are placed by the armor settings instead); hiddenMinesOnly types are only placed when mines
+// are hidden; icon and color are used on the map and in the HUD
+const PICKUP_TYPES = {
+    // Restores armor
+    repair: { duration: 0, spawnWeight: 0, icon: '✚', color: '#E53935' },
+    // Recharges EW at once
+    battery: { duration: 0, spawnWeight: 30, icon: '⚡', color: '#F39C12' },
+    // Extends the reach of EW
+    ewBoost: {
+        duration: 12000, spawnWeight: 25, icon: '📡', color: '#3498DB',
+        radiusMultiplier: 1.5
+    },
+    // Dirt and water don't slow the platform down
+    speedBoost: { duration: 10000, spawnWeight: 25, icon: '»', color: '#27AE60' },
+    // Hits do no damage
+    shield: { duration: 6000, spawnWeight: 20, icon: '🛡', color: '#00ACC1' },
+    // Extends the range at which the platform's detector marks hidden mines
+    mineDetector: {
+        duration: 15000, spawnWeight: 20, icon: '⌖', color: '#8E6E53', hiddenMinesOnly: true,
+        range: 4 // Detector range in tiles
+    }
+};
+
+/**
+ * PickupManager class
+ * Keeps track of the pickups on the current map: draws them and hands over the ones the player collects
+ */
+class PickupManager {
+    /**
+     * @param {Player} player - Player collecting the pickups
+     */
+    constructor(player) {
+        this.player = player;
+        this.map = null;
+    }
+
+    /**
+     * Switch to the pickups of a new map
+     * @param {Object} map - Map data (pickups are kept in map.pickups)
+     */
+    reset(map) {
+        this.map = map;
+    }
+
+    /**
+     * Pick a random power-up type by spawnWeight
+     * @param {Function} random - Random source
+     * @param {boolean} [hiddenMines=false] - Whether mines are hidden, which allows hiddenMinesOnly types
+     * @returns {string} Key in PICKUP_TYPES
+     */
+    static pickPowerUp(random, hiddenMines = false) {
+        const types = Object.keys(PICKUP_TYPES).filter(type => PICKUP_TYPES[type].spawnWeight > 0 &&
+            (hiddenMines || !PICKUP_TYPES[type].hiddenMinesOnly));
+        const totalWeight = types.reduce((sum, type) => sum + PICKUP_TYPES[type].spawnWeight, 0);
+        
+        let roll = random() * totalWeight;
+        for (const type of types) {
+            roll -= PICKUP_TYPES[type].spawnWeight;
+            if (roll < 0) {
+                return type;
+            }
+        }
+        return types[types.length - 1];
+    }
+
+    /**
+     * Check if the player drove over a pickup, and take it off the map
+     * @returns {Object|null} Collected pickup { type, x, y, tileX, tileY }, or null if none
+     */
+    collect() {
+        const playerBounds = this.player.getCollisionBounds();
+        const size = this.map.tileSize;
+        
+        for (let i = 0; i < this.map.pickups.length; i++) {
+            const pickup = this.map.pickups[i];
+            if (checkCollision(playerBounds, { x: pickup.x, y: pickup.y, width: size, height: size })) {
+                return this.map.pickups.splice(i, 1)[0];
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Draw the pickups: a colored box with the type's icon
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    draw(ctx) {
+        const size = this.map.tileSize * 0.7;
+        const offset = (this.map.tileSize - size) / 2;
+        
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = `${Math.round(size * 0.7)}px sans-serif`;
+        
+        this.map.pickups.forEach(pickup => {
+            const type = PICKUP_TYPES[pickup.type];
+            
+            ctx.fillStyle = type.color;
+            ctx.fillRect(pickup.x + offset, pickup.y + offset, size, size);
+            ctx.strokeStyle = '#FFFFFF';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(pickup.x + offset, pickup.y + offset, size, size);
+            
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText(type.icon, pickup.x + this.map.tileSize / 2, pickup.y + this.map.tileSize / 2);
+        });
+        
+        ctx.restore();
+    }
+}
@@ -1,3 +1,15 @@
+// Movement modes (control schemes):
+// 'classic' - 4 directions, horizontal input wins over vertical
+// 'eightWay' - 8 directions at the same speed, including diagonals
+// 'analog' - any direction; a half-pushed stick moves at half speed
+const MOVEMENT_MODES = ['classic', 'eightWay', 'analog'];
+
+// Unit vectors of the 8 directions, clockwise from right (matching Math.atan2 with y pointing down)
+const EIGHT_DIRECTIONS = [
+    { x: 1, y: 0 }, { x: Math.SQRT1_2, y: Math.SQRT1_2 }, { x: 0, y: 1 }, { x: -Math.SQRT1_2, y: Math.SQRT1_2 },
+    { x: -1, y: 0 }, { x: -Math.SQRT1_2, y: -Math.SQRT1_2 }, { x: 0, y: -1 }, { x: Math.SQRT1_2, y: -Math.SQRT1_2 }
+];
+
 /**
  * Player class
  * Manages the platform's position, movement, collision detection, and REB (Electronic Warfare) state
@@ -10,12 +22,16 @@ class Player {
         this.height = height;
         this.audioManager = audioManager;
         
-        // Movement
-        this.speed = 2.1; // Base speed reduced by 30% (from 3 to 2.1)
+        // Movement (speed and EW settings are overridden by the difficulty preset, see setDifficulty)
+        this.speed = 126; // Base speed in pixels per second (2.1 pixels per frame at 60 FPS)
         this.currentSpeed = this.speed;
         this.isMoving = false;
         this.direction = { x: 0, y: 0 };
         this.orientation = 0; // 0 = up, 1 = right, 2 = down, 3 = left (clockwise rotation)
+        this.movementMode = 'classic'; // One of MOVEMENT_MODES, set per run
+        this.angle = 0; // Drawn rotation in radians, clockwise from up
+        this.rotationSpeed = Math.PI * 3; // Turn rate in radians per second outside classic mode
+        this.cornerSlideDistance = Math.round(height * 0.4); // How far the platform is steered around a corner it clips
         
         // EW (Electronic Warfare)
         this.ewActive = false;
@@ -27,6 +43,18 @@ class Player {
         this.ewCooldownComplete = true;
         this.ewJustActivated = false; // Track when EW was just activated
         
+        // Health (see armor in DIFFICULTY_PROFILES); without armor the first hit destroys the platform
+        this.armor = null;
+        this.maxHealth = 0;
+        this.health = 0;
+        this.invulnerableTimer = 0; // Time left in which hits do no damage (ms)
+        
+        // Timed power-up effects: time left (ms) by key in PICKUP_TYPES
+        this.effects = {};
+        
+        // Mine detector: hidden mines this close (in tiles) get marked on the map
+        this.mineDetectorRange = 1.5;
+        
         // Mission state
         this.hasCargo = false;
         this.hasRescue = false;
@@ -48,27 +76,84 @@ class Player {
             DIRT: 1,
             WATER: 2,
             WALL: 3,
-            MINE: 4
+            MINE: 4,
+            FOREST: 5,
+            TRENCH: 6,
+            BRIDGE: 7,
+            CRATER: 8
         };
     }
 
     /**
      * Update player state
      * @param {number} deltaTime - Time since last update in milliseconds
-     * @param {Object} keys - Object containing keyboard state
+     * @param {Object} input - Action state (moveUp, moveDown, moveLeft, moveRight, activateEW), see InputManager
      * @param {Object} map - Current map data
      */
-    update(deltaTime, keys, map) {
-        // Handle keyboard input
+    update(deltaTime, input, map) {
+        // Handle movement input
         this.direction = { x: 0, y: 0 };
         this.isMoving = false;
         
+        if (this.movementMode === 'classic') {
+            this._setClassicDirection(input);
+        } else {
+            this._setFreeDirection(input);
+        }
+        this._updateAngle(deltaTime);
+        
+        // Adjust speed based on terrain
+        this._adjustSpeedBasedOnTerrain(map);
+        
+        // Apply movement (speed is in pixels per second)
+        const distance = this.currentSpeed * deltaTime / 1000;
+        if (this.movementMode === 'classic') {
+            const newX = this.x + this.direction.x * distance;
+            const newY = this.y + this.direction.y * distance;
+            
+            // Check for collisions before moving
+            if (this._canMove(newX, this.y, map)) {
+                this.x = newX;
+            }
+            
+            if (this._canMove(this.x, newY, map)) {
+                this.y = newY;
+            }
+        } else {
+            this._moveWithSliding(this.direction.x * distance, this.direction.y * distance, map);
+        }
+        
+        // Handle movement sound
+        this._handleMovementSound();
+        
+        // Handle Electronic Warfare activation (moved from _updateEWState)
+        // This ensures EW can be activated regardless of movement input
+        if (input.activateEW && this.ewCooldownComplete && !this.ewActive) {
+            this.activateEW();
+        }
+        
+        // Update EW state
+        this._updateEWState(deltaTime);
+        
+        // Count down the invulnerability after a hit
+        this.invulnerableTimer = Math.max(0, this.invulnerableTimer - deltaTime);
+        
+        // Count down power-up effects
+        this._updateEffects(deltaTime);
+    }
+
+    /**
+     * Set the direction from input in classic mode: 4 directions, horizontal input first
+     * @param {Object} input - Action state
+     * @private
+     */
+    _setClassicDirection(input) {
         // Set horizontal direction first
-        if (keys.ArrowLeft) {
+        if (input.moveLeft) {
             this.direction.x = -1;
             this.isMoving = true;
             this.orientation = 3; // left
-        } else if (keys.ArrowRight) {
+        } else if (input.moveRight) {
             this.direction.x = 1;
             this.isMoving = true;
             this.orientation = 1; // right
@@ -76,45 +161,126 @@ class Player {
         
         // Only set vertical direction if no horizontal movement
         if (this.direction.x === 0) {
-            if (keys.ArrowUp) {
+            if (input.moveUp) {
                 this.direction.y = -1;
                 this.isMoving = true;
                 this.orientation = 0; // up
-            } else if (keys.ArrowDown) {
+            } else if (input.moveDown) {
                 this.direction.y = 1;
                 this.isMoving = true;
                 this.orientation = 2; // down
             }
         }
+    }
+
+    /**
+     * Set the direction from input in 8-direction or analog mode
+     * Stick axes win over the direction actions; the result is never longer than 1,
+     * so diagonals aren't faster than straight lines
+     * @param {Object} input - Action state, optionally with analog axisX/axisY in [-1, 1]
+     * @private
+     */
+    _setFreeDirection(input) {
+        let x = input.axisX || 0;
+        let y = input.axisY || 0;
+        if (x === 0 && y === 0) {
+            x = (input.moveRight ? 1 : 0) - (input.moveLeft ? 1 : 0);
+            y = (input.moveDown ? 1 : 0) - (input.moveUp ? 1 : 0);
+        }
         
-        // Adjust speed based on terrain
-        this._adjustSpeedBasedOnTerrain(map);
-        
-        // Apply movement
-        const newX = this.x + this.direction.x * this.currentSpeed;
-        const newY = this.y + this.direction.y * this.currentSpeed;
+        const length = Math.hypot(x, y);
+        if (length === 0) return;
         
-        // Check for collisions before moving
-        if (this._canMove(newX, this.y, map)) {
-            this.x = newX;
+        if (this.movementMode === 'eightWay') {
+            const octant = Math.round(Math.atan2(y, x) / (Math.PI / 4));
+            this.direction = { ...EIGHT_DIRECTIONS[(octant + 8) % 8] };
+        } else {
+            const scale = Math.min(length, 1) / length;
+            this.direction = { x: x * scale, y: y * scale };
         }
-        
-        if (this._canMove(this.x, newY, map)) {
-            this.y = newY;
+        this.isMoving = true;
+    }
+
+    /**
+     * Turn the platform towards its direction of movement
+     * Classic mode turns instantly; the other modes turn smoothly at rotationSpeed
+     * @param {number} deltaTime - Time since last update in milliseconds
+     * @private
+     */
+    _updateAngle(deltaTime) {
+        if (this.movementMode === 'classic') {
+            this.angle = this.orientation * Math.PI / 2;
+            return;
         }
+        if (!this.isMoving) return;
         
-        // Handle movement sound
-        this._handleMovementSound();
+        const target = Math.atan2(this.direction.x, -this.direction.y);
         
-        // Handle Electronic Warfare activation (moved from _updateEWState)
-        // This ensures EW can be activated regardless of movement keys
-        // Allow both Space and Enter keys to activate EW
-        if ((keys[' '] || keys['Enter']) && this.ewCooldownComplete && !this.ewActive) {
-            this.activateEW();
+        // Shortest way round, in (-PI, PI]
+        let difference = (target - this.angle) % (Math.PI * 2);
+        if (difference > Math.PI) difference -= Math.PI * 2;
+        if (difference <= -Math.PI) difference += Math.PI * 2;
+        
+        const maxTurn = this.rotationSpeed * deltaTime / 1000;
+        this.angle += Math.max(-maxTurn, Math.min(maxTurn, difference));
+    }
+
+    /**
+     * Move by an offset, sliding along walls and around building corners
+     * Each axis moves separately, so a blocked axis doesn't stop the other; when a straight move
+     * is blocked only by clipping the edge of a corner, the platform is steered sideways around it
+     * @param {number} dx - Horizontal offset in pixels
+     * @param {number} dy - Vertical offset in pixels
+     * @param {Object} map - Current map data
+     * @private
+     */
+    _moveWithSliding(dx, dy, map) {
+        if (dx !== 0) {
+            if (this._canMove(this.x + dx, this.y, map)) {
+                this.x += dx;
+            } else if (dy === 0) {
+                this._slideAroundCorner('y', this.x + dx, this.y, Math.abs(dx), map);
+            }
         }
         
-        // Update EW state
-        this._updateEWState(deltaTime);
+        if (dy !== 0) {
+            if (this._canMove(this.x, this.y + dy, map)) {
+                this.y += dy;
+            } else if (dx === 0) {
+                this._slideAroundCorner('x', this.x, this.y + dy, Math.abs(dy), map);
+            }
+        }
+    }
+
+    /**
+     * Steer sideways around a corner that blocks a straight move
+     * Looks for the nearest sideways offset (up to cornerSlideDistance) from which the blocked
+     * position is free, and moves up to step pixels towards it
+     * @param {string} axis - Sideways axis ('x' or 'y')
+     * @param {number} blockedX - X coordinate of the blocked position
+     * @param {number} blockedY - Y coordinate of the blocked position
+     * @param {number} step - Distance moved this update
+     * @param {Object} map - Current map data
+     * @private
+     */
+    _slideAroundCorner(axis, blockedX, blockedY, step, map) {
+        for (let offset = 1; offset <= this.cornerSlideDistance; offset++) {
+            for (const side of [-1, 1]) {
+                const shift = side * offset;
+                const free = axis === 'x' ?
+                    this._canMove(blockedX + shift, blockedY, map) :
+                    this._canMove(blockedX, blockedY + shift, map);
+                if (!free) continue;
+                
+                const nudge = side * Math.min(step, offset);
+                if (axis === 'x' && this._canMove(this.x + nudge, this.y, map)) {
+                    this.x += nudge;
+                } else if (axis === 'y' && this._canMove(this.x, this.y + nudge, map)) {
+                    this.y += nudge;
+                }
+                return;
+            }
+        }
     }
 
     /**
@@ -126,6 +292,12 @@ class Player {
         // Try to use platform texture image if available
         const platformImage = imageManager ? imageManager.getImage('player_platform') : null;
         
+        // Blink while invulnerable after a hit
+        const originalAlpha = ctx.globalAlpha;
+        if (this.invulnerableTimer > 0 && Math.floor(this.invulnerableTimer / 100) % 2 === 1) {
+            ctx.globalAlpha = 0.25;
+        }
+        
         if (platformImage) {
             // Save the current context state
             ctx.save();
@@ -133,9 +305,8 @@ class Player {
             // Translate to the center of the platform
             ctx.translate(this.x + this.width / 2, this.y + this.height / 2);
             
-            // Rotate based on orientation (in radians)
-            const rotationAngles = [0, Math.PI / 2, Math.PI, -Math.PI / 2]; // [up, right, down, left]
-            ctx.rotate(rotationAngles[this.orientation]);
+            // Rotate to face the direction of movement
+            ctx.rotate(this.angle);
             
             // Draw platform image centered
             ctx.drawImage(
@@ -163,11 +334,22 @@ class Player {
             ctx.fillRect(this.x + this.width / 4, this.y + this.height / 4, this.width / 2, this.height / 2);
         }
         
+        ctx.globalAlpha = originalAlpha;
+        
+        // Draw a ring around the platform while it's shielded
+        if (this.hasEffect('shield')) {
+            ctx.beginPath();
+            ctx.arc(this.x + this.width / 2, this.y + this.height / 2, this.width * 0.75, 0, Math.PI * 2);
+            ctx.strokeStyle = PICKUP_TYPES.shield.color;
+            ctx.lineWidth = 3;
+            ctx.stroke();
+        }
+        
         // Draw EW radius when active
         if (this.ewActive) {
             console.log("Drawing EW circle - active");
             ctx.beginPath();
-            ctx.arc(this.x + this.width / 2, this.y + this.height / 2, this.ewRadius, 0, Math.PI * 2);
+            ctx.arc(this.x + this.width / 2, this.y + this.height / 2, this.getEWRadius(), 0, Math.PI * 2);
             ctx.fillStyle = 'rgba(52, 152, 219, 0.3)';
             ctx.fill();
             ctx.strokeStyle = 'rgba(52, 152, 219, 0.8)';
@@ -210,7 +392,15 @@ class Player {
         const centerY = this.y + this.height / 2;
         const distance = calculateDistance(centerX, centerY, x, y);
         
-        return distance <= this.ewRadius;
+        return distance <= this.getEWRadius();
+    }
+
+    /**
+     * Get the reach of EW, including the ewBoost power-up
+     * @returns {number} EW radius in pixels
+     */
+    getEWRadius() {
+        return this.hasEffect('ewBoost') ? this.ewRadius * PICKUP_TYPES.ewBoost.radiusMultiplier : this.ewRadius;
     }
 
     /**
@@ -238,6 +428,124 @@ class Player {
         this.hasRescue = false;
     }
 
+    /**
+     * Apply the movement and EW settings of a difficulty preset
+     * @param {Object} difficulty - Difficulty profile (see DIFFICULTY_PROFILES)
+     */
+    setDifficulty(difficulty) {
+        this.speed = difficulty.playerSpeed;
+        this.currentSpeed = this.speed;
+        this.ewRadius = this.width * difficulty.ewRadius;
+        this.ewDuration = difficulty.ewDuration;
+        this.ewCooldown = difficulty.ewCooldown;
+        this.armor = difficulty.armor;
+        this.resetHealth();
+    }
+
+    /**
+     * Restore full health, e.g. for a new run or after a revival
+     */
+    resetHealth() {
+        this.maxHealth = this.armor ? this.armor.maxHealth : 0;
+        this.health = this.maxHealth;
+        this.invulnerableTimer = 0;
+    }
+
+    /**
+     * Take a hit
+     * Without armor every hit destroys the platform; with armor it loses health and
+     * then takes no damage for a moment. A shield power-up stops every hit
+     * @param {string} source - What hit the platform: 'drone', 'mine' or 'bomb'
+     * @returns {boolean} Whether the platform was destroyed
+     */
+    takeDamage(source) {
+        if (this.hasEffect('shield')) {
+            return false;
+        }
+        if (!this.armor) {
+            return true;
+        }
+        if (this.invulnerableTimer > 0) {
+            return false;
+        }
+        
+        this.health = Math.max(0, this.health - this.armor.damage[source]);
+        this.invulnerableTimer = this.armor.invulnerability;
+        return this.health === 0;
+    }
+
+    /**
+     * Restore health with a repair kit
+     * @returns {number} Health restored
+     */
+    repair() {
+        if (!this.armor) {
+            return 0;
+        }
+        
+        const restored = Math.min(this.armor.repair, this.maxHealth - this.health);
+        this.health += restored;
+        return restored;
+    }
+
+    /**
+     * Get health as a percentage for the HUD
+     * @returns {number|null} Health percentage (0-100), or null without armor
+     */
+    getHealthProgress() {
+        return this.armor ? Math.ceil(this.health / this.maxHealth * 100) : null;
+    }
+
+    /**
+     * Get the range of the mine detector, including the mineDetector power-up
+     * @returns {number} Detector range in pixels
+     */
+    getMineDetectorRange() {
+        const range = this.hasEffect('mineDetector') ? PICKUP_TYPES.mineDetector.range : this.mineDetectorRange;
+        return range * this.width;
+    }
+
+    /**
+     * Start a timed power-up effect; collecting one that is already running restarts its time
+     * @param {string} type - Key in PICKUP_TYPES
+     */
+    addEffect(type) {
+        this.effects[type] = PICKUP_TYPES[type].duration;
+    }
+
+    /**
+     * Check if a power-up effect is running
+     * @param {string} type - Key in PICKUP_TYPES
+     * @returns {boolean} Whether the effect is running
+     */
+    hasEffect(type) {
+        return this.effects[type] > 0;
+    }
+
+    /**
+     * Get the running power-up effects for the HUD
+     * @returns {Array<Object>} Effects { type, remaining } with the time left in milliseconds
+     */
+    getEffects() {
+        return Object.keys(this.effects).map(type => ({ type, remaining: this.effects[type] }));
+    }
+
+    /**
+     * End all power-up effects, e.g. for a new run
+     */
+    clearEffects() {
+        this.effects = {};
+    }
+
+    /**
+     * Recharge EW at once (battery power-up)
+     * An active pulse runs to its end, after which EW is ready again straight away
+     */
+    rechargeEW() {
+        this.ewCooldownTimer = this.ewCooldown;
+        this.ewCooldownComplete = true;
+    }
+
     /**
      * Reset Electronic Warfare to ready state
      * Makes EW immediately available for use at the start of a new mission
@@ -309,13 +617,25 @@ class Player {
         // Set speed multiplier based on terrain type
         switch (terrain) {
             case this.terrainTypes.ASPHALT:
-                this.currentSpeed = this.speed * 1.1; // 10% speed boost on asphalt
+            case this.terrainTypes.BRIDGE:
+                this.currentSpeed = this.speed * 1.1; // 10% speed boost on asphalt and bridges
                 break;
             case this.terrainTypes.DIRT:
-                this.currentSpeed = this.speed * 0.7; // 70% speed on dirt
+                // 70% speed on dirt, unless the speed boost power-up is running
+                this.currentSpeed = this.hasEffect('speedBoost') ? this.speed : this.speed * 0.7;
                 break;
             case this.terrainTypes.WATER:
-                this.currentSpeed = this.speed * 0.4; // 40% speed on water
+                // 40% speed on water, unless the speed boost power-up is running
+                this.currentSpeed = this.hasEffect('speedBoost') ? this.speed : this.speed * 0.4;
+                break;
+            case this.terrainTypes.FOREST:
+            case this.terrainTypes.CRATER:
+                // 50% speed through trees and craters, unless the speed boost power-up is running
+                this.currentSpeed = this.hasEffect('speedBoost') ? this.speed : this.speed * 0.5;
+                break;
+            case this.terrainTypes.TRENCH:
+                // 30% speed crossing a trench, unless the speed boost power-up is running
+                this.currentSpeed = this.hasEffect('speedBoost') ? this.speed : this.speed * 0.3;
                 break;
             default:
                 this.currentSpeed = this.speed;
@@ -346,6 +666,20 @@ class Player {
         }
     }
 
+    /**
+     * Count down the running power-up effects, dropping the ones that ran out
+     * @param {number} deltaTime - Time since last update in milliseconds
+     * @private
+     */
+    _updateEffects(deltaTime) {
+        for (const type of Object.keys(this.effects)) {
+            this.effects[type] -= deltaTime;
+            if (this.effects[type] <= 0) {
+                delete this.effects[type];
+            }
+        }
+    }
+
     /**
      * Handle player movement sound effects
      * @private
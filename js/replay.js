@@ -0,0 +1,285 @@
+/**
+ * Replay recording and playback
+ * A replay stores the run seed plus the action state (see InputManager) of every simulation tick,
+ * so feeding it back into Game._update reproduces the run exactly
+ */
+
+// Current replay version
+// Bumped whenever the simulation changes how a run plays out, since an older replay
+// would no longer reproduce its score (version 2: ground drones, version 3: drone types,
+// version 4: difficulty director, version 5: difficulty presets, version 6: armor,
+// version 7: power-ups, version 8: hidden mines and defusing, version 9: mission types,
+// version 10: map reachability checks, version 11: biomes, version 12: larger maps and the camera,
+// version 13: holding a position under EW, no sapper missions without mines,
+// version 14: no escort missions without a route)
+const REPLAY_VERSION = 14;
+
+// Actions the simulation reads, in the bit order of the recorded input mask
+// Bit 5 is unused: it held Enter, a second EW key, before bindings were remappable
+const REPLAY_INPUT_ACTIONS = ['moveLeft', 'moveRight', 'moveUp', 'moveDown', 'activateEW', null, 'defuse'];
+
+// Analog axes are stored as integers in [-AXIS_SCALE, AXIS_SCALE]
+const AXIS_SCALE = 100;
+
+/**
+ * ReplayRecorder class
+ * Captures per-tick input state of a live run
+ */
+class ReplayRecorder {
+    /**
+     * @param {string} seed - Run seed the replay was recorded with
+     * @param {number} tickDuration - Duration of one simulation tick in milliseconds
+     * @param {string} [movementMode] - Control scheme the run is played with (see MOVEMENT_MODES)
+     * @param {string|Object} [difficulty] - Built-in difficulty profile name or custom profile (see DIFFICULTY_PROFILES)
+     * @param {Array<Object>} [levels] - Handcrafted levels the run plays first (see levels.js)
+     * @param {string} [biome] - Biome the run's maps were generated in (key in MAP_BIOMES), if one was chosen
+     */
+    constructor(seed, tickDuration, movementMode = 'classic', difficulty = 'normal', levels = [], biome = null) {
+        this.seed = seed;
+        this.tickDuration = tickDuration;
+        this.movementMode = movementMode;
+        this.difficulty = difficulty;
+        this.levels = levels; // Stored whole, so the replay plays back even if the level files change
+        this.biome = biome;
+        this.inputs = []; // [tick, mask] or [tick, mask, axisX, axisY] entries, stored only when the input changes
+        this.events = []; // [tick, type] or [tick, type, data] entries (e.g. 'revive' with the revival code's ID)
+        this.ticks = 0; // Last recorded tick
+        this.lastInput = null; // Last stored entry without its tick, to detect changes
+        this.result = null; // Run summary, filled in when the run ends
+    }
+
+    /**
+     * Record the input state for a tick
+     * @param {number} tick - Simulation tick (1-based)
+     * @param {Object} input - Action state used for this tick
+     */
+    recordTick(tick, input) {
+        const entry = ReplayRecorder.encodeInput(input);
+        const key = entry.join(',');
+        
+        // Only store changes to keep replay files small
+        if (key !== this.lastInput) {
+            this.inputs.push([tick, ...entry]);
+            this.lastInput = key;
+        }
+        
+        this.ticks = tick;
+    }
+
+    /**
+     * Record a non-input event (e.g. a revival after a promo code)
+     * @param {number} tick - Tick at which the event happened
+     * @param {string} type - Event type
+     * @param {string} [data] - What the event needs to be checked (e.g. the ID of the revival code used)
+     */
+    recordEvent(tick, type, data) {
+        this.events.push(data === undefined ? [tick, type] : [tick, type, data]);
+    }
+
+    /**
+     * Store the summary of the run so far
+     * @param {Object} result - Run summary (score, missions, drones, ...)
+     */
+    finish(result) {
+        this.result = result;
+    }
+
+    /**
+     * Get the replay as a plain object, ready to be saved as JSON
+     * @returns {Object} Replay data
+     */
+    toJSON() {
+        return {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            tickDuration: this.tickDuration,
+            movementMode: this.movementMode,
+            difficulty: this.difficulty,
+            levels: this.levels,
+            biome: this.biome,
+            ticks: this.ticks,
+            inputs: this.inputs.slice(),
+            events: this.events.slice(),
+            result: this.result,
+            recordedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Encode action state into a bit mask, followed by the analog axes if a stick is pushed
+     * @param {Object} input - Action state
+     * @returns {Array<number>} [mask] or [mask, axisX, axisY]
+     */
+    static encodeInput(input) {
+        let mask = 0;
+        REPLAY_INPUT_ACTIONS.forEach((action, bit) => {
+            if (action && input[action]) {
+                mask |= 1 << bit;
+            }
+        });
+        
+        if (input.axisX || input.axisY) {
+            return [mask, Math.round(input.axisX * AXIS_SCALE), Math.round(input.axisY * AXIS_SCALE)];
+        }
+        return [mask];
+    }
+
+    /**
+     * Decode a bit mask and optional axes back into action state
+     * @param {number} mask - Input mask
+     * @param {number} [axisX] - Stored horizontal axis
+     * @param {number} [axisY] - Stored vertical axis
+     * @returns {Object} Action state
+     */
+    static decodeInput(mask, axisX = 0, axisY = 0) {
+        const input = { axisX: axisX / AXIS_SCALE, axisY: axisY / AXIS_SCALE };
+        REPLAY_INPUT_ACTIONS.forEach((action, bit) => {
+            if (action) {
+                input[action] = (mask & (1 << bit)) !== 0;
+            }
+        });
+        return input;
+    }
+}
+
+/**
+ * ReplayPlayer class
+ * Feeds recorded input back into the simulation tick by tick
+ */
+class ReplayPlayer {
+    /**
+     * @param {Object} replay - Replay data (validated on construction)
+     */
+    constructor(replay) {
+        ReplayPlayer.validate(replay);
+        
+        this.replay = replay;
+        this.inputIndex = 0;
+        this.currentInput = ReplayRecorder.decodeInput(0);
+    }
+
+    /**
+     * Get the input state for a tick
+     * Ticks must be requested in increasing order
+     * @param {number} tick - Simulation tick (1-based)
+     * @returns {Object} Action state
+     */
+    getInput(tick) {
+        const inputs = this.replay.inputs;
+        
+        while (this.inputIndex < inputs.length && inputs[this.inputIndex][0] <= tick) {
+            const [, mask, axisX, axisY] = inputs[this.inputIndex];
+            this.currentInput = ReplayRecorder.decodeInput(mask, axisX, axisY);
+            this.inputIndex++;
+        }
+        
+        return this.currentInput;
+    }
+
+    /**
+     * Check if an event was recorded at a tick
+     * @param {number} tick - Simulation tick
+     * @param {string} type - Event type
+     * @returns {boolean} Whether the event happened at this tick
+     */
+    hasEvent(tick, type) {
+        return this.replay.events.some(([eventTick, eventType]) => eventTick === tick && eventType === type);
+    }
+
+    /**
+     * Check if all recorded ticks have been played
+     * @param {number} tick - Last simulated tick
+     * @returns {boolean} Whether the replay is over
+     */
+    isFinished(tick) {
+        return tick >= this.replay.ticks;
+    }
+
+    /**
+     * Parse and validate a replay from JSON text
+     * @param {string} json - Replay file contents
+     * @returns {Object} Replay data
+     */
+    static parse(json) {
+        let replay;
+        try {
+            replay = JSON.parse(json);
+        } catch (error) {
+            throw new Error('Replay file is not valid JSON');
+        }
+        
+        ReplayPlayer.validate(replay);
+        return replay;
+    }
+
+    /**
+     * Validate replay data, throwing an Error describing the first problem found
+     * @param {Object} replay - Replay data
+     */
+    static validate(replay) {
+        if (!replay || typeof replay !== 'object') {
+            throw new Error('Replay must be an object');
+        }
+        if (replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay.version}`);
+        }
+        if (typeof replay.seed !== 'string' || replay.seed === '') {
+            throw new Error('Replay is missing its seed');
+        }
+        if (typeof replay.tickDuration !== 'number' || replay.tickDuration <= 0) {
+            throw new Error('Replay has an invalid tick duration');
+        }
+        if (replay.movementMode !== undefined && !MOVEMENT_MODES.includes(replay.movementMode)) {
+            throw new Error(`Unsupported movement mode: ${replay.movementMode}`);
+        }
+        if (replay.difficulty !== undefined) {
+            DifficultyDirector.resolveProfile(replay.difficulty); // Throws if the difficulty is unknown or invalid
+        }
+        if (!Number.isInteger(replay.ticks) || replay.ticks < 0) {
+            throw new Error('Replay has an invalid tick count');
+        }
+        if (!Array.isArray(replay.inputs) || !Array.isArray(replay.events)) {
+            throw new Error('Replay is missing its inputs or events');
+        }
+        if (replay.levels !== undefined && !Array.isArray(replay.levels)) {
+            throw new Error('Replay levels must be an array'); // Each level is validated when the replay starts
+        }
+        if (replay.biome !== undefined && replay.biome !== null && !Object.prototype.hasOwnProperty.call(MAP_BIOMES, replay.biome)) {
+            throw new Error(`Unknown biome: ${replay.biome}`);
+        }
+        
+        let lastTick = 0;
+        for (const input of replay.inputs) {
+            if (!Array.isArray(input) || (input.length !== 2 && input.length !== 4) ||
+                !input.every(Number.isInteger) || input[0] < lastTick || input[0] > replay.ticks ||
+                input.slice(2).some(axis => Math.abs(axis) > AXIS_SCALE)) {
+                throw new Error('Replay has malformed input entries');
+            }
+            lastTick = input[0];
+        }
+        
+        for (const event of replay.events) {
+            if (!Array.isArray(event) || (event.length !== 2 && event.length !== 3) ||
+                !Number.isInteger(event[0]) || event[0] < 0 || event[0] > replay.ticks || typeof event[1] !== 'string') {
+                throw new Error('Replay has malformed events');
+            }
+            if (event[1] === 'revive' && typeof event[2] !== 'string') {
+                throw new Error('Replay has a revival without its code');
+            }
+        }
+    }
+}
+
+/**
+ * HeadlessUI class
+ * Stand-in for UI when the game runs without a screen (e.g. to verify a replay)
+ */
+class HeadlessUI {
+    updateScore() {}
+    updateObjectiveText() {}
+    updateEWCooldown() {}
+    updateHealth() {}
+    updateEffects() {}
+    showMessage() {}
+    setLastReplay() {}
+}
@@ -0,0 +1,157 @@
+/**
+ * TouchControls class
+ * On-screen joystick plus EW and defuse buttons for touch screens
+ * An input source for InputManager: it reports the same actions (moveLeft, activateEW, ...)
+ * as the keyboard and gamepads, so Player.update and replays don't need to know where input came from
+ */
+class TouchControls {
+    /**
+     * @param {HTMLElement} element - Container with the joystick (#touch-joystick), EW button (#touch-ew-button)
+     *     and defuse button (#touch-defuse-button)
+     */
+    constructor(element) {
+        this.element = element;
+        this.joystick = element.querySelector('#touch-joystick');
+        this.knob = element.querySelector('#touch-joystick-knob');
+        this.buttons = { // Action of each button
+            activateEW: element.querySelector('#touch-ew-button'),
+            defuse: element.querySelector('#touch-defuse-button')
+        };
+        
+        this.actions = {}; // Actions currently held, by name
+        this.joystickPointerId = null; // Pointer currently steering the joystick
+        this.deadZone = 0.3; // Fraction of the joystick radius that doesn't move the platform
+        
+        this._addEventListeners();
+    }
+
+    /**
+     * Check if the device has a touch screen
+     * @returns {boolean} Whether touch controls should be offered
+     */
+    static isSupported() {
+        return navigator.maxTouchPoints > 0 || window.matchMedia('(pointer: coarse)').matches;
+    }
+
+    /**
+     * Check if the controls are on screen (they give no input while hidden)
+     * @returns {boolean} Whether the controls are visible
+     */
+    isVisible() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    /**
+     * Get the actions currently held (none while the controls are hidden)
+     * @returns {Object} { action: boolean } plus the joystick direction in axisX, axisY
+     */
+    getActions() {
+        return this.isVisible() ? this.actions : {};
+    }
+
+    /**
+     * Show or hide the controls
+     * Hiding releases everything, so no direction stays held while the controls can't be touched
+     * @param {boolean} visible - Whether the controls should be shown
+     */
+    setVisible(visible) {
+        this.element.classList.toggle('hidden', !visible);
+        if (!visible) {
+            this._releaseJoystick();
+            for (const [action, button] of Object.entries(this.buttons)) {
+                this.actions[action] = false;
+                button.classList.remove('active');
+            }
+        }
+    }
+
+    /**
+     * Set up joystick and button listeners
+     * @private
+     */
+    _addEventListeners() {
+        this.joystick.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.joystickPointerId = e.pointerId;
+            this.joystick.setPointerCapture(e.pointerId);
+            this._updateJoystick(e);
+        });
+        
+        this.joystick.addEventListener('pointermove', (e) => {
+            if (e.pointerId === this.joystickPointerId) {
+                this._updateJoystick(e);
+            }
+        });
+        
+        // Capture ends when the finger is lifted or the touch is cancelled
+        this.joystick.addEventListener('lostpointercapture', (e) => {
+            if (e.pointerId === this.joystickPointerId) {
+                this._releaseJoystick();
+            }
+        });
+        
+        // Buttons hold their action for as long as they're touched
+        for (const [action, button] of Object.entries(this.buttons)) {
+            button.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                button.setPointerCapture(e.pointerId);
+                this.actions[action] = true;
+                button.classList.add('active');
+            });
+            
+            button.addEventListener('lostpointercapture', () => {
+                this.actions[action] = false;
+                button.classList.remove('active');
+            });
+        }
+        
+        // Stop long-press menus from opening over the controls
+        this.element.addEventListener('contextmenu', (e) => e.preventDefault());
+    }
+
+    /**
+     * Turn the finger position on the joystick into stick axes and a direction
+     * The axes steer in the 8-direction and analog modes; classic mode reads the direction actions,
+     * which follow only the dominant axis
+     * @param {PointerEvent} e - Pointer event
+     * @private
+     */
+    _updateJoystick(e) {
+        const rect = this.joystick.getBoundingClientRect();
+        const radius = rect.width / 2;
+        let dx = (e.clientX - (rect.left + radius)) / radius;
+        let dy = (e.clientY - (rect.top + radius)) / radius;
+        
+        // Keep the knob inside the joystick
+        const length = Math.hypot(dx, dy);
+        if (length > 1) {
+            dx /= length;
+            dy /= length;
+        }
+        this.knob.style.transform = `translate(${dx * 50}%, ${dy * 50}%)`;
+        
+        const horizontal = Math.abs(dx) >= Math.abs(dy);
+        const active = Math.min(length, 1) >= this.deadZone;
+        this.actions.axisX = active ? dx : 0;
+        this.actions.axisY = active ? dy : 0;
+        this.actions.moveLeft = active && horizontal && dx < 0;
+        this.actions.moveRight = active && horizontal && dx > 0;
+        this.actions.moveUp = active && !horizontal && dy < 0;
+        this.actions.moveDown = active && !horizontal && dy > 0;
+    }
+
+    /**
+     * Center the joystick and stop moving
+     * @private
+     */
+    _releaseJoystick() {
+        this.joystickPointerId = null;
+        this.knob.style.transform = '';
+        this.actions.axisX = 0;
+        this.actions.axisY = 0;
+        this.actions.moveLeft = false;
+        this.actions.moveRight = false;
+        this.actions.moveUp = false;
+        this.actions.moveDown = false;
+    }
+}
@@ -3,34 +3,83 @@
  * Responsible for rendering on-screen elements and handling UI interactions
  */
 class UI {
-    constructor(audioManager, imageManager) {
+    constructor(audioManager, imageManager, inputManager) {
         this.audioManager = audioManager;
         this.imageManager = imageManager;  // Store image manager from initialization
+        this.inputManager = inputManager; // Key and button bindings, edited on the settings screen
         this.score = 0;
         this.bestScore = loadFromLocalStorage('bestScore', 0);
         
+        // Difficulty chosen on the menu: a DIFFICULTY_PROFILES name, or 'custom' for the saved custom profile
+        this.difficulty = loadFromLocalStorage('difficulty', 'normal');
+        if (!this._isDifficultyAvailable(this.difficulty)) {
+            this.difficulty = 'normal';
+        }
+        
+        // Biome chosen on the menu for the generated maps (key in MAP_BIOMES), or null for each map to pick its own
+        this.biome = null;
+        
         // Create leaderboard manager
         this.leaderboardManager = new LeaderboardManager();
         
+        // Leaderboard view state
+        this.leaderboardPeriod = 'all'; // Board shown: 'daily', 'weekly' or 'all'
+        this.leaderboardDifficulty = 'normal'; // Difficulty whose board is shown, one of LEADERBOARD_DIFFICULTIES
+        this.leaderboardPage = 0;
+        this.leaderboardRequest = 0; // Increments per load, so a slow response can't overwrite a newer one
+        this.lastSubmittedScoreId = null; // Entry of the player's last submission, highlighted on the board
+        
         // UI state flags
         this.shouldStart = false;
         this.shouldRestart = false;
         this.playerRevived = false;
+        this.revivalCodeId = null; // ID of the last redeemed revival code, recorded in the replay with the revival
+        this.pauseRequested = false; // Pause button pressed
+        this.resumeRequested = false; // Resume chosen in the pause menu
+        this.quitRequested = false; // Quit chosen in the pause menu
+        this.settingsReturnScreen = 'menu'; // Screen the settings screen goes back to
         this.promoCodeUsed = false; // Track if a promo code has been used this session
+        this.revivalEndpoint = '/api/revival-codes/redeem'; // Checks and redeems promo codes (see server.js)
+        this.promoCodePending = false; // A promo code is being checked by the server
         this.previousScreen = 'menu'; // Track which screen the user came from
         this.menuMusicStarted = false; // Track if menu music has started
         
+        // Replay state
+        this.lastReplay = null; // Replay of the last run, available to save after game over
+        this.pendingReplay = null; // Loaded replay waiting for the game to start it
+        this.replayMode = false; // Whether a replay is currently playing
+        this.replaySpeed = 1;
+        this.replayStopRequested = false;
+        
+        this.editorRequested = false; // Set by the map editor button, taken by Game
+        
         // UI elements
         this.menuScreen = document.getElementById('menu-screen');
         this.gameOverScreen = document.getElementById('game-over-screen');
         this.donationScreen = document.getElementById('donation-screen');
+        this.settingsScreen = document.getElementById('settings-screen');
+        this.customDifficultyScreen = document.getElementById('custom-difficulty-screen');
+        this.pauseScreen = document.getElementById('pause-screen');
         this.uiOverlay = document.getElementById('ui-overlay');
         this.hud = document.getElementById('hud');
+        this.gameContainer = document.getElementById('game-container');
+        
+        // On-screen joystick and EW button, only offered on touch screens
+        this.touchControls = new TouchControls(document.getElementById('touch-controls'));
+        this.touchSupported = TouchControls.isSupported();
+        this.inputManager.addSource(this.touchControls);
         
         // Buttons
         this.startButton = document.getElementById('start-button');
         this.donateButton = document.getElementById('donate-button');
         this.leaderboardButton = document.getElementById('leaderboard-button');
+        this.loadReplayButton = document.getElementById('load-replay-button');
+        this.editorButton = document.getElementById('editor-button');
+        this.settingsButton = document.getElementById('settings-button');
+        this.pauseButton = document.getElementById('pause-button');
+        this.replayFileInput = document.getElementById('replay-file-input');
+        this.saveReplayButton = document.getElementById('save-replay-button');
+        this.replayControls = document.getElementById('replay-controls');
         this.backFromDonationButton = document.getElementById('back-from-donation-button');
         this.restartButton = document.getElementById('restart-button');
         this.submitCodeButton = document.getElementById('submit-code-button');
@@ -56,8 +105,51 @@ class UI {
         // EW cooldown bar
         this.rebCooldownFill = document.getElementById('reb-cooldown-fill');
         
+        // Armor bar (only shown at difficulties with armor)
+        this.healthContainer = document.getElementById('health-container');
+        this.healthFill = document.getElementById('health-fill');
+        
+        // Icons of the running power-ups
+        this.effectsElement = document.getElementById('effects');
+        this.shownEffects = ''; // Effects and seconds currently shown, so the icons are only rebuilt on a change
+        
         // Set initial best score after all elements are initialized
         this.updateBestScore();
+        
+        // Shrink the game to fit phone screens in either orientation
+        this._fitToScreen();
+        window.addEventListener('resize', () => this._fitToScreen());
+        window.addEventListener('orientationchange', () => this._fitToScreen());
+        
+        // Pinching the canvas or the touch controls steers the game instead of zooming the page
+        // (touch-action in styles.css; iOS Safari ignores that for pinches, so its gesture events are blocked too)
+        [document.getElementById('game-canvas'), this.touchControls.element].forEach(element => {
+            element.addEventListener('gesturestart', (e) => e.preventDefault());
+        });
+    }
+
+    /**
+     * Scale the game down to fit the viewport
+     * Sets --game-scale, which styles.css applies to the container, canvas and HUD sizes
+     * @private
+     */
+    _fitToScreen() {
+        const bodyStyle = window.getComputedStyle(document.body);
+        const availableHeight = window.innerHeight -
+            parseFloat(bodyStyle.paddingTop) - parseFloat(bodyStyle.paddingBottom);
+        
+        // Unscaled size of #game-container
+        const scale = Math.min(1, window.innerWidth / 800, availableHeight / 600);
+        this.gameContainer.style.setProperty('--game-scale', scale);
+    }
+
+    /**
+     * Show the touch controls while a live game is on screen
+     * @private
+     */
+    _updateTouchControls() {
+        const playing = !this.hud.classList.contains('hidden') && !this.replayMode;
+        this.touchControls.setVisible(this.touchSupported && playing);
     }
 
     /**
@@ -72,6 +164,7 @@ class UI {
         this._addEventListeners();
         
         // Show menu screen initially
+        this._renderDifficulty();
         this.showScreen('menu');
     }
 
@@ -89,6 +182,22 @@ class UI {
         this.startButton.textContent = GameTexts.menu.startGame;
         this.donateButton.textContent = GameTexts.menu.donate;
         this.leaderboardButton.textContent = GameTexts.menu.leaderboard;
+        this.loadReplayButton.textContent = GameTexts.menu.loadReplay;
+        this.editorButton.textContent = GameTexts.menu.editor;
+        this.settingsButton.textContent = GameTexts.menu.settings;
+        document.getElementById('difficulty-label').textContent = GameTexts.difficulty.label;
+        document.querySelectorAll('.difficulty-button').forEach(button => {
+            button.textContent = GameTexts.difficulty.names[button.dataset.difficulty];
+        });
+        document.getElementById('custom-difficulty-button').textContent = GameTexts.difficulty.edit;
+        document.getElementById('biome-label').textContent = GameTexts.biome.label;
+        const biomeSelect = document.getElementById('biome-select');
+        [''].concat(Object.keys(MAP_BIOMES)).forEach(biome => {
+            const option = document.createElement('option');
+            option.value = biome;
+            option.textContent = biome ? GameTexts.biome.names[biome] : GameTexts.biome.random;
+            biomeSelect.appendChild(option);
+        });
         
         // Set introduction text
         const introTextElement = document.getElementById('intro-text');
@@ -155,6 +264,7 @@ class UI {
         // Set button text
         this.submitCodeButton.textContent = GameTexts.gameOver.submitCode;
         this.restartButton.textContent = GameTexts.gameOver.restartGame;
+        this.saveReplayButton.textContent = GameTexts.replay.save;
         
         // Mission preparation screen
         const missionPrepScreen = document.getElementById('mission-preparation-screen');
@@ -173,6 +283,21 @@ class UI {
             '<span id="objective-text">' + GameTexts.mission.none + '</span>';
             
         document.getElementById('reb-cooldown-label').textContent = GameTexts.hud.ewLabel;
+        document.getElementById('health-label').textContent = GameTexts.hud.healthLabel;
+        document.getElementById('touch-ew-button').textContent = GameTexts.hud.ewButton;
+        document.getElementById('touch-defuse-button').textContent = GameTexts.hud.defuseButton;
+        this.pauseButton.textContent = GameTexts.hud.pause;
+        
+        // Pause screen
+        document.getElementById('pause-title').textContent = GameTexts.pause.title;
+        document.getElementById('resume-button').textContent = GameTexts.pause.resume;
+        document.getElementById('pause-restart-button').textContent = GameTexts.pause.restart;
+        document.getElementById('pause-settings-button').textContent = GameTexts.pause.settings;
+        document.getElementById('quit-button').textContent = GameTexts.pause.quit;
+        
+        // Replay controls
+        document.getElementById('replay-label').textContent = GameTexts.replay.label;
+        document.getElementById('stop-replay-button').textContent = GameTexts.replay.stop;
         
         // Leaderboard screen
         document.getElementById('leaderboard-title').textContent = GameTexts.leaderboard.title;
@@ -182,6 +307,33 @@ class UI {
         document.getElementById('leaderboard-name-header').textContent = GameTexts.leaderboard.name;
         document.getElementById('leaderboard-score-header').textContent = GameTexts.leaderboard.score;
         document.getElementById('leaderboard-close-button').textContent = GameTexts.leaderboard.close;
+        document.getElementById('leaderboard-prev-button').textContent = GameTexts.leaderboard.previousPage;
+        document.getElementById('leaderboard-next-button').textContent = GameTexts.leaderboard.nextPage;
+        document.querySelectorAll('.leaderboard-tab').forEach(tab => {
+            tab.textContent = GameTexts.leaderboard.periods[tab.dataset.period];
+        });
+        document.querySelectorAll('.leaderboard-difficulty-tab').forEach(tab => {
+            tab.textContent = GameTexts.difficulty.names[tab.dataset.difficulty];
+        });
+        
+        // Settings screen
+        document.getElementById('settings-title').textContent = GameTexts.settings.title;
+        document.getElementById('settings-action-header').textContent = GameTexts.settings.action;
+        document.getElementById('settings-keyboard-header').textContent = GameTexts.settings.keyboard;
+        document.getElementById('settings-gamepad-header').textContent = GameTexts.settings.gamepad;
+        document.getElementById('settings-hint').textContent = GameTexts.settings.hint;
+        document.getElementById('movement-mode-label').textContent = GameTexts.settings.movementMode;
+        document.querySelectorAll('.movement-mode-button').forEach(button => {
+            button.textContent = GameTexts.settings.movementModes[button.dataset.mode];
+        });
+        document.getElementById('reset-bindings-button').textContent = GameTexts.settings.reset;
+        document.getElementById('settings-back-button').textContent = GameTexts.settings.back;
+        
+        // Custom difficulty screen
+        document.getElementById('custom-difficulty-title').textContent = GameTexts.customDifficulty.title;
+        document.getElementById('custom-difficulty-hint').textContent = GameTexts.customDifficulty.hint;
+        document.getElementById('custom-difficulty-save-button').textContent = GameTexts.customDifficulty.save;
+        document.getElementById('custom-difficulty-back-button').textContent = GameTexts.customDifficulty.back;
         
         // Submit score screen
         document.getElementById('submit-score-title').textContent = GameTexts.leaderboard.title;
@@ -258,8 +410,9 @@ class UI {
             }
         });
         
-        // Leaderboard button on game over screen
+        // Leaderboard button on game over screen opens the board of the run's difficulty
         document.getElementById('view-leaderboard-button').addEventListener('click', () => {
+            this.leaderboardDifficulty = UI._getBoardDifficulty(this._getLastRunDifficulty());
             this._loadAndShowLeaderboard();
         });
         
@@ -268,6 +421,28 @@ class UI {
             this.showScreen(this.previousScreen || 'menu');
         });
         
+        // Leaderboard period tabs
+        document.querySelectorAll('.leaderboard-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this._loadAndShowLeaderboard(tab.dataset.period, 0);
+            });
+        });
+        
+        // Leaderboard difficulty tabs
+        document.querySelectorAll('.leaderboard-difficulty-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this._loadAndShowLeaderboard(this.leaderboardPeriod, 0, tab.dataset.difficulty);
+            });
+        });
+        
+        // Leaderboard paging
+        document.getElementById('leaderboard-prev-button').addEventListener('click', () => {
+            this._loadAndShowLeaderboard(this.leaderboardPeriod, this.leaderboardPage - 1);
+        });
+        document.getElementById('leaderboard-next-button').addEventListener('click', () => {
+            this._loadAndShowLeaderboard(this.leaderboardPeriod, this.leaderboardPage + 1);
+        });
+        
         // Submit score button
         document.getElementById('submit-score-button').addEventListener('click', () => {
             this._handleScoreSubmit();
@@ -285,15 +460,126 @@ class UI {
             }
         });
         
-        // Leaderboard button (main menu)
+        // Leaderboard button (main menu) opens the board of the difficulty chosen on the menu
         this.leaderboardButton.addEventListener('click', () => {
+            this.leaderboardDifficulty = UI._getBoardDifficulty(this.difficulty);
             this._loadAndShowLeaderboard();
         });
+        
+        // Difficulty buttons (main menu)
+        document.querySelectorAll('.difficulty-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setDifficulty(button.dataset.difficulty);
+            });
+        });
+        
+        // Custom difficulty button (main menu) opens the profile editor
+        document.getElementById('custom-difficulty-button').addEventListener('click', () => {
+            this._showCustomDifficulty();
+        });
+        document.getElementById('custom-difficulty-save-button').addEventListener('click', () => {
+            this._saveCustomDifficulty();
+        });
+        document.getElementById('custom-difficulty-back-button').addEventListener('click', () => {
+            this.showScreen('menu');
+        });
+        
+        // Biome select (main menu)
+        document.getElementById('biome-select').addEventListener('change', event => {
+            this.setBiome(event.target.value || null);
+        });
+        
+        // Load replay button (main menu) opens the file picker
+        this.loadReplayButton.addEventListener('click', () => {
+            this.replayFileInput.value = '';
+            this.replayFileInput.click();
+        });
+        
+        // Map editor button (main menu)
+        this.editorButton.addEventListener('click', () => {
+            this.editorRequested = true;
+        });
+        
+        // Settings button (main menu)
+        this.settingsButton.addEventListener('click', () => {
+            this._showSettings('menu');
+        });
+        
+        // Pause button (HUD), for screens without Esc
+        this.pauseButton.addEventListener('click', () => {
+            this.pauseRequested = true;
+        });
+        
+        // Pause screen buttons
+        document.getElementById('resume-button').addEventListener('click', () => {
+            this.resumeRequested = true;
+        });
+        document.getElementById('pause-restart-button').addEventListener('click', () => {
+            this._handleRestartGame();
+        });
+        document.getElementById('pause-settings-button').addEventListener('click', () => {
+            this._showSettings('pause');
+        });
+        document.getElementById('quit-button').addEventListener('click', () => {
+            this.quitRequested = true;
+        });
+        
+        // Binding buttons on the settings screen start a rebind
+        document.getElementById('bindings-body').addEventListener('click', (e) => {
+            const button = e.target.closest('.binding-button');
+            if (button) {
+                this._handleRebind(button);
+            }
+        });
+        
+        // Control scheme buttons on the settings screen
+        document.querySelectorAll('.movement-mode-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.inputManager.setMovementMode(button.dataset.mode);
+                this._renderBindings();
+            });
+        });
+        
+        document.getElementById('reset-bindings-button').addEventListener('click', () => {
+            this.inputManager.cancelCapture();
+            this.inputManager.resetBindings();
+            this._renderBindings();
+        });
+        
+        document.getElementById('settings-back-button').addEventListener('click', () => {
+            this.inputManager.cancelCapture();
+            this.showScreen(this.settingsReturnScreen);
+        });
+        
+        // Replay file chosen
+        this.replayFileInput.addEventListener('change', () => {
+            const file = this.replayFileInput.files[0];
+            if (file) {
+                this._handleReplayFile(file);
+            }
+        });
+        
+        // Save replay button (game over screen)
+        this.saveReplayButton.addEventListener('click', () => {
+            this._downloadReplay();
+        });
+        
+        // Replay speed buttons
+        this.replayControls.querySelectorAll('.replay-speed-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this._setReplaySpeed(parseFloat(button.dataset.speed));
+            });
+        });
+        
+        // Stop replay button
+        document.getElementById('stop-replay-button').addEventListener('click', () => {
+            this.replayStopRequested = true;
+        });
     }
 
     /**
      * Show a specific screen
-     * @param {string} screenName - Name of the screen to show ('menu', 'howToPlay', 'gameOver', 'game', 'missionPreparation')
+     * @param {string} screenName - Name of the screen to show ('menu', 'howToPlay', 'gameOver', 'game', 'missionPreparation', 'editor', 'customDifficulty')
      */
     showScreen(screenName) {
         // Get all screen elements
@@ -313,6 +599,9 @@ class UI {
         this.menuScreen.classList.add('hidden');
         this.gameOverScreen.classList.add('hidden');
         this.donationScreen.classList.add('hidden');
+        this.settingsScreen.classList.add('hidden');
+        this.customDifficultyScreen.classList.add('hidden');
+        this.pauseScreen.classList.add('hidden');
         if (missionPreparationScreen) {
             missionPreparationScreen.classList.add('hidden');
         }
@@ -346,6 +635,18 @@ class UI {
                 // Update the donation QR code when showing the donation screen
                 this._updateDonationQRCode(this.imageManager);
                 break;
+            case 'settings':
+                this.uiOverlay.classList.remove('hidden');
+                this.settingsScreen.classList.remove('hidden');
+                break;
+            case 'customDifficulty':
+                this.uiOverlay.classList.remove('hidden');
+                this.customDifficultyScreen.classList.remove('hidden');
+                break;
+            case 'pause':
+                this.uiOverlay.classList.remove('hidden');
+                this.pauseScreen.classList.remove('hidden');
+                break;
             case 'missionPreparation':
                 this.uiOverlay.classList.remove('hidden');
                 missionPreparationScreen.classList.remove('hidden');
@@ -363,7 +664,12 @@ class UI {
             case 'game':
                 this.hud.classList.remove('hidden');
                 break;
+            case 'editor':
+                // The map editor shows its own toolbar
+                break;
         }
+        
+        this._updateTouchControls();
     }
 
     /**
@@ -400,27 +706,82 @@ class UI {
 
     /**
      * Handle promo code submission
+     * Codes are single-use, so the server checks and redeems them
      * @private
      */
     _handlePromoCodeSubmit() {
         const promoCode = this.promoCodeInput.value.trim();
-        
-        // Check if the code is valid
-        if (promoCode === "RUSNIPYZDA") {
-            // Set the flag to revive the player
-            this.playerRevived = true;
-            // Mark that a promo code has been used this session
-            this.promoCodeUsed = true;
-            
-            // Display success message
-            this.showMessage(GameTexts.messages.codeAccepted);
-            
-            // Hide the UI overlay and show the HUD to return to the game
-            this.showScreen('game');
-        } else {
-            // Display error message
+        if (this.promoCodePending) {
+            return;
+        }
+        if (!promoCode) {
             this.showMessage(GameTexts.messages.invalidCode);
+            return;
         }
+        
+        this.promoCodePending = true;
+        this._redeemPromoCode(promoCode)
+            .then(rejection => {
+                this.promoCodePending = false;
+                
+                if (rejection) {
+                    // Display error message
+                    this.showMessage(rejection);
+                    return;
+                }
+                
+                // Set the flag to revive the player
+                this.playerRevived = true;
+                // Mark that a promo code has been used this session
+                this.promoCodeUsed = true;
+                this.promoCodeInput.value = '';
+                
+                // Display success message
+                this.showMessage(GameTexts.messages.codeAccepted);
+                
+                // Hide the UI overlay and show the HUD to return to the game
+                this.showScreen('game');
+            })
+            .catch(error => {
+                this.promoCodePending = false;
+                console.error("Error redeeming promo code:", error);
+                this.showMessage(GameTexts.messages.codeCheckFailed);
+            });
+    }
+
+    /**
+     * Redeem a promo code on the server, keeping the ID of a redeemed code in revivalCodeId for the replay
+     * @param {string} promoCode - Code entered by the player
+     * @returns {Promise<string|null>} Message explaining why the code was rejected, or null if it was redeemed
+     * @private
+     */
+    _redeemPromoCode(promoCode) {
+        return fetch(this.revivalEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code: promoCode })
+        }).then(response => {
+            if (response.ok) {
+                return response.json().then(data => {
+                    this.revivalCodeId = data.id;
+                    return null;
+                });
+            }
+            if (response.status !== 400) {
+                throw new Error(`Promo code check failed with status ${response.status}`);
+            }
+            
+            return response.json().then(data => {
+                switch (data.reason) {
+                    case 'used':
+                        return GameTexts.messages.usedCode;
+                    case 'expired':
+                        return GameTexts.messages.expiredCode;
+                    default:
+                        return GameTexts.messages.invalidCode;
+                }
+            });
+        });
     }
 
     /**
@@ -443,8 +804,8 @@ class UI {
             }
         }
         
-        // Update best score if needed
-        if (score > this.bestScore) {
+        // Update best score if needed (replays don't count)
+        if (score > this.bestScore && !this.replayMode) {
             this.bestScore = score;
             saveToLocalStorage('bestScore', this.bestScore);
             this.updateBestScore();
@@ -490,6 +851,9 @@ class UI {
         // Always use the stored imageManager first, then fall back to parameter if needed
         this._updateQRCode(this.imageManager || imageManager);
         
+        // Offer to save the replay of this run
+        this.saveReplayButton.classList.toggle('hidden', !this.lastReplay);
+        
         // Hide promo code section if already used this session
         const promoCodeSection = document.querySelector('.promo-code-section');
         if (promoCodeSection) {
@@ -501,7 +865,7 @@ class UI {
         }
         
         // Check if score qualifies for leaderboard
-        this.leaderboardManager.wouldPlaceOnLeaderboard(this.score)
+        this._lastRunQualifies()
             .then(qualifies => {
                 if (qualifies) {
                     // Instead of automatically showing submit screen, show a notification
@@ -591,11 +955,14 @@ class UI {
 
     /**
      * Update mission objective text
+     * Called every update (timed objectives count down), so an unchanged text is left alone
      * @param {string} text - Objective text
      */
     updateObjectiveText(text) {
         if (this.objectiveTextElement) {
-            this.objectiveTextElement.textContent = text;
+            if (this.objectiveTextElement.textContent !== text) {
+                this.objectiveTextElement.textContent = text;
+            }
         } else {
             // Try to get a fresh reference
             this.objectiveTextElement = document.getElementById('objective-text');
@@ -622,6 +989,50 @@ class UI {
         }
     }
 
+    /**
+     * Update armor display
+     * @param {number|null} progress - Health percentage (0-100), or null if the platform has no armor
+     */
+    updateHealth(progress) {
+        this.healthContainer.classList.toggle('hidden', progress === null);
+        if (progress === null) {
+            return;
+        }
+        
+        this.healthFill.style.width = `${progress}%`;
+        
+        // Change color based on how much armor is left
+        if (progress > 60) {
+            this.healthFill.style.backgroundColor = '#2ecc71'; // Green when healthy
+        } else if (progress > 30) {
+            this.healthFill.style.backgroundColor = '#f1c40f'; // Yellow when damaged
+        } else {
+            this.healthFill.style.backgroundColor = '#e74c3c'; // Red when critical
+        }
+    }
+
+    /**
+     * Update the power-up icons, each with the seconds it has left
+     * @param {Array<Object>} effects - Running effects { type, remaining }, see Player.getEffects
+     */
+    updateEffects(effects) {
+        const shown = effects.map(effect => `${effect.type}:${Math.ceil(effect.remaining / 1000)}`).join(',');
+        if (shown === this.shownEffects) {
+            return;
+        }
+        this.shownEffects = shown;
+        
+        this.effectsElement.innerHTML = '';
+        effects.forEach(effect => {
+            const icon = document.createElement('span');
+            icon.className = 'effect-icon';
+            icon.style.backgroundColor = PICKUP_TYPES[effect.type].color;
+            icon.title = GameTexts.pickups.names[effect.type];
+            icon.textContent = `${PICKUP_TYPES[effect.type].icon} ${Math.ceil(effect.remaining / 1000)}`;
+            this.effectsElement.appendChild(icon);
+        });
+    }
+
     /**
      * Show a temporary message in the HUD
      * @param {string} message - Message to display
@@ -652,6 +1063,10 @@ class UI {
         this.gameStarted = false;
         this.gameRestarted = false;
         this.playerRevived = false;
+        this.revivalCodeId = null; // ID of the last redeemed revival code, recorded in the replay with the revival
+        this.pauseRequested = false;
+        this.resumeRequested = false;
+        this.quitRequested = false;
         this.promoCodeUsed = false; // Reset promo code usage on new game
     }
 
@@ -667,6 +1082,18 @@ class UI {
         return false;
     }
 
+    /**
+     * Check if the player chose to open the map editor
+     * @returns {boolean} Whether the map editor should be opened
+     */
+    shouldOpenEditor() {
+        if (this.editorRequested) {
+            this.editorRequested = false;
+            return true;
+        }
+        return false;
+    }
+
     /**
      * Check if the game should be restarted
      * @returns {boolean} Whether the game should be restarted
@@ -679,6 +1106,57 @@ class UI {
         return false;
     }
 
+    /**
+     * Show the pause menu
+     */
+    showPauseMenu() {
+        this.showScreen('pause');
+    }
+
+    /**
+     * Check if the pause menu is on screen (not, e.g., the settings opened from it)
+     * @returns {boolean} Whether the pause menu is visible
+     */
+    isPauseMenuOpen() {
+        return !this.pauseScreen.classList.contains('hidden');
+    }
+
+    /**
+     * Check if the player pressed the pause button
+     * @returns {boolean} Whether the game should be paused
+     */
+    shouldPauseGame() {
+        if (this.pauseRequested) {
+            this.pauseRequested = false;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Check if the player chose to resume from the pause menu
+     * @returns {boolean} Whether the game should be resumed
+     */
+    shouldResumeGame() {
+        if (this.resumeRequested) {
+            this.resumeRequested = false;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Check if the player chose to quit from the pause menu
+     * @returns {boolean} Whether the run should be abandoned
+     */
+    shouldQuitGame() {
+        if (this.quitRequested) {
+            this.quitRequested = false;
+            return true;
+        }
+        return false;
+    }
+
     /**
      * Check if the player should be revived
      * @returns {boolean} Whether the player should be revived
@@ -693,7 +1171,7 @@ class UI {
 
     /**
      * Show mission preparation screen with countdown
-     * @param {string} missionType - Type of mission (evacuation or delivery)
+     * @param {string} missionType - Type of mission (key in MISSION_TYPES)
      * @param {function} callback - Function to call after countdown completes
      */
     showMissionPreparation(missionType, callback) {
@@ -707,6 +1185,8 @@ class UI {
         // Update mission info
         document.getElementById('mission-type').textContent = missionTitle;
         document.getElementById('mission-description').textContent = missionDescription;
+        document.getElementById('mission-reward').textContent = MISSION_TYPES[missionType] ?
+            GameTexts.missionPrep.reward(MISSION_TYPES[missionType].reward) : '';
         
         // Show the preparation screen
         this.showScreen('missionPreparation');
@@ -743,23 +1223,44 @@ class UI {
     }
 
     /**
-     * Load and display the leaderboard
+     * Load and display a page of the leaderboard
+     * @param {string} [period] - 'daily', 'weekly' or 'all'; defaults to the board shown last
+     * @param {number} [page] - Zero-based page number
+     * @param {string} [difficulty] - One of LEADERBOARD_DIFFICULTIES; defaults to the board shown last
      * @private
      */
-    _loadAndShowLeaderboard() {
+    _loadAndShowLeaderboard(period = this.leaderboardPeriod, page = 0, difficulty = this.leaderboardDifficulty) {
         // Show the leaderboard screen first
         this.showScreen('leaderboard');
         
+        this.leaderboardPeriod = period;
+        this.leaderboardPage = Math.max(0, page);
+        this.leaderboardDifficulty = difficulty;
+        const request = ++this.leaderboardRequest;
+        const pageSize = this.leaderboardManager.maxEntries;
+        
         // Get references to elements
         const loadingMsg = document.getElementById('leaderboard-loading');
         const errorMsg = document.getElementById('leaderboard-error');
         const table = document.getElementById('leaderboard-table');
         const tableBody = document.getElementById('leaderboard-body');
+        const myRankMsg = document.getElementById('leaderboard-my-rank');
+        const pager = document.getElementById('leaderboard-pager');
+        
+        // Mark the selected tabs
+        document.querySelectorAll('.leaderboard-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.period === period);
+        });
+        document.querySelectorAll('.leaderboard-difficulty-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.difficulty === difficulty);
+        });
         
         // Show loading message
         loadingMsg.classList.remove('hidden');
         errorMsg.classList.add('hidden');
         table.classList.add('hidden');
+        myRankMsg.classList.add('hidden');
+        pager.classList.add('hidden');
         
         // Clear any existing scores
         tableBody.innerHTML = '';
@@ -770,26 +1271,53 @@ class UI {
             existingSubmitBtn.remove();
         }
         
-        // Load scores from Firebase
-        this.leaderboardManager.getTopScores()
-            .then(scores => {
+        // Load the page, where the player's best entry ranks on this board, and their best score
+        Promise.all([
+            this.leaderboardManager.getScores(period, this.leaderboardPage * pageSize, pageSize, difficulty),
+            this.leaderboardManager.getPlayerRank(period, difficulty),
+            this.leaderboardManager.getPlayerBest(difficulty)
+        ])
+            .then(([{ scores, total }, playerRank, playerBest]) => {
+                // A newer load has started since this one (e.g. another tab was clicked)
+                if (request !== this.leaderboardRequest) {
+                    return false;
+                }
+                
                 // Hide loading message, show table
                 loadingMsg.classList.add('hidden');
                 table.classList.remove('hidden');
                 
+                // Show where the player ranks, even if it isn't on this page
+                if (playerRank) {
+                    myRankMsg.textContent = GameTexts.leaderboard.myRank(playerRank.rank, total, playerBest ? playerBest.bestScore : null);
+                    myRankMsg.classList.remove('hidden');
+                }
+                
+                // Show paging controls when the board doesn't fit on one page
+                const pageCount = Math.ceil(total / pageSize);
+                if (pageCount > 1) {
+                    document.getElementById('leaderboard-page').textContent =
+                        GameTexts.leaderboard.page(this.leaderboardPage + 1, pageCount);
+                    document.getElementById('leaderboard-prev-button').disabled = this.leaderboardPage === 0;
+                    document.getElementById('leaderboard-next-button').disabled = this.leaderboardPage >= pageCount - 1;
+                    pager.classList.remove('hidden');
+                }
+                
                 // Generate table rows
-                scores.forEach((score, index) => {
+                scores.forEach(score => {
                     const row = document.createElement('tr');
                     
-                    // Check if this is the current player's score
-                    const isMyScore = score.score === this.score;
-                    if (isMyScore) {
+                    // Highlight the player's entries, and the one just submitted even more
+                    if (score.playerId === this.leaderboardManager.playerId) {
                         row.classList.add('my-score-row');
                     }
+                    if (score.id === this.lastSubmittedScoreId) {
+                        row.classList.add('latest-score-row');
+                    }
                     
                     // Rank column
                     const rankCell = document.createElement('td');
-                    rankCell.textContent = (index + 1);
+                    rankCell.textContent = score.rank;
                     row.appendChild(rankCell);
                     
                     // Name column
@@ -815,11 +1343,11 @@ class UI {
                     tableBody.appendChild(noScoresRow);
                 }
                 
-                // Check if player's score qualifies for leaderboard
-                return this.leaderboardManager.wouldPlaceOnLeaderboard(this.score);
+                // Check if player's score qualifies for leaderboard (only on the board of the run's difficulty)
+                return difficulty === this._getLastRunDifficulty() && this._lastRunQualifies();
             })
             .then(qualifies => {
-                if (qualifies && this.score > 0) {
+                if (qualifies && this.score > 0 && !document.getElementById('open-submit-score-btn')) {
                     // Add a button to submit score
                     const leaderboardScreen = document.getElementById('leaderboard-screen');
                     const closeButton = document.getElementById('leaderboard-close-button');
@@ -842,6 +1370,9 @@ class UI {
             })
             .catch(error => {
                 console.error("Error loading leaderboard:", error);
+                if (request !== this.leaderboardRequest) {
+                    return;
+                }
                 loadingMsg.classList.add('hidden');
                 errorMsg.classList.remove('hidden');
             });
@@ -867,8 +1398,11 @@ class UI {
         errorElement.classList.add('hidden');
         
         // Submit the score
-        this.leaderboardManager.submitScore(playerName, this.score)
-            .then(() => {
+        this.leaderboardManager.submitScore(playerName, this.score, this.lastReplay)
+            .then(result => {
+                // Remember the entry so the leaderboard can show its rank
+                this.lastSubmittedScoreId = result.id;
+                
                 // Show success message
                 this.showMessage(GameTexts.leaderboard.scoreSubmitted);
                 
@@ -884,6 +1418,355 @@ class UI {
             });
     }
 
+    /**
+     * Read, validate, and queue a replay file for playback
+     * @param {File} file - Replay JSON file chosen by the player
+     * @private
+     */
+    _handleReplayFile(file) {
+        file.text()
+            .then(text => {
+                this.pendingReplay = ReplayPlayer.parse(text);
+                this.menuMusicStarted = false;
+                this.showScreen('game');
+            })
+            .catch(error => {
+                console.error("Error loading replay:", error);
+                this.showMessage(GameTexts.replay.invalidReplay);
+            });
+    }
+
+    /**
+     * Save the replay of the last run as a JSON file
+     * @private
+     */
+    _downloadReplay() {
+        if (!this.lastReplay) return;
+        
+        UI._downloadJSON(this.lastReplay, `cabriolet-replay-${this.lastReplay.seed}-${this.lastReplay.result.score}.json`);
+    }
+
+    /**
+     * Save a level (e.g. the map being played) as a JSON file
+     * @param {Object} level - Level (see levels.js)
+     */
+    downloadLevel(level) {
+        // Indented, one row of tiles per line, so the file is easy to edit by hand
+        const json = JSON.stringify(level, null, 2).replace(/"tiles": \[[^\]]*\]/, () =>
+            `"tiles": [\n${level.tiles.map(row => `    "${row}"`).join(',\n')}\n  ]`);
+        
+        UI._downloadJSON(json, `cabriolet-level-${level.name.replace(/[^A-Za-z0-9-]+/g, '-')}.json`);
+        this.showMessage(GameTexts.messages.levelExported);
+    }
+
+    /**
+     * Save data as a JSON file
+     * @param {Object|string} data - Data, or JSON text
+     * @param {string} fileName - File name
+     * @private
+     */
+    static _downloadJSON(data, fileName) {
+        const json = typeof data === 'string' ? data : JSON.stringify(data);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Set the replay playback speed and highlight the matching button
+     * @param {number} speed - Playback speed multiplier (0.5, 1, or 4)
+     * @private
+     */
+    _setReplaySpeed(speed) {
+        this.replaySpeed = speed;
+        this.replayControls.querySelectorAll('.replay-speed-button').forEach(button => {
+            button.classList.toggle('active', parseFloat(button.dataset.speed) === speed);
+        });
+    }
+
+    /**
+     * Store the replay of the last run so it can be saved or submitted with the score
+     * @param {Object} replay - Replay data
+     */
+    setLastReplay(replay) {
+        this.lastReplay = replay;
+    }
+
+    /**
+     * Choose the difficulty of the next runs
+     * @param {string} difficulty - DIFFICULTY_PROFILES name, or 'custom' for the saved custom profile
+     */
+    setDifficulty(difficulty) {
+        if (!this._isDifficultyAvailable(difficulty)) {
+            console.warn(`Difficulty ${difficulty} is not available`);
+            return;
+        }
+        
+        this.difficulty = difficulty;
+        saveToLocalStorage('difficulty', difficulty);
+        this._renderDifficulty();
+    }
+
+    /**
+     * Choose the biome the maps of the next runs are generated in
+     * Runs on a chosen biome aren't ranked, so the choice isn't remembered between visits
+     * @param {string|null} biome - Key in MAP_BIOMES, or null for each map to pick its own
+     */
+    setBiome(biome) {
+        if (biome !== null && !Object.prototype.hasOwnProperty.call(MAP_BIOMES, biome)) {
+            console.warn(`Unknown biome "${biome}", maps pick their own`);
+            biome = null;
+        }
+        
+        this.biome = biome;
+        document.getElementById('biome-select').value = biome || '';
+    }
+
+    /**
+     * Check if a difficulty can be chosen
+     * @param {string} difficulty - Difficulty name
+     * @returns {boolean} Whether it names a built-in profile, or is 'custom' and a valid custom profile is saved
+     * @private
+     */
+    _isDifficultyAvailable(difficulty) {
+        if (difficulty === 'custom') {
+            return DifficultyDirector.loadCustomProfile() !== null;
+        }
+        return Object.keys(DIFFICULTY_PROFILES).includes(difficulty);
+    }
+
+    /**
+     * Open the custom difficulty editor with the saved profile, or the normal profile's fields to start from
+     * @private
+     */
+    _showCustomDifficulty() {
+        let profile = DifficultyDirector.loadCustomProfile();
+        if (!profile) {
+            const { name, ...fields } = DIFFICULTY_PROFILES.normal;
+            profile = fields;
+        }
+        
+        document.getElementById('custom-difficulty-input').value = JSON.stringify(profile, null, 2);
+        document.getElementById('custom-difficulty-error').classList.add('hidden');
+        this.showScreen('customDifficulty');
+    }
+
+    /**
+     * Save the profile in the custom difficulty editor and choose it, or show why it is invalid
+     * @private
+     */
+    _saveCustomDifficulty() {
+        const errorElement = document.getElementById('custom-difficulty-error');
+        let profile;
+        try {
+            profile = JSON.parse(document.getElementById('custom-difficulty-input').value);
+            DifficultyDirector.createCustomProfile(profile); // Throws if a field is invalid
+        } catch (error) {
+            errorElement.textContent = GameTexts.customDifficulty.invalid + error.message;
+            errorElement.classList.remove('hidden');
+            return;
+        }
+        
+        saveToLocalStorage('customDifficulty', profile);
+        this.setDifficulty('custom');
+        this.showScreen('menu');
+    }
+
+    /**
+     * Mark the chosen difficulty on the menu; the custom button only shows when a custom profile is saved
+     * @private
+     */
+    _renderDifficulty() {
+        const customAvailable = this._isDifficultyAvailable('custom');
+        document.querySelectorAll('.difficulty-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.difficulty === this.difficulty);
+            if (button.dataset.difficulty === 'custom') {
+                button.classList.toggle('hidden', !customAvailable);
+            }
+        });
+    }
+
+    /**
+     * Get the difficulty the last run was played at
+     * @returns {string|null} Profile name ('custom' for a custom profile), or null if there was no run
+     * @private
+     */
+    _getLastRunDifficulty() {
+        return this.lastReplay && this.lastReplay.result ? this.lastReplay.result.difficulty : null;
+    }
+
+    /**
+     * Check if the last run's score places on today's board of its difficulty
+     * Runs with a custom difficulty, on handcrafted levels or on a chosen biome aren't ranked
+     * @returns {Promise<boolean>} Promise that resolves to true if the score qualifies
+     * @private
+     */
+    _lastRunQualifies() {
+        const difficulty = this._getLastRunDifficulty();
+        if (!LEADERBOARD_DIFFICULTIES.includes(difficulty) || (this.lastReplay.levels || []).length > 0 ||
+            this.lastReplay.biome) {
+            return Promise.resolve(false);
+        }
+        return this.leaderboardManager.wouldPlaceOnLeaderboard(this.score, 'daily', difficulty);
+    }
+
+    /**
+     * Get the board to show for a difficulty
+     * @param {string|null} difficulty - Difficulty name
+     * @returns {string} The difficulty if it has a board, otherwise 'normal'
+     * @private
+     */
+    static _getBoardDifficulty(difficulty) {
+        return LEADERBOARD_DIFFICULTIES.includes(difficulty) ? difficulty : 'normal';
+    }
+
+    /**
+     * Get a loaded replay that should start playing
+     * @returns {Object|null} Replay data, or null if there is none
+     */
+    getReplayToStart() {
+        const replay = this.pendingReplay;
+        this.pendingReplay = null;
+        return replay;
+    }
+
+    /**
+     * Show or hide the replay controls
+     * @param {boolean} active - Whether a replay is playing
+     */
+    setReplayMode(active) {
+        this.replayMode = active;
+        this.replayStopRequested = false;
+        this.replayControls.classList.toggle('hidden', !active);
+        if (active) {
+            this._setReplaySpeed(1);
+        }
+        this._updateTouchControls();
+    }
+
+    /**
+     * Get the selected replay playback speed
+     * @returns {number} Playback speed multiplier
+     */
+    getReplaySpeed() {
+        return this.replaySpeed;
+    }
+
+    /**
+     * Check if the player asked to stop the replay
+     * @returns {boolean} Whether the replay should stop
+     */
+    shouldStopReplay() {
+        if (this.replayStopRequested) {
+            this.replayStopRequested = false;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Show the settings screen
+     * @param {string} returnScreen - Screen to go back to ('menu' or 'pause')
+     * @private
+     */
+    _showSettings(returnScreen) {
+        this.settingsReturnScreen = returnScreen;
+        this._renderBindings();
+        this.showScreen('settings');
+    }
+
+    /**
+     * Fill the settings screen with the current control scheme and the bindings of every action
+     * @private
+     */
+    _renderBindings() {
+        document.querySelectorAll('.movement-mode-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === this.inputManager.movementMode);
+        });
+        
+        const body = document.getElementById('bindings-body');
+        body.innerHTML = '';
+        
+        INPUT_ACTIONS.forEach(action => {
+            const row = document.createElement('tr');
+            
+            const label = document.createElement('td');
+            label.textContent = GameTexts.settings.actions[action];
+            row.appendChild(label);
+            
+            ['keyboard', 'gamepad'].forEach(device => {
+                const cell = document.createElement('td');
+                const button = document.createElement('button');
+                button.className = 'binding-button';
+                button.dataset.device = device;
+                button.dataset.action = action;
+                button.textContent = this._formatBindings(device, this.inputManager.bindings[device][action]);
+                cell.appendChild(button);
+                row.appendChild(cell);
+            });
+            
+            body.appendChild(row);
+        });
+    }
+
+    /**
+     * Describe the keys or buttons bound to an action
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {Array} inputs - Bound key codes or button indices
+     * @returns {string} Binding text (e.g. '↑ / W')
+     * @private
+     */
+    _formatBindings(device, inputs) {
+        if (inputs.length === 0) {
+            return GameTexts.settings.unbound;
+        }
+        
+        return inputs.map(input => {
+            if (device === 'gamepad') {
+                return InputManager.getButtonName(input);
+            }
+            return GameTexts.settings.keyNames[input] || InputManager.getKeyName(input);
+        }).join(' / ');
+    }
+
+    /**
+     * Wait for a key or gamepad button and bind it to the action of a binding button
+     * @param {HTMLButtonElement} button - Clicked binding button
+     * @private
+     */
+    _handleRebind(button) {
+        const { device, action } = button.dataset;
+        
+        // Clicking another binding while one is waiting abandons the first
+        this._renderBindings();
+        const waitingButton = document.querySelector(
+            `.binding-button[data-device="${device}"][data-action="${action}"]`);
+        waitingButton.textContent = device === 'gamepad' ? GameTexts.settings.pressButton : GameTexts.settings.pressKey;
+        waitingButton.classList.add('waiting');
+        
+        // Don't let the click's focus keep the button pressable with Space or Enter after binding
+        waitingButton.blur();
+        
+        this.inputManager.captureBinding(device).then(input => {
+            if (input !== null) {
+                this.inputManager.setBinding(device, action, input);
+            }
+            
+            // A newer rebind may have replaced this one; leave its prompt on screen
+            if (!this.inputManager.isCapturing()) {
+                this._renderBindings();
+            }
+        });
+    }
+
     /**
      * Get the current visible screen
      * @private
@@ -18,31 +18,90 @@ function calculateDistance(x1, y1, x2, y2) {
 }
 
 // Random integer between min and max (inclusive)
-function getRandomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+// Pass a seeded generator from createSeededRandom() to get reproducible values
+function getRandomInt(min, max, random = Math.random) {
+    return Math.floor(random() * (max - min + 1)) + min;
 }
 
-// Generate a random position on the map edge
-function getRandomEdgePosition(mapWidth, mapHeight, tileSize) {
-    const edge = getRandomInt(0, 3); // 0: top, 1: right, 2: bottom, 3: left
+// Hash a seed string into a 32-bit unsigned integer (xmur3)
+function hashSeed(seed) {
+    const str = String(seed);
+    let h = 1779033703 ^ str.length;
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+// Create a seeded pseudo-random generator (mulberry32)
+// Returns a function that behaves like Math.random(): floats in [0, 1)
+function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Generate a new random seed string (e.g. "K3F9Q2ZD")
+function generateSeed() {
+    return Math.random().toString(36).slice(2, 10).toUpperCase().padEnd(8, '0');
+}
+
+// Generate a random position on the map edge, or, given a view (e.g. the camera's), on a tile just outside it
+// Only the sides of the view with room on the map beyond them are used; if there are none (the map fits in
+// the view), the position is on the map edge
+function getRandomEdgePosition(mapWidth, mapHeight, tileSize, random = Math.random, view = null) {
+    const lastColumn = mapWidth / tileSize - 1;
+    const lastRow = mapHeight / tileSize - 1;
+
+    // Tiles of the ring the position is on: its top and bottom rows and its left and right columns
+    let ring = { left: 0, top: 0, right: lastColumn, bottom: lastRow };
+    let edges = [0, 1, 2, 3]; // 0: top, 1: right, 2: bottom, 3: left
+    if (view) {
+        const outside = {
+            left: Math.floor(view.x / tileSize) - 1,
+            top: Math.floor(view.y / tileSize) - 1,
+            right: Math.ceil((view.x + view.width) / tileSize),
+            bottom: Math.ceil((view.y + view.height) / tileSize)
+        };
+        const offMap = [outside.top < 0, outside.right > lastColumn, outside.bottom > lastRow, outside.left < 0];
+        if (offMap.includes(false)) {
+            ring = {
+                left: Math.max(0, outside.left),
+                top: Math.max(0, outside.top),
+                right: Math.min(lastColumn, outside.right),
+                bottom: Math.min(lastRow, outside.bottom)
+            };
+            edges = edges.filter(edge => !offMap[edge]);
+        }
+    }
+
+    const edge = edges[getRandomInt(0, edges.length - 1, random)];
     let x, y;
     
     switch (edge) {
         case 0: // top
-            x = getRandomInt(0, mapWidth / tileSize - 1) * tileSize;
-            y = 0;
+            x = getRandomInt(ring.left, ring.right, random) * tileSize;
+            y = ring.top * tileSize;
             break;
         case 1: // right
-            x = mapWidth - tileSize;
-            y = getRandomInt(0, mapHeight / tileSize - 1) * tileSize;
+            x = ring.right * tileSize;
+            y = getRandomInt(ring.top, ring.bottom, random) * tileSize;
             break;
         case 2: // bottom
-            x = getRandomInt(0, mapWidth / tileSize - 1) * tileSize;
-            y = mapHeight - tileSize;
+            x = getRandomInt(ring.left, ring.right, random) * tileSize;
+            y = ring.bottom * tileSize;
             break;
         case 3: // left
-            x = 0;
-            y = getRandomInt(0, mapHeight / tileSize - 1) * tileSize;
+            x = ring.left * tileSize;
+            y = getRandomInt(ring.top, ring.bottom, random) * tileSize;
             break;
     }
     
@@ -71,6 +130,30 @@ function loadFromLocalStorage(key, defaultValue = null) {
     }
 }
 
+// Generate a random unique ID (UUID v4)
+// crypto.randomUUID() only exists in secure contexts, so build it from getRandomValues() otherwise (e.g. on a LAN)
+function generateId() {
+    if (crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // Variant 1
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Get the anonymous ID of this player, created on first use and kept in localStorage
+function getPlayerId() {
+    let playerId = loadFromLocalStorage('playerId');
+    if (!playerId) {
+        playerId = generateId();
+        saveToLocalStorage('playerId', playerId);
+    }
+    return playerId;
+}
+
 // Format time in seconds to MM:SS format
 function formatTime(seconds) {
     const mins = Math.floor(seconds / 60);
@@ -81,4 +164,80 @@ function formatTime(seconds) {
 // Ease the movement of objects for smoother animations
 function lerp(start, end, factor) {
     return start * (1 - factor) + end * factor;
-} 
\ No newline at end of file
+} 
+
+/**
+ * MinHeap class
+ * Priority queue for the map searches (Pathfinder, MapValidator)
+ * Items with equal priority come out in the order they were pushed, so a search takes the same route for a seed
+ */
+class MinHeap {
+    constructor() {
+        this.items = []; // [priority, order, value] entries, as a binary heap
+        this.pushed = 0;
+    }
+
+    /**
+     * Number of items in the heap
+     * @returns {number} Item count
+     */
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Add an item
+     * @param {*} value - Item
+     * @param {number} priority - Lower comes out first
+     */
+    push(value, priority) {
+        const items = this.items;
+        let i = items.length;
+        items.push([priority, this.pushed++, value]);
+        
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this._isBefore(items[i], items[parent])) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    /**
+     * Remove the item with the lowest priority
+     * @returns {*} Item, or undefined if the heap is empty
+     */
+    pop() {
+        const items = this.items;
+        if (items.length === 0) return undefined;
+        
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let first = i;
+                if (left < items.length && this._isBefore(items[left], items[first])) first = left;
+                if (right < items.length && this._isBefore(items[right], items[first])) first = right;
+                if (first === i) break;
+                [items[i], items[first]] = [items[first], items[i]];
+                i = first;
+            }
+        }
+        return top[2];
+    }
+
+    /**
+     * Check if an entry comes out before another
+     * @param {Array} a - Heap entry
+     * @param {Array} b - Heap entry
+     * @returns {boolean} Whether a has the lower priority, or was pushed first with an equal one
+     * @private
+     */
+    _isBefore(a, b) {
+        return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+    }
+}
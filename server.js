@@ -1,9 +1,95 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { FileScoreStore, FirebaseScoreStore, LEADERBOARD_PERIODS } = require('./server/scoreStores');
+const { RevivalCodes } = require('./server/revivalCodes');
+const { ReplayVerifier } = require('./server/replayVerifier');
 
 const PORT = 3000;
 
+// Where validated scores are stored: 'file' (local JSON file) or 'firebase'.
+// Defaults to Firebase when a database secret is configured.
+const FIREBASE_DATABASE_SECRET = process.env.FIREBASE_DATABASE_SECRET || '';
+const LEADERBOARD_STORAGE = process.env.LEADERBOARD_STORAGE || (FIREBASE_DATABASE_SECRET ? 'firebase' : 'file');
+const LEADERBOARD_FILE = process.env.LEADERBOARD_FILE || path.join(__dirname, 'data', 'leaderboard.json');
+
+// Firebase Realtime Database used with 'firebase' storage.
+// Deny client writes in the database rules, so scores can only be written through POST /api/scores.
+const FIREBASE_DATABASE_URL = process.env.FIREBASE_DATABASE_URL ||
+    'https://cabriolet-f4be8-default-rtdb.europe-west1.firebasedatabase.app';
+const LEADERBOARD_PAGE_SIZE = 10; // Scores per page when no limit is given
+
+// Rules a submitted run has to satisfy (must match the scoring in js/game.js)
+const SCORE_RULES = {
+    minPointsPerMission: 10, // Lowest and highest mission rewards in MISSION_TYPES (js/missions.js)
+    maxPointsPerMission: 25,
+    minPointsPerDrone: 5, // Lowest and highest drone score values in DRONE_TYPES (js/drone.js)
+    maxPointsPerDrone: 15,
+    pointsPerDefusedMine: 5, // MissionManager.defusePoints
+    minMissionDuration: 5000, // A mission can't be driven there and back faster than this (ms)
+    minDroneInterval: 500, // Drones can't be destroyed faster than one per this many ms on average
+    minDefuseDuration: 3000, // Defusing a mine takes this long (MissionManager.defuseTime, ms)
+    maxDuration: 4 * 60 * 60 * 1000, // Longest run we accept (4 hours)
+    maxNameLength: 20
+};
+
+// Revival codes: REVIVAL_SECRET signs them, REVIVAL_ADMIN_TOKEN authorizes issuing them over HTTP
+// (e.g. from a donation callback). Without a secret, codes only work until the server restarts.
+const REVIVAL_SECRET = process.env.REVIVAL_SECRET || '';
+const REVIVAL_ADMIN_TOKEN = process.env.REVIVAL_ADMIN_TOKEN || '';
+const REVIVAL_LOG_FILE = process.env.REVIVAL_LOG_FILE || path.join(__dirname, 'data', 'revival-redemptions.log');
+const REVIVAL_CODE_TTL_MINUTES = 24 * 60; // Default lifetime of an issued code
+const MAX_REVIVAL_CODE_TTL_MINUTES = 30 * 24 * 60;
+
+// Difficulties with their own leaderboards (DIFFICULTY_PROFILES in js/difficultyDirector.js);
+// runs with a custom difficulty can't be compared, so they aren't ranked
+const RANKED_DIFFICULTIES = ['easy', 'normal', 'hard'];
+
+// Anonymous player IDs are UUIDs; also used as database keys, so keep them to safe characters
+const PLAYER_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// Maximum number of scores GET /api/scores returns per page
+const MAX_SCORES_LIMIT = 100;
+
+// Largest request body we accept (replays included)
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Score submissions each client address can make per window (each may cost a replay simulation)
+const SUBMISSION_RATE_LIMIT = 10;
+const SUBMISSION_RATE_WINDOW = 60 * 1000;
+
+// Replays waiting for the simulation worker, and the time each gets: enough for its ticks at a
+// fraction of real time, so the longest runs we accept still verify
+const REPLAY_QUEUE_SIZE = 20;
+const REPLAY_BASE_TIMEOUT = 5000;
+const REPLAY_MS_PER_TICK = 1;
+
+// Game scripts needed to re-simulate a replay on the server, in load order
+const SIMULATION_SCRIPTS = [
+    'js/GameTexts.js',
+    'js/utils.js',
+    'js/audioManager.js',
+    'js/imageManager.js',
+    'js/mapValidator.js',
+    'js/mapGenerator.js',
+    'js/camera.js',
+    'js/pickups.js',
+    'js/player.js',
+    'js/pathfinder.js',
+    'js/difficultyDirector.js',
+    'js/drone.js',
+    'js/missions.js',
+    'js/levels.js',
+    'js/missionManager.js',
+    'js/replay.js',
+    'js/game.js'
+];
+
+// Files and directories the game is served from; nothing else in the repository (data/, server/, ...) is served
+const STATIC_FILES = ['/index.html', '/thank-you.html', '/favicon.ico'];
+const STATIC_DIRECTORIES = ['/css/', '/js/', '/assets/'];
+
 // MIME types for different file extensions
 const MIME_TYPES = {
     '.html': 'text/html',
@@ -24,11 +110,539 @@ const MIME_TYPES = {
     '.otf': 'font/otf'
 };
 
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response object
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} data - Data to send
+ */
+function sendJson(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Create an error for a malformed request
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+function badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+/**
+ * Read and parse a JSON request body
+ * Errors caused by a bad request carry statusCode 400
+ * @param {http.IncomingMessage} req - Request object
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(badRequest('Request body too large'));
+                req.destroy();
+            }
+        });
+        
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(badRequest('Request body is not valid JSON'));
+            }
+        });
+        
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Get the file a request path serves
+ * @param {string} pathname - Request path (URL-encoded)
+ * @returns {string|null} Absolute file path, or null if the path is not one of the game's files
+ */
+function resolveStaticFile(pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (error) {
+        return null;
+    }
+    
+    // Normalized first, so /js/../data/... can't get out of the served directories
+    const normalized = path.posix.normalize(decoded);
+    if (normalized.includes('\0') ||
+        (!STATIC_FILES.includes(normalized) && !STATIC_DIRECTORIES.some(dir => normalized.startsWith(dir)))) {
+        return null;
+    }
+    return path.join(__dirname, normalized);
+}
+
+/**
+ * Check a player ID (an anonymous ID the client generates and keeps in localStorage)
+ * @param {*} playerId - Player ID to check
+ * @returns {boolean} Whether the ID is well-formed
+ */
+function isValidPlayerId(playerId) {
+    return typeof playerId === 'string' && PLAYER_ID_PATTERN.test(playerId);
+}
+
+/**
+ * Check a submitted run and return the reason it is rejected
+ * The replay is only checked for what it claims here; verifyReplay re-simulates it
+ * @param {Object} run - Submitted run summary
+ * @returns {string|null} Rejection reason, or null if the run is plausible
+ */
+function validateRun(run) {
+    const {
+        name, playerId, seed, score, missionsCompleted, dronesDestroyed, minesDefused = 0,
+        difficulty = 'normal', duration, replay
+    } = run;
+    
+    // Shape checks
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > SCORE_RULES.maxNameLength) {
+        return `Name must be 1-${SCORE_RULES.maxNameLength} characters`;
+    }
+    if (!isValidPlayerId(playerId)) {
+        return 'Missing or invalid player ID';
+    }
+    if (typeof seed !== 'string' || !seed || seed.length > 64) {
+        return 'Missing or invalid seed';
+    }
+    for (const [field, value] of Object.entries({ score, missionsCompleted, dronesDestroyed, minesDefused })) {
+        if (!Number.isInteger(value) || value < 0) {
+            return `${field} must be a non-negative integer`;
+        }
+    }
+    if (typeof duration !== 'number' || !(duration > 0) || duration > SCORE_RULES.maxDuration) {
+        return 'Invalid duration';
+    }
+    if (difficulty === 'custom') {
+        return 'Runs with a custom difficulty are not ranked';
+    }
+    if (!RANKED_DIFFICULTIES.includes(difficulty)) {
+        return 'Missing or invalid difficulty';
+    }
+    
+    // The score has to add up; mission and drone types are worth different points, so only a range can be checked
+    const points = score - minesDefused * SCORE_RULES.pointsPerDefusedMine;
+    if (points < missionsCompleted * SCORE_RULES.minPointsPerMission + dronesDestroyed * SCORE_RULES.minPointsPerDrone ||
+        points > missionsCompleted * SCORE_RULES.maxPointsPerMission + dronesDestroyed * SCORE_RULES.maxPointsPerDrone) {
+        return `Score ${score} does not match ${missionsCompleted} missions, ${dronesDestroyed} drones and ${minesDefused} defused mines`;
+    }
+    
+    // The run has to have lasted long enough for what it claims
+    if (missionsCompleted * SCORE_RULES.minMissionDuration > duration) {
+        return 'Too many missions for the elapsed time';
+    }
+    if (dronesDestroyed * SCORE_RULES.minDroneInterval > duration) {
+        return 'Too many drones for the elapsed time';
+    }
+    if (minesDefused * SCORE_RULES.minDefuseDuration > duration) {
+        return 'Too many defused mines for the elapsed time';
+    }
+    
+    // If a replay is attached, it has to be for this run
+    if (replay !== undefined && replay !== null) {
+        if (Array.isArray(replay.levels) && replay.levels.length > 0) {
+            return 'Runs on handcrafted levels are not ranked';
+        }
+        if (replay.biome !== undefined && replay.biome !== null) {
+            return 'Runs on a chosen biome are not ranked';
+        }
+        if (replay.seed !== seed) {
+            return 'Replay seed does not match';
+        }
+        if ((replay.difficulty === undefined ? 'normal' : replay.difficulty) !== difficulty) {
+            return 'Replay difficulty does not match';
+        }
+        if (typeof replay.ticks !== 'number' || typeof replay.tickDuration !== 'number' ||
+            replay.ticks * replay.tickDuration > duration + 1000) {
+            return 'Replay length does not match the run';
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Re-simulate a run's replay and return the reason it is rejected
+ * @param {Object} run - Submitted run summary, with its replay (checked by validateRun)
+ * @returns {Promise<string|null>} Rejection reason, or null if the replay reproduces the run exactly;
+ *     rejects with statusCode 503 if the verifier is too busy
+ */
+function verifyReplay(run) {
+    const { score, missionsCompleted, dronesDestroyed, minesDefused = 0, duration, replay } = run;
+    
+    return replayVerifier.verify(replay).then(result => {
+        if (result.score !== score || result.missionsCompleted !== missionsCompleted ||
+            result.dronesDestroyed !== dronesDestroyed || result.minesDefused !== minesDefused) {
+            return `Replay produces a score of ${result.score}, not ${score}`;
+        }
+        if (Math.abs(result.duration - duration) > 1000) {
+            return 'Replay duration does not match';
+        }
+        
+        // Every revival needs a code that was redeemed and hasn't revived another saved run
+        return revivalCodes.checkClaim(getRevivalCodeIds(replay));
+    }, error => {
+        if (error.statusCode) {
+            throw error;
+        }
+        return `Replay could not be simulated: ${error.message}`;
+    });
+}
+
+/**
+ * Get the revival codes a replay was revived with
+ * @param {Object} replay - Replay data (validated)
+ * @returns {Array<string>} Code IDs, one per revival
+ */
+function getRevivalCodeIds(replay) {
+    return replay.events.filter(([, type]) => type === 'revive').map(([, , codeId]) => codeId);
+}
+
+/**
+ * Save a checked run, or send why it was rejected
+ * @param {Object} run - Submitted run summary
+ * @param {string|null} rejection - Why validateRun or verifyReplay rejected the run, or null
+ * @param {http.ServerResponse} res - Response object
+ * @returns {Promise} Resolves once the response is sent
+ */
+function saveRun(run, rejection, res) {
+    if (rejection) {
+        console.log(`Rejected score submission: ${rejection}`);
+        sendJson(res, 400, { error: rejection });
+        return Promise.resolve();
+    }
+    
+    const entry = {
+        playerId: run.playerId,
+        name: run.name.trim(),
+        score: run.score,
+        seed: run.seed,
+        missionsCompleted: run.missionsCompleted,
+        dronesDestroyed: run.dronesDestroyed,
+        minesDefused: run.minesDefused || 0,
+        difficulty: run.difficulty || 'normal',
+        duration: Math.round(run.duration),
+        verified: !!run.replay
+    };
+    
+    // Claimed as the run is saved, so two submissions can't both be revived with the same code
+    const claim = run.replay ? revivalCodes.claim(getRevivalCodeIds(run.replay)) : Promise.resolve(null);
+    return claim.then(claimRejection => {
+        if (claimRejection) {
+            console.log(`Rejected score submission: ${claimRejection}`);
+            sendJson(res, 400, { error: claimRejection });
+            return null;
+        }
+        return scoreStore.addScore(entry).then(scoreId => {
+            console.log(`Score ${entry.score} saved for ${entry.name}`);
+            sendJson(res, 201, { id: scoreId, score: entry.score });
+        });
+    });
+}
+
+// Score submissions per client address in the current rate limit window
+const submissionCounts = new Map();
+let submissionWindowStart = 0;
+
+/**
+ * Count a score submission against its client's rate limit
+ * @param {http.IncomingMessage} req - Request object
+ * @returns {boolean} Whether the client has made too many submissions in the current window
+ */
+function isSubmissionRateLimited(req) {
+    const now = Date.now();
+    if (now - submissionWindowStart >= SUBMISSION_RATE_WINDOW) {
+        submissionCounts.clear();
+        submissionWindowStart = now;
+    }
+    
+    const address = req.socket.remoteAddress || '';
+    const count = (submissionCounts.get(address) || 0) + 1;
+    submissionCounts.set(address, count);
+    return count > SUBMISSION_RATE_LIMIT;
+}
+
+/**
+ * Handle POST /api/scores: validate a run summary and persist its score
+ * @param {http.IncomingMessage} req - Request object
+ * @param {http.ServerResponse} res - Response object
+ */
+function handleScoreSubmission(req, res) {
+    if (isSubmissionRateLimited(req)) {
+        sendJson(res, 429, { error: 'Too many score submissions, try again later' });
+        return;
+    }
+    
+    readJsonBody(req)
+        .then(run => {
+            const rejection = validateRun(run || {});
+            const replayCheck = rejection || !run.replay ? Promise.resolve(rejection) : verifyReplay(run);
+            return replayCheck.then(replayRejection => saveRun(run, replayRejection, res));
+        })
+        .catch(error => {
+            console.error('Error handling score submission:', error.message);
+            if (!res.headersSent) {
+                if (error.statusCode === 400 || error.statusCode === 503) {
+                    sendJson(res, error.statusCode, { error: error.message });
+                } else {
+                    sendJson(res, 500, { error: 'Could not save score' });
+                }
+            }
+        });
+}
+
+/**
+ * Read a non-negative integer query parameter
+ * @param {URL} url - Request URL
+ * @param {string} name - Parameter name
+ * @param {number} defaultValue - Value to use if the parameter is missing
+ * @returns {number} Parameter value
+ */
+function getIntegerParam(url, name, defaultValue) {
+    if (!url.searchParams.has(name)) {
+        return defaultValue;
+    }
+    
+    const value = Number(url.searchParams.get(name));
+    if (!Number.isInteger(value) || value < 0) {
+        throw badRequest(`${name} must be a non-negative integer`);
+    }
+    return value;
+}
+
+/**
+ * Read the difficulty query parameter
+ * @param {URL} url - Request URL
+ * @returns {string} One of RANKED_DIFFICULTIES (normal if the parameter is missing)
+ */
+function getDifficultyParam(url) {
+    const difficulty = url.searchParams.get('difficulty') || 'normal';
+    if (!RANKED_DIFFICULTIES.includes(difficulty)) {
+        throw badRequest(`difficulty must be one of ${RANKED_DIFFICULTIES.join(', ')}`);
+    }
+    return difficulty;
+}
+
+/**
+ * Read the period query parameter
+ * Boards of a day or week are cut in UTC on the server, whatever the player's timezone
+ * @param {URL} url - Request URL
+ * @returns {string} One of LEADERBOARD_PERIODS (all if the parameter is missing)
+ */
+function getPeriodParam(url) {
+    const period = url.searchParams.get('period') || 'all';
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+        throw badRequest(`period must be one of ${LEADERBOARD_PERIODS.join(', ')}`);
+    }
+    return period;
+}
+
+/**
+ * Handle GET /api/scores: return one page of a leaderboard
+ * @param {URL} url - Request URL (?period=<daily|weekly|all>&difficulty=<difficulty>&offset=N&limit=N)
+ * @param {http.ServerResponse} res - Response object
+ */
+function handleGetScores(url, res) {
+    Promise.resolve()
+        .then(() => {
+            const period = getPeriodParam(url);
+            const difficulty = getDifficultyParam(url);
+            const offset = getIntegerParam(url, 'offset', 0);
+            const limit = Math.min(getIntegerParam(url, 'limit', LEADERBOARD_PAGE_SIZE), MAX_SCORES_LIMIT);
+            return scoreStore.getScores({ period, difficulty, offset, limit });
+        })
+        .then(page => sendJson(res, 200, page))
+        .catch(error => {
+            console.error('Error reading leaderboard:', error.message);
+            sendJson(res, error.statusCode || 500, { error: error.statusCode ? error.message : 'Could not read leaderboard' });
+        });
+}
+
+/**
+ * Read the player ID query parameter
+ * @param {URL} url - Request URL
+ * @returns {string} Player ID
+ */
+function getPlayerIdParam(url) {
+    const playerId = url.searchParams.get('playerId');
+    if (!isValidPlayerId(playerId)) {
+        throw badRequest('Missing or invalid player ID');
+    }
+    return playerId;
+}
+
+/**
+ * Handle GET /api/scores/rank: return where a player's best entry ranks on a leaderboard
+ * @param {URL} url - Request URL (?playerId=<player ID>&period=<daily|weekly|all>&difficulty=<difficulty>)
+ * @param {http.ServerResponse} res - Response object
+ */
+function handleGetPlayerRank(url, res) {
+    Promise.resolve()
+        .then(() => scoreStore.getPlayerRank(getPlayerIdParam(url), getPeriodParam(url), getDifficultyParam(url)))
+        .then(playerRank => sendJson(res, 200, { playerRank }))
+        .catch(error => {
+            console.error('Error reading leaderboard rank:', error.message);
+            sendJson(res, error.statusCode || 500, { error: error.statusCode ? error.message : 'Could not read leaderboard' });
+        });
+}
+
+/**
+ * Handle GET /api/players/best: return a player's best-score record at a difficulty
+ * @param {URL} url - Request URL (?playerId=<player ID>&difficulty=<difficulty>)
+ * @param {http.ServerResponse} res - Response object
+ */
+function handleGetPlayerBest(url, res) {
+    Promise.resolve()
+        .then(() => scoreStore.getPlayerBest(getPlayerIdParam(url), getDifficultyParam(url)))
+        .then(best => sendJson(res, 200, { best }))
+        .catch(error => {
+            console.error('Error reading player best score:', error.message);
+            sendJson(res, error.statusCode || 500, { error: error.statusCode ? error.message : 'Could not read player best score' });
+        });
+}
+
+/**
+ * Create the configured score store
+ * @returns {FileScoreStore|FirebaseScoreStore} Score store
+ */
+function createScoreStore() {
+    switch (LEADERBOARD_STORAGE) {
+        case 'firebase':
+            return new FirebaseScoreStore(FIREBASE_DATABASE_URL, FIREBASE_DATABASE_SECRET);
+        case 'file':
+            return new FileScoreStore(LEADERBOARD_FILE);
+        default:
+            throw new Error(`Unknown LEADERBOARD_STORAGE: ${LEADERBOARD_STORAGE}`);
+    }
+}
+
+/**
+ * Handle POST /api/revival-codes: issue a new revival code (admin only)
+ * @param {http.IncomingMessage} req - Request object (Authorization: Bearer <REVIVAL_ADMIN_TOKEN>, body { ttlMinutes })
+ * @param {http.ServerResponse} res - Response object
+ */
+function handleIssueRevivalCode(req, res) {
+    const expected = Buffer.from(`Bearer ${REVIVAL_ADMIN_TOKEN}`);
+    const actual = Buffer.from(req.headers.authorization || '');
+    if (!REVIVAL_ADMIN_TOKEN || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        sendJson(res, 403, { error: 'Not allowed to issue revival codes' });
+        return;
+    }
+    
+    readJsonBody(req)
+        .then(body => {
+            const ttlMinutes = (body && body.ttlMinutes) || REVIVAL_CODE_TTL_MINUTES;
+            if (!Number.isInteger(ttlMinutes) || ttlMinutes <= 0 || ttlMinutes > MAX_REVIVAL_CODE_TTL_MINUTES) {
+                throw badRequest(`ttlMinutes must be an integer between 1 and ${MAX_REVIVAL_CODE_TTL_MINUTES}`);
+            }
+            
+            const issued = revivalCodes.issue(ttlMinutes);
+            console.log(`Issued revival code expiring at ${issued.expiresAt}`);
+            sendJson(res, 201, issued);
+        })
+        .catch(error => {
+            sendJson(res, error.statusCode || 500, { error: error.message });
+        });
+}
+
+/**
+ * Handle POST /api/revival-codes/redeem: redeem a revival code entered by a player
+ * The response carries the code's ID, which the run's replay records with the revival
+ * @param {http.IncomingMessage} req - Request object (body { code })
+ * @param {http.ServerResponse} res - Response object
+ */
+function handleRedeemRevivalCode(req, res) {
+    readJsonBody(req)
+        .then(body => {
+            const code = body && body.code;
+            return revivalCodes.redeem(code).then(reason => {
+                if (reason) {
+                    console.log(`Rejected revival code: ${reason}`);
+                    sendJson(res, 400, { error: `Revival code is ${reason}`, reason });
+                } else {
+                    console.log('Revival code redeemed');
+                    sendJson(res, 200, { redeemed: true, id: RevivalCodes.getId(code) });
+                }
+            });
+        })
+        .catch(error => {
+            console.error('Error redeeming revival code:', error.message);
+            if (error.statusCode === 400) {
+                sendJson(res, 400, { error: error.message, reason: 'invalid' });
+            } else {
+                sendJson(res, 500, { error: 'Could not redeem revival code' });
+            }
+        });
+}
+
+const scoreStore = createScoreStore();
+
+const replayVerifier = new ReplayVerifier(SIMULATION_SCRIPTS.map(script => path.join(__dirname, script)), {
+    maxQueue: REPLAY_QUEUE_SIZE,
+    baseTimeout: REPLAY_BASE_TIMEOUT,
+    msPerTick: REPLAY_MS_PER_TICK
+});
+
+const revivalCodes = new RevivalCodes(REVIVAL_SECRET || crypto.randomBytes(32).toString('hex'), REVIVAL_LOG_FILE);
+
 const server = http.createServer((req, res) => {
     console.log(`${req.method} ${req.url}`);
     
-    // Handle the root URL
-    let filePath = req.url === '/' ? './index.html' : '.' + req.url;
+    // Ignore the query string (e.g. ?seed=...) when resolving routes and files
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    
+    // API routes
+    if (url.pathname === '/api/scores/rank' || url.pathname === '/api/players/best') {
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+        } else if (url.pathname === '/api/scores/rank') {
+            handleGetPlayerRank(url, res);
+        } else {
+            handleGetPlayerBest(url, res);
+        }
+        return;
+    }
+    
+    if (url.pathname === '/api/scores') {
+        if (req.method === 'POST') {
+            handleScoreSubmission(req, res);
+        } else if (req.method === 'GET') {
+            handleGetScores(url, res);
+        } else {
+            sendJson(res, 405, { error: 'Method not allowed' });
+        }
+        return;
+    }
+    
+    if (url.pathname === '/api/revival-codes' || url.pathname === '/api/revival-codes/redeem') {
+        if (req.method !== 'POST') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+        } else if (url.pathname === '/api/revival-codes') {
+            handleIssueRevivalCode(req, res);
+        } else {
+            handleRedeemRevivalCode(req, res);
+        }
+        return;
+    }
+    
+    // Only the game's own files are served
+    const filePath = resolveStaticFile(url.pathname);
+    if (!filePath) {
+        console.log(`Not a game file: ${url.pathname}`);
+        res.writeHead(404);
+        res.end('404 Not Found');
+        return;
+    }
     
     // Get the file extension
     const extname = path.extname(filePath).toLowerCase();
@@ -39,7 +653,7 @@ const server = http.createServer((req, res) => {
     // Read the file
     fs.readFile(filePath, (err, content) => {
         if (err) {
-            if (err.code === 'ENOENT') {
+            if (err.code === 'ENOENT' || err.code === 'EISDIR') {
                 // File not found
                 console.log(`File not found: ${filePath}`);
                 res.writeHead(404);
@@ -58,10 +672,45 @@ const server = http.createServer((req, res) => {
     });
 });
 
-server.listen(PORT, () => {
-    console.log(`\n-----------------------------------------`);
-    console.log(`Server running at http://localhost:${PORT}/`);
-    console.log(`-----------------------------------------`);
-    console.log(`Open your browser to view the game!`);
-    console.log(`Press Ctrl+C to stop the server\n`);
-}); 
\ No newline at end of file
+// Admin command: node server.js issue-code [ttlMinutes] prints a new revival code and exits
+if (process.argv[2] === 'issue-code') {
+    if (!REVIVAL_SECRET) {
+        console.error('Set REVIVAL_SECRET to the secret the server runs with');
+        process.exit(1);
+    }
+    
+    const ttlMinutes = parseInt(process.argv[3], 10) || REVIVAL_CODE_TTL_MINUTES;
+    const issued = revivalCodes.issue(ttlMinutes);
+    console.log(`${issued.code} (valid until ${issued.expiresAt})`);
+    process.exit(0);
+}
+
+// Admin command: node server.js migrate-leaderboard moves Firebase entries stored before there were boards onto the boards
+if (process.argv[2] === 'migrate-leaderboard') {
+    if (!(scoreStore instanceof FirebaseScoreStore)) {
+        console.error('Set LEADERBOARD_STORAGE=firebase; the file store moves its entries when it first reads them');
+        process.exit(1);
+    }
+    
+    scoreStore.migrate()
+        .then(count => {
+            console.log(`Moved ${count} entries onto the boards; delete leaderboard/ once they look right`);
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('Could not move the leaderboard:', error.message);
+            process.exit(1);
+        });
+} else {
+    server.listen(PORT, () => {
+        console.log(`\n-----------------------------------------`);
+        console.log(`Server running at http://localhost:${PORT}/`);
+        console.log(`Leaderboard storage: ${LEADERBOARD_STORAGE}`);
+        if (!REVIVAL_SECRET) {
+            console.warn('REVIVAL_SECRET is not set: revival codes will stop working when the server restarts');
+        }
+        console.log(`-----------------------------------------`);
+        console.log(`Open your browser to view the game!`);
+        console.log(`Press Ctrl+C to stop the server\n`);
+    });
+}
@@ -0,0 +1,190 @@
+/**
+ * Replay verification for server.js: re-simulates submitted replays with the game's own code in a worker thread,
+ * so a long replay can't hold up the server. Replays are simulated one at a time, in order of arrival
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const vm = require('vm');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+/**
+ * ReplayVerifier class
+ * Queues replays for the worker, shares the simulation of identical replays, and remembers recent results
+ */
+class ReplayVerifier {
+    /**
+     * @param {Array<string>} scripts - Absolute paths of the game scripts needed to simulate a replay, in load order
+     * @param {Object} [options]
+     * @param {number} [options.maxQueue] - Replays that can wait for the worker; more are turned away
+     * @param {number} [options.baseTimeout] - Time any replay gets to simulate (ms)
+     * @param {number} [options.msPerTick] - Extra time per recorded tick (ms), so long runs get long enough
+     * @param {number} [options.cacheSize] - Results of recent replays kept, so a resubmitted replay isn't simulated again
+     */
+    constructor(scripts, { maxQueue = 20, baseTimeout = 5000, msPerTick = 1, cacheSize = 100 } = {}) {
+        this.scripts = scripts;
+        this.maxQueue = maxQueue;
+        this.baseTimeout = baseTimeout;
+        this.msPerTick = msPerTick;
+        this.cacheSize = cacheSize;
+        
+        this.worker = null; // Started on first use, and again after it had to be stopped
+        this.queue = []; // Jobs waiting for the worker
+        this.current = null; // Job being simulated
+        this.nextJobId = 1;
+        this.pending = new Map(); // Replay hash -> promise of a queued or running simulation
+        this.results = new Map(); // Replay hash -> run summary, oldest first
+    }
+
+    /**
+     * Simulate a replay
+     * Errors a busy verifier rejects with carry statusCode 503
+     * @param {Object} replay - Replay data
+     * @returns {Promise<Object>} Run summary the replay produces
+     */
+    verify(replay) {
+        const replayJson = JSON.stringify(replay);
+        const hash = crypto.createHash('sha256').update(replayJson).digest('hex');
+        
+        if (this.results.has(hash)) {
+            return Promise.resolve(this.results.get(hash));
+        }
+        if (this.pending.has(hash)) {
+            return this.pending.get(hash);
+        }
+        if (this.queue.length >= this.maxQueue) {
+            const error = new Error('Too many runs are being verified, try again later');
+            error.statusCode = 503;
+            return Promise.reject(error);
+        }
+        
+        const ticks = Number.isInteger(replay.ticks) && replay.ticks > 0 ? replay.ticks : 0;
+        const promise = new Promise((resolve, reject) => {
+            this.queue.push({
+                id: this.nextJobId++,
+                replayJson,
+                timeout: this.baseTimeout + ticks * this.msPerTick,
+                resolve,
+                reject
+            });
+            this._runNext();
+        });
+        
+        this.pending.set(hash, promise);
+        promise.then(result => {
+            this.pending.delete(hash);
+            this._remember(hash, result);
+        }, () => this.pending.delete(hash));
+        return promise;
+    }
+
+    /**
+     * Start the next queued job if the worker is free
+     * @private
+     */
+    _runNext() {
+        if (this.current || this.queue.length === 0) return;
+        
+        const job = this.queue.shift();
+        const worker = this._getWorker();
+        this.current = job;
+        
+        // A replay that runs too long stops the worker; the next job gets a fresh one
+        job.timer = setTimeout(() => {
+            this.worker = null;
+            worker.terminate();
+            this._finish(job.id, new Error('Replay took too long to simulate'));
+        }, job.timeout);
+        
+        worker.postMessage({ id: job.id, replayJson: job.replayJson });
+    }
+
+    /**
+     * Settle the running job and go on with the next one
+     * @param {number} id - ID of the job the outcome is for (outcomes of an abandoned job are ignored)
+     * @param {Error|null} error - Why the simulation failed, or null
+     * @param {Object} [result] - Run summary
+     * @private
+     */
+    _finish(id, error, result) {
+        const job = this.current;
+        if (!job || job.id !== id) return;
+        
+        clearTimeout(job.timer);
+        this.current = null;
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve(result);
+        }
+        this._runNext();
+    }
+
+    /**
+     * Get the worker, starting it if needed
+     * @returns {Worker} Worker with the game scripts loaded
+     * @private
+     */
+    _getWorker() {
+        if (this.worker) {
+            return this.worker;
+        }
+        
+        const worker = new Worker(__filename, { workerData: { scripts: this.scripts } });
+        worker.on('message', ({ id, error, result }) => {
+            this._finish(id, error ? new Error(error) : null, result);
+        });
+        worker.on('error', error => {
+            if (this.worker === worker) {
+                this.worker = null;
+                this._finish(this.current && this.current.id, error);
+            }
+        });
+        worker.on('exit', () => {
+            if (this.worker === worker) {
+                this.worker = null;
+                this._finish(this.current && this.current.id, new Error('Replay simulation stopped'));
+            }
+        });
+        worker.unref(); // An idle worker doesn't keep the process alive
+        
+        this.worker = worker;
+        return worker;
+    }
+
+    /**
+     * Keep the result of a replay, dropping the oldest one when the cache is full
+     * @param {string} hash - Replay hash
+     * @param {Object} result - Run summary
+     * @private
+     */
+    _remember(hash, result) {
+        this.results.set(hash, result);
+        if (this.results.size > this.cacheSize) {
+            this.results.delete(this.results.keys().next().value);
+        }
+    }
+}
+
+// Worker: loads the game scripts once, then simulates the replays it is sent
+if (!isMainThread) {
+    // Headless games don't touch the DOM, audio, or images; keep their logging quiet
+    const context = vm.createContext({
+        console: { log() {}, warn() {}, error() {} }
+    });
+    
+    for (const script of workerData.scripts) {
+        vm.runInContext(fs.readFileSync(script, 'utf8'), context, { filename: script });
+    }
+    
+    parentPort.on('message', ({ id, replayJson }) => {
+        try {
+            context.replayJson = replayJson;
+            const resultJson = vm.runInContext('JSON.stringify(Game.simulateReplay(JSON.parse(replayJson)))', context);
+            parentPort.postMessage({ id, result: JSON.parse(resultJson) });
+        } catch (error) {
+            parentPort.postMessage({ id, error: error.message });
+        }
+    });
+}
+
+module.exports = { ReplayVerifier };
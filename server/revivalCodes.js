@@ -0,0 +1,216 @@
+/**
+ * Revival codes: HMAC-signed, expiring, single-use codes that let a player continue a run
+ * A code looks like ID-EXPIRY-SIGNATURE (uppercase base36), short enough to type in the game
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Length of the random ID part and of the signature part of a code
+const CODE_ID_BYTES = 5;
+const SIGNATURE_LENGTH = 10;
+
+/**
+ * Encode bytes as an uppercase base36 string
+ * @param {Buffer} bytes - Bytes to encode
+ * @returns {string} Encoded string
+ */
+function toBase36(bytes) {
+    return BigInt(`0x${bytes.toString('hex')}`).toString(36).toUpperCase();
+}
+
+/**
+ * RevivalCodes class
+ * Issues codes and redeems each of them once, keeping a redemption log on disk
+ * A redeemed code revives one run: the saved run whose replay uses it claims it in the log too
+ */
+class RevivalCodes {
+    /**
+     * @param {string} secret - HMAC key the codes are signed with
+     * @param {string} logPath - Path of the redemption log (one JSON object per line: { id, redeemedAt } or { id, claimedAt })
+     */
+    constructor(secret, logPath) {
+        this.secret = secret;
+        this.logPath = logPath;
+        const { redeemedIds, claimedIds } = this._loadLog();
+        this.redeemedIds = redeemedIds;
+        this.claimedIds = claimedIds; // Codes a saved run was revived with
+        this.queue = Promise.resolve(); // Serializes redemptions and claims so a code can't be used twice concurrently
+    }
+
+    /**
+     * Issue a new code
+     * @param {number} ttlMinutes - How long the code stays valid
+     * @returns {Object} { code, expiresAt }
+     */
+    issue(ttlMinutes) {
+        const id = toBase36(crypto.randomBytes(CODE_ID_BYTES));
+        const expiresAt = Date.now() + ttlMinutes * 60 * 1000;
+        const expiry = Math.ceil(expiresAt / 60000).toString(36).toUpperCase(); // Minutes since the epoch
+        
+        return {
+            code: `${id}-${expiry}-${this._sign(`${id}-${expiry}`)}`,
+            expiresAt: new Date(expiresAt).toISOString()
+        };
+    }
+
+    /**
+     * Check a code without redeeming it
+     * @param {string} code - Code entered by the player
+     * @returns {string|null} Rejection reason ('invalid', 'expired', 'used'), or null if the code can be redeemed
+     */
+    check(code) {
+        const parts = typeof code === 'string' ? code.trim().toUpperCase().split('-') : [];
+        if (parts.length !== 3 || parts.some(part => !/^[0-9A-Z]+$/.test(part))) {
+            return 'invalid';
+        }
+        
+        const [id, expiry, signature] = parts;
+        const expected = Buffer.from(this._sign(`${id}-${expiry}`));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            return 'invalid';
+        }
+        
+        if (parseInt(expiry, 36) * 60000 < Date.now()) {
+            return 'expired';
+        }
+        
+        if (this.redeemedIds.has(id)) {
+            return 'used';
+        }
+        
+        return null;
+    }
+
+    /**
+     * Redeem a code, so it can't be used again
+     * @param {string} code - Code entered by the player
+     * @returns {Promise<string|null>} Rejection reason, or null if the code was redeemed
+     */
+    redeem(code) {
+        const result = this.queue.then(() => {
+            const reason = this.check(code);
+            if (reason) {
+                return reason;
+            }
+            
+            const id = RevivalCodes.getId(code);
+            
+            // Log first: a code only counts as redeemed once that is on disk
+            return this._appendLog([{ id, redeemedAt: new Date().toISOString() }])
+                .then(() => {
+                    this.redeemedIds.add(id);
+                    return null;
+                });
+        });
+        
+        // Keep the queue going even if this redemption fails
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Get the ID of a code, which is all a replay records of the code it was revived with
+     * @param {string} code - Well-formed code
+     * @returns {string} Code ID
+     */
+    static getId(code) {
+        return code.trim().toUpperCase().split('-')[0];
+    }
+
+    /**
+     * Check the codes a run was revived with before it is saved
+     * @param {Array<string>} ids - Code IDs, one per revival
+     * @returns {string|null} Rejection reason, or null if every code was redeemed and hasn't revived a saved run yet
+     */
+    checkClaim(ids) {
+        if (ids.some(id => typeof id !== 'string')) {
+            return 'Replay has a revival without its code';
+        }
+        if (new Set(ids).size !== ids.length) {
+            return 'Replay uses a revival code more than once';
+        }
+        if (ids.some(id => !this.redeemedIds.has(id))) {
+            return 'Replay has a revival with a code that was never redeemed';
+        }
+        if (ids.some(id => this.claimedIds.has(id))) {
+            return 'Replay has a revival with a code another saved run was revived with';
+        }
+        return null;
+    }
+
+    /**
+     * Claim the codes a run was revived with for that run, so no other run can use them
+     * @param {Array<string>} ids - Code IDs, one per revival
+     * @returns {Promise<string|null>} Rejection reason, or null if the codes were claimed
+     */
+    claim(ids) {
+        const result = this.queue.then(() => {
+            const reason = this.checkClaim(ids);
+            if (reason || ids.length === 0) {
+                return reason;
+            }
+            
+            const claimedAt = new Date().toISOString();
+            return this._appendLog(ids.map(id => ({ id, claimedAt })))
+                .then(() => {
+                    ids.forEach(id => this.claimedIds.add(id));
+                    return null;
+                });
+        });
+        
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Sign the ID and expiry of a code
+     * @param {string} payload - ID-EXPIRY part of the code
+     * @returns {string} Signature part of the code
+     * @private
+     */
+    _sign(payload) {
+        const digest = crypto.createHmac('sha256', this.secret).update(payload).digest();
+        return toBase36(digest).padStart(SIGNATURE_LENGTH, '0').slice(0, SIGNATURE_LENGTH);
+    }
+
+    /**
+     * Append records to the log
+     * @param {Array<Object>} records - Records to append
+     * @returns {Promise} Resolves once the records are on disk
+     * @private
+     */
+    _appendLog(records) {
+        const lines = records.map(record => JSON.stringify(record) + '\n').join('');
+        return fs.promises.mkdir(path.dirname(this.logPath), { recursive: true })
+            .then(() => fs.promises.appendFile(this.logPath, lines));
+    }
+
+    /**
+     * Read the IDs of already redeemed and claimed codes from the log
+     * @returns {Object} { redeemedIds, claimedIds } Sets of code IDs
+     * @private
+     */
+    _loadLog() {
+        const redeemedIds = new Set();
+        const claimedIds = new Set();
+        let content;
+        try {
+            content = fs.readFileSync(this.logPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { redeemedIds, claimedIds };
+            }
+            throw error;
+        }
+        
+        content.split('\n').filter(line => line.trim()).forEach(line => {
+            const record = JSON.parse(line);
+            (record.claimedAt ? claimedIds : redeemedIds).add(record.id);
+        });
+        return { redeemedIds, claimedIds };
+    }
+}
+
+module.exports = { RevivalCodes };
@@ -0,0 +1,591 @@
+/**
+ * Score stores used by server.js to persist validated leaderboard entries
+ * Every board (a difficulty's all-time board, and its boards of the current UTC day and week) is stored on its own,
+ * ordered by rank and trimmed to its best MAX_BOARD_ENTRIES entries, next to each player's best score per difficulty.
+ * Every store implements:
+ *   addScore(entry) -> Promise<string> (ID of the new entry)
+ *   getScores({ period, difficulty, offset, limit }) -> Promise<{ scores, total }> (one page of a board, each entry with its ID and rank)
+ *   getPlayerRank(playerId, period, difficulty) -> Promise<Object|null> ({ rank, scoreId } of the player's best entry on a board)
+ *   getPlayerBest(playerId, difficulty) -> Promise<Object|null> ({ bestScore, scoreId, name, updatedAt } for a player)
+ * Entries from before difficulties were tagged count as normal
+ */
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Leaderboard periods: the current UTC day, the current UTC week (from Monday) and all time
+const LEADERBOARD_PERIODS = ['daily', 'weekly', 'all'];
+
+// Entries a board keeps; lower ones are dropped, so the data can't grow without bound
+const MAX_BOARD_ENTRIES = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Latest timestamp a rank key can hold (13 digits of milliseconds, until the year 2286)
+const MAX_RANK_TIMESTAMP = 9999999999999;
+
+// Times a conditional Firebase write is retried when another write got there first
+const MAX_TRANSACTION_ATTEMPTS = 10;
+
+/**
+ * Get the start of a leaderboard period in UTC, so the boards turn over at the same time for every player
+ * @param {string} period - One of LEADERBOARD_PERIODS
+ * @param {number} [now] - Current time in milliseconds since the epoch
+ * @returns {number} Start time in milliseconds since the epoch (0 for all-time)
+ */
+function getPeriodStart(period, now = Date.now()) {
+    const date = new Date(now);
+    const dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    
+    switch (period) {
+        case 'daily':
+            return dayStart;
+        case 'weekly':
+            // getUTCDay() is 0 on Sunday; weeks start on Monday
+            return dayStart - (date.getUTCDay() + 6) % 7 * DAY_MS;
+        case 'all':
+            return 0;
+        default:
+            throw new Error(`Unknown leaderboard period: ${period}`);
+    }
+}
+
+/**
+ * Get the key a board is stored under: <difficulty>/all, <difficulty>/daily-<date> or <difficulty>/weekly-<Monday's date>
+ * FirebaseLeaderboardStorage reads the boards under the same keys (see LeaderboardManager.getBoardKey)
+ * @param {string} period - One of LEADERBOARD_PERIODS
+ * @param {string} difficulty - Difficulty of the board
+ * @param {number} [now] - Time in the period, in milliseconds since the epoch
+ * @returns {string} Board key
+ */
+function getBoardKey(period, difficulty, now = Date.now()) {
+    if (period === 'all') {
+        return `${difficulty}/all`;
+    }
+    return `${difficulty}/${period}-${new Date(getPeriodStart(period, now)).toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Check whether a board is one that is still shown: an all-time board, or one of the current day or week
+ * @param {string} boardKey - Board key
+ * @param {number} [now] - Current time
+ * @returns {boolean} Whether the board is current
+ */
+function isCurrentBoard(boardKey, now = Date.now()) {
+    const difficulty = boardKey.split('/')[0];
+    return LEADERBOARD_PERIODS.some(period => getBoardKey(period, difficulty, now) === boardKey);
+}
+
+/**
+ * Get the key that orders an entry on its boards: a higher key ranks higher
+ * Highest score first; on a tie the earlier entry ranks higher
+ * @param {Object} entry - Score entry with its timestamp
+ * @returns {string} Rank key
+ */
+function getRankKey(entry) {
+    return `${String(entry.score).padStart(10, '0')}-${String(MAX_RANK_TIMESTAMP - entry.timestamp).padStart(13, '0')}`;
+}
+
+/**
+ * Sort board entries, highest rank key first
+ * @param {Array} entries - Board entries
+ * @returns {Array} Sorted entries
+ */
+function sortByRank(entries) {
+    return entries.sort((a, b) => (a.rankKey < b.rankKey ? 1 : a.rankKey > b.rankKey ? -1 : 0));
+}
+
+/**
+ * Turn stored board entries into a page of the board
+ * @param {Array} entries - Entries, highest rank first, starting at offset
+ * @param {number} offset - Rank of the first entry minus one
+ * @returns {Array} Entries with their rank, without their rank key
+ */
+function toRankedScores(entries, offset) {
+    return entries.map(({ rankKey, ...score }, index) => ({ ...score, rank: offset + index + 1 }));
+}
+
+/**
+ * Get the keys of the boards an entry goes on
+ * @param {Object} entry - Score entry with its timestamp
+ * @returns {Array<string>} Board keys
+ */
+function getEntryBoardKeys(entry) {
+    return LEADERBOARD_PERIODS.map(period => getBoardKey(period, entry.difficulty || 'normal', entry.timestamp));
+}
+
+/**
+ * Build the current boards from a list of entries (e.g. to move entries stored before there were boards)
+ * @param {Array} entries - Score entries with their IDs and timestamps
+ * @param {number} [now] - Current time
+ * @returns {Object} Board key -> entries, highest rank first, trimmed
+ */
+function buildBoards(entries, now = Date.now()) {
+    const boards = {};
+    entries.forEach(entry => {
+        const stored = { ...entry, difficulty: entry.difficulty || 'normal', rankKey: getRankKey(entry) };
+        getEntryBoardKeys(stored).filter(key => isCurrentBoard(key, now)).forEach(key => {
+            (boards[key] = boards[key] || []).push(stored);
+        });
+    });
+    
+    Object.keys(boards).forEach(key => {
+        boards[key] = sortByRank(boards[key]).slice(0, MAX_BOARD_ENTRIES);
+    });
+    return boards;
+}
+
+/**
+ * Get the key a player's best-score record at a difficulty is stored under
+ * Normal keeps the plain player ID, so records from before difficulties stay valid;
+ * player IDs can't contain ':', so the other keys never clash with one
+ * @param {string} playerId - Player ID
+ * @param {string} difficulty - Difficulty of the record
+ * @returns {string} Record key
+ */
+function getBestRecordKey(playerId, difficulty) {
+    return difficulty === 'normal' ? playerId : `${playerId}:${difficulty}`;
+}
+
+/**
+ * Check if an entry beats a player's best-score record
+ * @param {Object|null} record - Current record
+ * @param {Object} entry - New score entry
+ * @returns {boolean} Whether the entry is the new best
+ */
+function isNewBest(record, entry) {
+    return !record || entry.score > record.bestScore;
+}
+
+/**
+ * Create a player's best-score record from an entry
+ * @param {string} scoreId - Entry ID
+ * @param {Object} entry - Score entry
+ * @returns {Object} Best-score record
+ */
+function createBestRecord(scoreId, entry) {
+    return { bestScore: entry.score, scoreId, name: entry.name, updatedAt: Date.now() };
+}
+
+/**
+ * FileScoreStore class
+ * Keeps the leaderboard in a local JSON file, so the game can run without internet access
+ * The file is read once and the boards are served from memory
+ */
+class FileScoreStore {
+    /**
+     * @param {string} filePath - Path of the JSON file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = null; // { boards, players }, read on first use
+        this.queue = Promise.resolve(); // Serializes writes to the file
+    }
+
+    /**
+     * Add a score to its boards and update the player's best-score record
+     * @param {Object} entry - Score entry
+     * @returns {Promise<string>} ID of the new entry
+     */
+    addScore(entry) {
+        const result = this.queue.then(() => this._load()).then(data => {
+            const scoreId = crypto.randomUUID();
+            const stored = { id: scoreId, ...entry, timestamp: Date.now() };
+            stored.rankKey = getRankKey(stored);
+            
+            getEntryBoardKeys(stored).forEach(key => {
+                const board = data.boards[key] || [];
+                board.push(stored);
+                data.boards[key] = sortByRank(board).slice(0, MAX_BOARD_ENTRIES);
+            });
+            
+            // Yesterday's and last week's boards are no longer shown
+            Object.keys(data.boards).filter(key => !isCurrentBoard(key)).forEach(key => {
+                delete data.boards[key];
+            });
+            
+            const key = getBestRecordKey(entry.playerId, entry.difficulty);
+            if (isNewBest(data.players[key], entry)) {
+                data.players[key] = createBestRecord(scoreId, entry);
+            }
+            
+            return this._write(data).then(() => scoreId);
+        });
+        
+        // Keep the queue going even if this write fails
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Get one page of a board
+     * @param {Object} query - { period, difficulty, offset, limit }
+     * @returns {Promise<Object>} { scores, total }
+     */
+    getScores({ period = 'all', difficulty = 'normal', offset = 0, limit = 10 }) {
+        return this._getBoard(period, difficulty).then(board => ({
+            scores: toRankedScores(board.slice(offset, offset + limit), offset),
+            total: board.length
+        }));
+    }
+
+    /**
+     * Get the rank of a player's best entry on a board
+     * @param {string} playerId - Player ID
+     * @param {string} period - One of LEADERBOARD_PERIODS
+     * @param {string} difficulty - Difficulty of the board
+     * @returns {Promise<Object|null>} { rank, scoreId }, or null if the player has no entry on the board
+     */
+    getPlayerRank(playerId, period, difficulty) {
+        return this._getBoard(period, difficulty).then(board => {
+            const index = board.findIndex(score => score.playerId === playerId);
+            return index === -1 ? null : { rank: index + 1, scoreId: board[index].id };
+        });
+    }
+
+    /**
+     * Get a player's best-score record at a difficulty
+     * @param {string} playerId - Player ID
+     * @param {string} difficulty - Difficulty of the record
+     * @returns {Promise<Object|null>} Best-score record, or null if the player hasn't submitted a score
+     */
+    getPlayerBest(playerId, difficulty) {
+        return this.queue.then(() => this._load()).then(data => data.players[getBestRecordKey(playerId, difficulty)] || null);
+    }
+
+    /**
+     * Get a board's entries, highest rank first
+     * @param {string} period - One of LEADERBOARD_PERIODS
+     * @param {string} difficulty - Difficulty of the board
+     * @returns {Promise<Array>} Entries
+     * @private
+     */
+    _getBoard(period, difficulty) {
+        const key = getBoardKey(period, difficulty);
+        return this.queue.then(() => this._load()).then(data => data.boards[key] || []);
+    }
+
+    /**
+     * Get the leaderboard, reading the file the first time
+     * @returns {Promise<Object>} { boards, players }
+     * @private
+     */
+    _load() {
+        if (!this.data) {
+            this.data = this._read().catch(error => {
+                this.data = null; // Try again on the next request
+                throw error;
+            });
+        }
+        return this.data;
+    }
+
+    /**
+     * Read the leaderboard from the file
+     * @returns {Promise<Object>} { boards, players } (empty if the file doesn't exist yet)
+     * @private
+     */
+    _read() {
+        return fs.promises.readFile(this.filePath, 'utf8')
+            .then(content => {
+                const data = JSON.parse(content);
+                
+                // Files written before there were boards hold every entry, in a list;
+                // the oldest ones hold just that list, without player records
+                if (Array.isArray(data)) {
+                    return { boards: buildBoards(data), players: {} };
+                }
+                if (data.scores) {
+                    return { boards: buildBoards(data.scores), players: data.players || {} };
+                }
+                return data;
+            })
+            .catch(error => {
+                if (error.code === 'ENOENT') {
+                    return { boards: {}, players: {} };
+                }
+                throw error;
+            });
+    }
+
+    /**
+     * Replace the file contents
+     * Writes to a temporary file first so a crash can't leave a half-written leaderboard
+     * @param {Object} data - { boards, players }
+     * @returns {Promise} Promise that resolves when the file is written
+     * @private
+     */
+    _write(data) {
+        const tempPath = `${this.filePath}.tmp`;
+        
+        return fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+            .then(() => fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2)))
+            .then(() => fs.promises.rename(tempPath, this.filePath));
+    }
+}
+
+/**
+ * FirebaseScoreStore class
+ * Keeps the leaderboard in the Firebase Realtime Database, written through its REST API
+ * Boards live under boards/<board key>/ (indexed on rankKey and playerId, see the README), their sizes
+ * under boardSizes/<board key>, and best-score records under players/
+ */
+class FirebaseScoreStore {
+    /**
+     * @param {string} databaseUrl - Database URL
+     * @param {string} secret - Database secret used to authorize writes
+     */
+    constructor(databaseUrl, secret) {
+        this.databaseUrl = databaseUrl;
+        this.secret = secret;
+        this.queue = Promise.resolve(); // Serializes this server's writes, so boards are trimmed one entry at a time
+    }
+
+    /**
+     * Add a score to its boards and update the player's best-score record
+     * @param {Object} entry - Score entry
+     * @returns {Promise<string>} ID of the new entry
+     */
+    addScore(entry) {
+        const result = this.queue.then(() => {
+            const scoreId = crypto.randomUUID();
+            const stored = { ...entry, timestamp: Date.now() };
+            stored.rankKey = getRankKey(stored);
+            const boardKeys = getEntryBoardKeys(stored);
+            
+            // One multi-path update puts the entry on all its boards at once
+            const update = {};
+            boardKeys.forEach(key => {
+                update[`boards/${key}/${scoreId}`] = stored;
+            });
+            
+            return this._request('PATCH', '', update)
+                .then(() => Promise.all(boardKeys.map(key => this._trimBoard(key))))
+                .then(() => this._removeOldBoards(stored.difficulty))
+                .then(() => this._transaction(`players/${getBestRecordKey(entry.playerId, entry.difficulty)}`,
+                    record => (isNewBest(record, entry) ? createBestRecord(scoreId, entry) : undefined)))
+                .then(() => scoreId);
+        });
+        
+        // Keep the queue going even if this write fails
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Get one page of a board
+     * Only the entries down to the end of the page are read
+     * @param {Object} query - { period, difficulty, offset, limit }
+     * @returns {Promise<Object>} { scores, total }
+     */
+    getScores({ period = 'all', difficulty = 'normal', offset = 0, limit = 10 }) {
+        const key = getBoardKey(period, difficulty);
+        
+        return Promise.all([
+            this._getEntries(key, `?orderBy="rankKey"&limitToLast=${offset + limit}`),
+            this._request('GET', `boardSizes/${key}`)
+        ]).then(([entries, total]) => ({
+            scores: toRankedScores(sortByRank(entries).slice(offset), offset),
+            total: total || 0
+        }));
+    }
+
+    /**
+     * Get the rank of a player's best entry on a board
+     * Reads the player's entries on the board, then the entries ranked above the best of them
+     * @param {string} playerId - Player ID
+     * @param {string} period - One of LEADERBOARD_PERIODS
+     * @param {string} difficulty - Difficulty of the board
+     * @returns {Promise<Object|null>} { rank, scoreId }, or null if the player has no entry on the board
+     */
+    getPlayerRank(playerId, period, difficulty) {
+        const key = getBoardKey(period, difficulty);
+        
+        return this._getEntries(key, `?orderBy="playerId"&equalTo=${JSON.stringify(playerId)}`).then(entries => {
+            if (entries.length === 0) {
+                return null;
+            }
+            
+            const best = sortByRank(entries)[0];
+            return this._getEntries(key, `?orderBy="rankKey"&startAt=${JSON.stringify(best.rankKey)}`)
+                .then(above => ({ rank: above.length, scoreId: best.id }));
+        });
+    }
+
+    /**
+     * Get a player's best-score record at a difficulty
+     * @param {string} playerId - Player ID
+     * @param {string} difficulty - Difficulty of the record
+     * @returns {Promise<Object|null>} Best-score record, or null if the player hasn't submitted a score
+     */
+    getPlayerBest(playerId, difficulty) {
+        return this._request('GET', `players/${getBestRecordKey(playerId, difficulty)}`);
+    }
+
+    /**
+     * Move the entries stored under leaderboard/ before there were boards onto the boards
+     * (node server.js migrate-leaderboard); leaderboard/ is left as it was, to be deleted once the boards look right
+     * @returns {Promise<number>} Number of entries read
+     */
+    migrate() {
+        return this._getEntries('', '', 'leaderboard').then(entries => {
+            const boards = buildBoards(entries);
+            const update = {};
+            Object.entries(boards).forEach(([key, board]) => {
+                board.forEach(({ id, ...stored }) => {
+                    update[`boards/${key}/${id}`] = stored;
+                });
+                update[`boardSizes/${key}`] = board.length;
+            });
+            
+            return this._request('PATCH', '', update).then(() => entries.length);
+        });
+    }
+
+    /**
+     * Drop the lowest entries of a board beyond MAX_BOARD_ENTRIES and store its size
+     * @param {string} boardKey - Board key
+     * @returns {Promise} Resolves once the board is trimmed
+     * @private
+     */
+    _trimBoard(boardKey) {
+        // A shallow read returns just the entry IDs
+        return this._request('GET', `boards/${boardKey}`, undefined, '?shallow=true').then(ids => {
+            const size = Object.keys(ids || {}).length;
+            if (size <= MAX_BOARD_ENTRIES) {
+                return this._request('PUT', `boardSizes/${boardKey}`, size);
+            }
+            
+            return this._getEntries(boardKey, `?orderBy="rankKey"&limitToFirst=${size - MAX_BOARD_ENTRIES}`)
+                .then(lowest => {
+                    const removal = {};
+                    lowest.forEach(entry => {
+                        removal[entry.id] = null;
+                    });
+                    return this._request('PATCH', `boards/${boardKey}`, removal);
+                })
+                .then(() => this._request('PUT', `boardSizes/${boardKey}`, MAX_BOARD_ENTRIES));
+        });
+    }
+
+    /**
+     * Delete a difficulty's boards of past days and weeks
+     * @param {string} difficulty - Difficulty
+     * @returns {Promise} Resolves once they're deleted
+     * @private
+     */
+    _removeOldBoards(difficulty) {
+        return this._request('GET', `boards/${difficulty}`, undefined, '?shallow=true').then(boards => {
+            const removal = {};
+            Object.keys(boards || {}).map(name => `${difficulty}/${name}`).filter(key => !isCurrentBoard(key)).forEach(key => {
+                removal[`boards/${key}`] = null;
+                removal[`boardSizes/${key}`] = null;
+            });
+            return Object.keys(removal).length > 0 ? this._request('PATCH', '', removal) : null;
+        });
+    }
+
+    /**
+     * Read entries of a board
+     * @param {string} boardKey - Board key
+     * @param {string} query - Query string (e.g. '?orderBy="rankKey"&limitToLast=10')
+     * @param {string} [dbPath] - Path to read instead of the board's
+     * @returns {Promise<Array>} Score entries with their IDs, in no particular order
+     * @private
+     */
+    _getEntries(boardKey, query, dbPath = `boards/${boardKey}`) {
+        return this._request('GET', dbPath, undefined, query).then(entries => {
+            return Object.entries(entries || {}).map(([id, entry]) => ({ id, ...entry }));
+        });
+    }
+
+    /**
+     * Update a value only if nobody changed it in between, retrying if they did
+     * Uses the REST API's ETags: the write is conditional on the value read
+     * @param {string} dbPath - Database path
+     * @param {Function} update - Gets the current value (or null) and returns the new one, or undefined to leave it
+     * @returns {Promise} Resolves once the value is written or left as it is
+     * @private
+     */
+    _transaction(dbPath, update) {
+        const attempt = attemptsLeft => this._send('GET', dbPath, undefined, '', { 'X-Firebase-ETag': 'true' })
+            .then(({ statusCode, body, etag }) => {
+                if (statusCode >= 400) {
+                    throw new Error(`Firebase GET ${dbPath} failed with status ${statusCode}: ${body}`);
+                }
+                
+                const value = update(JSON.parse(body));
+                if (value === undefined) {
+                    return null;
+                }
+                
+                return this._send('PUT', dbPath, value, '', { 'if-match': etag }).then(response => {
+                    if (response.statusCode === 412 && attemptsLeft > 1) {
+                        return attempt(attemptsLeft - 1);
+                    }
+                    if (response.statusCode >= 400) {
+                        throw new Error(`Firebase PUT ${dbPath} failed with status ${response.statusCode}: ${response.body}`);
+                    }
+                    return null;
+                });
+            });
+        
+        return attempt(MAX_TRANSACTION_ATTEMPTS);
+    }
+
+    /**
+     * Make a request to the Firebase Realtime Database REST API
+     * @param {string} method - HTTP method
+     * @param {string} dbPath - Database path (e.g. 'players/123'; '' for the root)
+     * @param {Object} [data] - Data to send
+     * @param {string} [query] - Query string (e.g. '?orderBy="timestamp"')
+     * @returns {Promise<Object>} Parsed response
+     * @private
+     */
+    _request(method, dbPath, data, query = '') {
+        return this._send(method, dbPath, data, query).then(({ statusCode, body }) => {
+            if (statusCode >= 400) {
+                throw new Error(`Firebase ${method} ${dbPath} failed with status ${statusCode}: ${body}`);
+            }
+            return JSON.parse(body);
+        });
+    }
+
+    /**
+     * Send a request to the REST API
+     * @param {string} method - HTTP method
+     * @param {string} dbPath - Database path
+     * @param {Object} [data] - Data to send
+     * @param {string} [query] - Query string
+     * @param {Object} [headers] - Extra request headers
+     * @returns {Promise<Object>} { statusCode, body, etag } with the raw response body
+     * @private
+     */
+    _send(method, dbPath, data, query = '', headers = {}) {
+        const url = new URL(`${this.databaseUrl}/${dbPath}.json${query}`);
+        if (this.secret) {
+            url.searchParams.set('auth', this.secret);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const req = https.request(url, { method, headers: { 'Content-Type': 'application/json', ...headers } }, res => {
+                let body = '';
+                res.on('data', chunk => {
+                    body += chunk;
+                });
+                res.on('end', () => {
+                    resolve({ statusCode: res.statusCode, body, etag: res.headers.etag });
+                });
+            });
+            
+            req.on('error', reject);
+            if (data !== undefined) {
+                req.write(JSON.stringify(data));
+            }
+            req.end();
+        });
+    }
+}
+
+module.exports = { FileScoreStore, FirebaseScoreStore, LEADERBOARD_PERIODS };